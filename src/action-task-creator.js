@@ -1,4 +1,6 @@
-import { log } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('action-task-creator');
 
 /**
  * 行动库任务创建器
@@ -6,7 +8,11 @@ import { log } from './utils.js';
 export class ActionTaskCreator {
   constructor(notionClient) {
     this.notionClient = notionClient;
-    this.actionDatabaseId = process.env.ACTION_DATABASE_ID;
+    this.actionDatabaseId = notionClient.config.notion.actionDatabaseId;
+    this.tasks = notionClient.config.tasks;
+    this.relations = notionClient.config.relations;
+    this.properties = notionClient.properties.task;
+    this.statuses = notionClient.statuses;
   }
 
   /**
@@ -14,7 +20,7 @@ export class ActionTaskCreator {
    */
   checkConfiguration() {
     if (!this.actionDatabaseId) {
-      log('warn', 'Missing ACTION_DATABASE_ID configuration');
+      log('warn', 'Missing action database configuration (notion.actionDatabaseId / ACTION_DATABASE_ID)');
       return false;
     }
     return true;
@@ -31,22 +37,22 @@ export class ActionTaskCreator {
         filter: {
           and: [
             {
-              property: 'Task',
+              property: this.properties.title,
               title: {
-                contains: 'Reference处理需求'
+                contains: this.tasks.referenceTitlePrefix
               }
             },
             {
-              property: 'Status',
+              property: this.properties.status,
               status: {
-                does_not_equal: '完成'
+                does_not_equal: this.statuses.taskDone
               }
             }
           ]
         },
         sorts: [
           {
-            property: '创建时间',
+            property: this.properties.createdTime,
             direction: 'descending'
           }
         ],
@@ -54,14 +60,7 @@ export class ActionTaskCreator {
       });
 
       if (response.results && response.results.length > 0) {
-        const task = response.results[0];
-        return {
-          id: task.id,
-          title: task.properties.Task?.title?.[0]?.text?.content || '未知标题',
-          status: task.properties.Status?.status?.name || '未知状态',
-          url: `https://www.notion.so/${task.id.replace(/-/g, '')}`,
-          createdTime: task.properties['创建时间']?.created_time || '未知时间'
-        };
+        return this.toTaskSummary(response.results[0]);
       }
       
       return null;
@@ -82,22 +81,22 @@ export class ActionTaskCreator {
         filter: {
           and: [
             {
-              property: 'Task',
+              property: this.properties.title,
               title: {
-                contains: '卡片处理需求'
+                contains: this.tasks.cardTitlePrefix
               }
             },
             {
-              property: 'Status',
+              property: this.properties.status,
               status: {
-                does_not_equal: '完成'
+                does_not_equal: this.statuses.taskDone
               }
             }
           ]
         },
         sorts: [
           {
-            property: '创建时间',
+            property: this.properties.createdTime,
             direction: 'descending'
           }
         ],
@@ -105,14 +104,7 @@ export class ActionTaskCreator {
       });
 
       if (response.results && response.results.length > 0) {
-        const task = response.results[0];
-        return {
-          id: task.id,
-          title: task.properties.Task?.title?.[0]?.text?.content || '未知标题',
-          status: task.properties.Status?.status?.name || '未知状态',
-          url: `https://www.notion.so/${task.id.replace(/-/g, '')}`,
-          createdTime: task.properties['创建时间']?.created_time || '未知时间'
-        };
+        return this.toTaskSummary(response.results[0]);
       }
       
       return null;
@@ -122,6 +114,49 @@ export class ActionTaskCreator {
     }
   }
 
+  /**
+   * 提取任务页面的摘要信息
+   * @param {Object} task - 任务页面
+   * @returns {Object} { id, title, status, url, createdTime, priority, snoozeUntil }，snoozeUntil 为"暂停提醒至"日期，未设置时为 null
+   */
+  toTaskSummary(task) {
+    return {
+      id: task.id,
+      title: task.properties[this.properties.title]?.title?.[0]?.text?.content || '未知标题',
+      status: task.properties[this.properties.status]?.status?.name || '未知状态',
+      url: `https://www.notion.so/${task.id.replace(/-/g, '')}`,
+      createdTime: task.properties[this.properties.createdTime]?.created_time || task.created_time || '未知时间',
+      priority: task.properties[this.properties.priority]?.select?.name || null,
+      snoozeUntil: task.properties[this.properties.snoozeUntil]?.date?.start || null
+    };
+  }
+
+  /**
+   * 修改任务的优先级（提醒升级时使用）
+   * @param {string} taskId - 任务页面ID
+   * @param {string} priority - 新的优先级
+   * @returns {Promise<boolean>} 是否修改成功
+   */
+  async updateTaskPriority(taskId, priority) {
+    try {
+      await this.notionClient.client.pages.update({
+        page_id: taskId,
+        properties: {
+          [this.properties.priority]: {
+            select: {
+              name: priority
+            }
+          }
+        }
+      });
+      log('info', `Task ${taskId} priority raised to ${priority}`);
+      return true;
+    } catch (error) {
+      log('error', `Failed to update priority of task ${taskId}`, error);
+      return false;
+    }
+  }
+
   /**
    * 创建Reference处理任务
    * @param {Array} unexecutedNotes - 未执行的笔记列表
@@ -139,7 +174,7 @@ export class ActionTaskCreator {
     try {
       const currentTime = new Date();
       const timeString = currentTime.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '');
-      const taskTitle = `Reference处理需求-${timeString}`;
+      const taskTitle = `${this.tasks.referenceTitlePrefix}-${timeString}`;
 
       log('info', `Creating reference processing task: ${taskTitle}`);
 
@@ -152,41 +187,28 @@ export class ActionTaskCreator {
         title: taskTitle,
         content: taskContent,
         properties: {
-          'Status': {
+          [this.properties.status]: {
             status: {
-              name: '未开始'
+              name: this.statuses.taskInitial
             }
           },
-          '优先级': {
+          [this.properties.priority]: {
             select: {
-              name: 'High'
+              name: this.tasks.referencePriority
             }
           },
-          'Category': {
+          [this.properties.category]: {
             select: {
-              name: 'PKM'
+              name: this.tasks.referenceCategory
             }
           },
-          'DDL': {
+          [this.properties.dueDate]: {
             date: {
               start: currentTime.toISOString().split('T')[0] // 当日日期
             }
           },
-          'Task of the day': {
-            relation: [
-              {
-                id: '25fe666e-cf2c-81f1-a7ed-fca26261dc44' // 当日笔记ID
-              }
-            ]
-          },
-          'Summary': {
-            relation: [
-              {
-                id: '1c3e666e-cf2c-8045-b02a-dff15b11f944' // Summary文件ID
-              }
-            ]
-          },
-          'Reference': {
+          ...this.buildRelationProperties(),
+          [this.properties.reference]: {
             relation: unexecutedNotes.map(note => ({
               id: note.id
             }))
@@ -237,7 +259,7 @@ export class ActionTaskCreator {
     try {
       const currentTime = new Date();
       const timeString = currentTime.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '');
-      const taskTitle = `卡片处理需求-${timeString}`;
+      const taskTitle = `${this.tasks.cardTitlePrefix}-${timeString}`;
 
       log('info', `Creating action task: ${taskTitle}`);
 
@@ -250,40 +272,27 @@ export class ActionTaskCreator {
         title: taskTitle,
         content: taskContent,
         properties: {
-          'Status': {
+          [this.properties.status]: {
             status: {
-              name: '未开始'
+              name: this.statuses.taskInitial
             }
           },
-          '优先级': {
+          [this.properties.priority]: {
             select: {
-              name: 'Medium'
+              name: this.tasks.cardPriority
             }
           },
-          'Category': {
+          [this.properties.category]: {
             select: {
-              name: 'PKM'
+              name: this.tasks.cardCategory
             }
           },
-          'DDL': {
+          [this.properties.dueDate]: {
             date: {
               start: currentTime.toISOString().split('T')[0] // 当日日期
             }
           },
-          'Task of the day': {
-            relation: [
-              {
-                id: '25fe666e-cf2c-81f1-a7ed-fca26261dc44' // 当日笔记ID
-              }
-            ]
-          },
-          'Summary': {
-            relation: [
-              {
-                id: '1c3e666e-cf2c-8045-b02a-dff15b11f944' // Summary文件ID
-              }
-            ]
-          }
+          ...this.buildRelationProperties()
         }
       });
 
@@ -313,6 +322,35 @@ export class ActionTaskCreator {
     }
   }
 
+  /**
+   * 构建任务的固定关联（当日笔记、Summary文件），未配置的关联不设置
+   * @returns {Object} 关联属性
+   */
+  buildRelationProperties() {
+    const properties = {};
+
+    if (this.relations.taskOfTheDayPageId) {
+      properties[this.properties.taskOfTheDay] = {
+        relation: [
+          {
+            id: this.relations.taskOfTheDayPageId
+          }
+        ]
+      };
+    }
+    if (this.relations.summaryPageId) {
+      properties[this.properties.summary] = {
+        relation: [
+          {
+            id: this.relations.summaryPageId
+          }
+        ]
+      };
+    }
+
+    return properties;
+  }
+
   /**
    * 构建Reference任务内容
    * @param {Array} unexecutedNotes - 未执行的笔记列表
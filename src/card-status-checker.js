@@ -1,4 +1,6 @@
-import { log } from './utils.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('card-status-checker');
 
 /**
  * 卡片状态检查器
@@ -6,7 +8,8 @@ import { log } from './utils.js';
 export class CardStatusChecker {
   constructor(notionClient) {
     this.notionClient = notionClient;
-    this.targetDatabaseId = process.env.TARGET_DATABASE_ID;
+    this.targetDatabaseId = notionClient.targetDatabaseId;
+    this.properties = notionClient.properties.card;
   }
 
   /**
@@ -23,13 +26,13 @@ export class CardStatusChecker {
         filter: {
           and: [
             {
-              property: 'DiscussionID',
+              property: this.properties.discussionId,
               rich_text: {
                 is_not_empty: true
               }
             },
             {
-              property: '它在解决什么问题？',
+              property: this.properties.problemTags,
               multi_select: {
                 is_empty: true
               }
@@ -38,7 +41,7 @@ export class CardStatusChecker {
         },
         sorts: [
           {
-            property: '创建日期',
+            property: this.properties.createdDate,
             direction: 'descending'
           }
         ]
@@ -82,8 +85,8 @@ export class CardStatusChecker {
   extractTitle(page) {
     try {
       // 尝试从页面属性中获取标题
-      if (page.properties && page.properties['标题']) {
-        const titleProp = page.properties['标题'];
+      if (page.properties && page.properties[this.properties.title]) {
+        const titleProp = page.properties[this.properties.title];
         if (titleProp.title && titleProp.title.length > 0) {
           return titleProp.title[0].plain_text;
         }
@@ -112,8 +115,8 @@ export class CardStatusChecker {
    */
   extractDiscussionId(page) {
     try {
-      if (page.properties && page.properties['DiscussionID']) {
-        const discussionIdProp = page.properties['DiscussionID'];
+      if (page.properties && page.properties[this.properties.discussionId]) {
+        const discussionIdProp = page.properties[this.properties.discussionId];
         if (discussionIdProp.rich_text && discussionIdProp.rich_text.length > 0) {
           return discussionIdProp.rich_text[0].plain_text;
         }
@@ -132,8 +135,8 @@ export class CardStatusChecker {
    */
   extractSourceNoteId(page) {
     try {
-      if (page.properties && page.properties['来源笔记']) {
-        const sourceNoteProp = page.properties['来源笔记'];
+      if (page.properties && page.properties[this.properties.sourceNote]) {
+        const sourceNoteProp = page.properties[this.properties.sourceNote];
         if (sourceNoteProp.rich_text && sourceNoteProp.rich_text.length > 0) {
           return sourceNoteProp.rich_text[0].plain_text;
         }
@@ -154,8 +157,8 @@ export class CardStatusChecker {
     try {
       const page = await this.notionClient.client.pages.retrieve({ page_id: pageId });
       
-      if (page.properties && page.properties['它在解决什么问题？']) {
-        const problemProp = page.properties['它在解决什么问题？'];
+      if (page.properties && page.properties[this.properties.problemTags]) {
+        const problemProp = page.properties[this.properties.problemTags];
         if (problemProp.multi_select && problemProp.multi_select.length > 0) {
           return problemProp.multi_select.length > 0;
         }
@@ -180,7 +183,7 @@ export class CardStatusChecker {
       const totalQuery = {
         database_id: this.targetDatabaseId,
         filter: {
-          property: 'DiscussionID',
+          property: this.properties.discussionId,
           rich_text: {
             is_not_empty: true
           }
@@ -196,13 +199,13 @@ export class CardStatusChecker {
           filter: {
             and: [
               {
-                property: 'DiscussionID',
+                property: this.properties.discussionId,
                 rich_text: {
                   is_not_empty: true
                 }
               },
               {
-                property: '它在解决什么问题？',
+                property: this.properties.problemTags,
                 multi_select: {
                   is_not_empty: true
                 }
@@ -0,0 +1,568 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { realpathSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { NotionCommentSync, printSyncSummary } from './main.js';
+import { NotionClient } from './notion-client.js';
+import { CommentFetcher } from './comment-fetcher.js';
+import { DatabaseWriter } from './database-writer.js';
+import { WorkflowManager } from './workflow-manager.js';
+import { SchemaManager } from './database-schema.js';
+import { ConfigError, getPipelines } from './config.js';
+import { RunHistory } from './run-history.js';
+import { SyncState, pipelineStateFile } from './sync-state.js';
+
+const HELP = `
+用法: notion-comment-sync <command> [options]
+
+命令:
+  sync                      执行评论同步（默认命令）
+  status                    查看工作流配置和卡片处理统计
+  find-comment <text>       查找包含指定文本的评论及其所在块
+  validate                  检查目标数据库结构和工作流配置
+  workflow <reference|card> 单独执行 Reference 或卡片处理工作流
+  history [runId]           查看最近的运行记录，指定运行ID时显示详情
+  schema <check|apply>      检查 Reference、目标和行动数据库的属性结构；apply 创建缺失的属性和选项
+
+选项:
+  --pipeline <name>         只运行指定的流水线，sync 可重复使用；配置了多条流水线时其他命令必须指定
+  --note <id>               只处理指定的 Reference 笔记，可重复使用（sync / find-comment）
+  --incremental             增量模式，把已执行笔记上的新回复追加到已有卡片（sync）
+  --dry-run                 预演模式，不写入 Notion、不创建任务、不发送邮件（sync / workflow / schema apply）
+  --rename-title            把名称与配置不同的标题属性改名为配置中的名称（schema apply）
+  --plan-file <path>        预演计划的 JSON 输出路径（sync）
+  --limit <n>               最多显示的运行记录数，默认 10（history）
+  --failed                  只显示失败或有错误的运行（history）
+  --discussion <id>         查看讨论的同步记录：首次发现、卡片、最近同步和错误（history）
+  --log-level <level>       日志级别: error | warn | info | debug
+  --json                    以 JSON 输出结果（日志输出到 stderr）
+  -h, --help                显示帮助
+`.trim();
+
+const OPTIONS = {
+  pipeline: { type: 'string', multiple: true },
+  note: { type: 'string', multiple: true },
+  incremental: { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  'rename-title': { type: 'boolean' },
+  'plan-file': { type: 'string' },
+  limit: { type: 'string' },
+  failed: { type: 'boolean' },
+  discussion: { type: 'string' },
+  'log-level': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * 命令行用法错误
+ */
+class UsageError extends Error {}
+
+function printHeader(title) {
+  console.log('\n============================================================');
+  console.log(title);
+  console.log('============================================================');
+}
+
+function printFooter() {
+  console.log('============================================================\n');
+}
+
+/**
+ * 为只操作一条流水线的命令选择流水线
+ * @param {Object} values - 命令行选项
+ * @returns {Object} 所选流水线
+ */
+function selectPipeline(values) {
+  const pipelines = getPipelines(undefined, values.pipeline);
+  if (pipelines.length > 1) {
+    throw new UsageError(`该命令只能操作一条流水线，请用 --pipeline 指定: ${pipelines.map(pipeline => pipeline.name).join(', ')}`);
+  }
+  return pipelines[0];
+}
+
+/**
+ * 为只操作一条流水线的命令创建客户端
+ * @param {Object} values - 命令行选项
+ * @returns {NotionClient} 所选流水线的客户端
+ */
+function createNotionClient(values) {
+  return new NotionClient({ config: selectPipeline(values).config });
+}
+
+/**
+ * sync 命令
+ */
+async function runSync(args, values) {
+  if (values.note?.length && getPipelines(undefined, values.pipeline).length > 1) {
+    throw new UsageError('--note 只能用于一条流水线，请用 --pipeline 指定');
+  }
+
+  const sync = new NotionCommentSync({
+    incremental: values.incremental,
+    dryRun: values['dry-run'],
+    planFile: values['plan-file'],
+    noteIds: values.note,
+    pipelines: values.pipeline
+  });
+  const result = await sync.sync();
+
+  return {
+    result,
+    ok: result.success,
+    print: () => printSyncSummary(result)
+  };
+}
+
+/**
+ * status 命令
+ */
+async function runStatus(args, values) {
+  const workflowManager = new WorkflowManager(createNotionClient(values));
+  const result = await workflowManager.getWorkflowStatus();
+
+  return {
+    result,
+    ok: !result.error,
+    print: () => {
+      printHeader('📊 WORKFLOW STATUS');
+      console.log(`✅ Workflow Ready: ${result.workflowReady ? 'Yes' : 'No'}`);
+      Object.entries(result.configuration).forEach(([key, value]) => {
+        console.log(`  ${value ? '✅' : '❌'} ${key}`);
+      });
+      if (result.statistics) {
+        console.log('\n📋 CARD STATISTICS');
+        console.log(`📄 Total: ${result.statistics.total}`);
+        console.log(`✅ Processed: ${result.statistics.processed}`);
+        console.log(`⏳ Pending: ${result.statistics.pending}`);
+        console.log(`📈 Processing Rate: ${result.statistics.processingRate}%`);
+      }
+      if (result.error) {
+        console.log(`❌ Error: ${result.error}`);
+      }
+      printFooter();
+    }
+  };
+}
+
+/**
+ * find-comment 命令
+ */
+async function runFindComment(args, values) {
+  const text = args.join(' ').trim();
+  if (!text) {
+    throw new UsageError('find-comment 需要指定要查找的文本');
+  }
+
+  const notionClient = createNotionClient(values);
+  const commentFetcher = new CommentFetcher(notionClient);
+  const notes = values.note?.length
+    ? await notionClient.getNotesByIds(values.note)
+    : await notionClient.getAllReferenceNotes();
+  const matches = await commentFetcher.findComments(text, notes);
+
+  return {
+    result: { text, matches },
+    ok: true,
+    print: () => {
+      printHeader(`🔍 COMMENTS MATCHING "${text}"`);
+      console.log(`🎯 Found: ${matches.length}`);
+      matches.forEach((match, index) => {
+        console.log(`\n${index + 1}. ${match.commentText}`);
+        console.log(`   笔记: ${match.noteTitle} (${match.noteId})`);
+        console.log(`   块: ${match.blockType} (${match.blockId})`);
+        console.log(`   块内容: ${match.blockContent}`);
+        if (match.breadcrumb.length > 0) {
+          console.log(`   位置: ${match.breadcrumb.join(' › ')}`);
+        }
+        console.log(`   链接: ${match.blockUrl}`);
+        console.log(`   评论ID: ${match.commentId}`);
+        console.log(`   讨论ID: ${match.discussionId}`);
+      });
+      printFooter();
+    }
+  };
+}
+
+/**
+ * validate 命令
+ */
+async function runValidate(args, values) {
+  const notionClient = createNotionClient(values);
+  const databaseWriter = new DatabaseWriter(notionClient);
+  const workflowManager = new WorkflowManager(notionClient);
+
+  let targetDatabase;
+  try {
+    await databaseWriter.validateDatabaseStructure();
+    targetDatabase = { valid: true };
+  } catch (error) {
+    targetDatabase = { valid: false, error: error.message };
+  }
+  const configuration = workflowManager.checkWorkflowConfiguration();
+  const result = { targetDatabase, configuration };
+
+  return {
+    result,
+    ok: targetDatabase.valid,
+    print: () => {
+      printHeader('🔎 VALIDATION');
+      console.log(`${targetDatabase.valid ? '✅' : '❌'} Target database structure${targetDatabase.error ? `: ${targetDatabase.error}` : ''}`);
+      Object.entries(configuration).forEach(([key, value]) => {
+        console.log(`${value ? '✅' : '⚠️'} ${key}`);
+      });
+      printFooter();
+    }
+  };
+}
+
+/**
+ * workflow 命令
+ */
+async function runWorkflow(args, values) {
+  const [name] = args;
+  if (!['reference', 'card'].includes(name)) {
+    throw new UsageError('workflow 需要指定 reference 或 card');
+  }
+
+  const pipeline = selectPipeline(values);
+  // 与 sync 共用流水线的同步状态，未完成任务的提醒记录跨运行保留
+  const reminderState = await new SyncState(pipelineStateFile(pipeline)).load();
+  const workflowManager = new WorkflowManager(new NotionClient({ config: pipeline.config }), {
+    dryRun: values['dry-run'],
+    reminderState
+  });
+  const result = name === 'reference'
+    ? await workflowManager.executeReferenceProcessingWorkflow()
+    : await workflowManager.executeCardProcessingWorkflow();
+  if (!values['dry-run']) {
+    await reminderState.save();
+  }
+
+  return {
+    result,
+    ok: result.success,
+    print: () => {
+      printHeader(`🔄 ${name.toUpperCase()} WORKFLOW${values['dry-run'] ? ' (DRY RUN)' : ''}`);
+      console.log(`✅ Success: ${result.success ? 'Yes' : 'No'}`);
+      console.log(`📝 ${name === 'reference' ? 'Unexecuted Notes' : 'Pending Cards'}: ${name === 'reference' ? result.unexecutedNotes : result.pendingCards}`);
+      console.log(`📋 Action Task Created: ${result.actionTaskCreated ? result.actionTask.url : 'No'}`);
+      console.log(`📧 Email Sent: ${result.emailSent ? 'Yes' : 'No'}`);
+      if (result.unfinishedTask) {
+        console.log(`⚠️ Unfinished Task: ${result.unfinishedTask.title} (${result.unfinishedTask.status})`);
+      }
+      if (result.reminder) {
+        console.log(`🔔 Reminder: ${result.reminder.reason}${result.reminder.escalated ? ' (escalated)' : ''}${result.reminder.nextReminderAt ? `, next due ${result.reminder.nextReminderAt}` : ''}${result.reminder.snoozedUntil ? `, snoozed until ${result.reminder.snoozedUntil}` : ''}`);
+      }
+      if (result.planned) {
+        console.log(`🧪 Planned: task=${result.planned.actionTask || 'none'}, email=${result.planned.email || 'none'}`);
+      }
+      if (result.error) {
+        console.log(`❌ Error: ${result.error}`);
+      }
+      printFooter();
+    }
+  };
+}
+
+/**
+ * history 命令
+ */
+async function runHistory(args, values) {
+  if (values.discussion) {
+    return showDiscussionHistory(values.discussion, values);
+  }
+
+  const history = new RunHistory();
+  const [runId] = args;
+  if (runId) {
+    let run;
+    try {
+      run = await history.getRun(runId);
+    } catch (error) {
+      throw new UsageError(error.message);
+    }
+    return {
+      result: run,
+      ok: !!run,
+      print: () => {
+        printHeader(`🕘 RUN ${runId}`);
+        if (!run) {
+          console.log('❌ Run not found');
+        } else {
+          printRunDetails(run);
+        }
+        printFooter();
+      }
+    };
+  }
+
+  const limit = parseInt(values.limit || '10', 10);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new UsageError('--limit 需要是正整数');
+  }
+  const runs = await history.getRuns({ limit, failedOnly: values.failed });
+
+  return {
+    result: runs,
+    ok: true,
+    print: () => {
+      printHeader(`🕘 RUN HISTORY${values.failed ? ' (failed only)' : ''}`);
+      if (runs.length === 0) {
+        console.log('No runs recorded');
+      }
+      runs.forEach((run, index) => {
+        const { counts } = run;
+        console.log(`${index + 1}. ${run.success ? '✅' : '❌'} ${run.runId}  ${run.startedAt}  ${run.durationMs}ms`);
+        console.log(`   written ${counts.written}, replies ${counts.appendedReplies}, re-rendered ${counts.updatedCards}, deleted sources ${counts.deletedSources}, errors ${counts.errors}`);
+        if (run.error) {
+          console.log(`   ❌ ${run.error}`);
+        }
+      });
+      printFooter();
+    }
+  };
+}
+
+/**
+ * 输出单次运行的详情
+ * @param {Object} run - 运行记录
+ */
+function printRunDetails(run) {
+  console.log(`✅ Success: ${run.success ? 'Yes' : 'No'}`);
+  console.log(`⏱️ ${run.startedAt} → ${run.finishedAt} (${run.durationMs}ms)`);
+  if (run.error) {
+    console.log(`❌ Error: ${run.error}`);
+  }
+
+  run.pipelines.forEach(pipeline => {
+    const { counts } = pipeline;
+    console.log(`\n🔀 PIPELINE ${pipeline.name}: ${pipeline.success ? 'OK' : `FAILED (${pipeline.error})`}`);
+    console.log(`📝 Processed: ${counts.processed}, 💾 Written: ${counts.written}, 🔁 Replies: ${counts.appendedReplies}, ✏️ Re-rendered: ${counts.updatedCards}, 🗑️ Deleted sources: ${counts.deletedSources}, ❌ Errors: ${counts.errors}`);
+    [['Reference workflow', pipeline.referenceWorkflow], ['Card workflow', pipeline.cardWorkflow]].forEach(([name, workflow]) => {
+      if (!workflow) {
+        console.log(`📋 ${name}: not run`);
+        return;
+      }
+      const task = workflow.actionTaskUrl || (workflow.unfinishedTask ? `unfinished "${workflow.unfinishedTask}"` : 'none');
+      console.log(`📋 ${name}: ${workflow.success ? 'OK' : `failed (${workflow.error})`}, task=${task}, email=${workflow.emailSent ? 'sent' : 'no'}`);
+    });
+    pipeline.failures.forEach((failure, index) => {
+      console.log(`  ${index + 1}. [${failure.stage}] ${failure.title}${failure.discussionId ? ` (${failure.discussionId})` : ''}: ${failure.error}`);
+    });
+  });
+}
+
+/**
+ * history --discussion：从各流水线的同步状态中查找讨论
+ * @param {string} discussionId - 讨论ID
+ * @param {Object} values - 命令行选项
+ */
+async function showDiscussionHistory(discussionId, values) {
+  const entries = [];
+  for (const pipeline of getPipelines(undefined, values.pipeline)) {
+    const syncState = await new SyncState(pipelineStateFile(pipeline)).load();
+    const discussion = syncState.getDiscussion(discussionId);
+    if (discussion) {
+      entries.push({ pipeline: pipeline.name, ...discussion });
+    }
+  }
+
+  return {
+    result: { discussionId, entries },
+    ok: entries.length > 0,
+    print: () => {
+      printHeader(`🕘 DISCUSSION ${discussionId}`);
+      if (entries.length === 0) {
+        console.log('❌ No sync state recorded for this discussion');
+      }
+      entries.forEach(entry => {
+        console.log(`\n🔀 Pipeline: ${entry.pipeline}`);
+        console.log(`   首次发现: ${entry.firstSeenAt || '未知'}${entry.firstSeenRunId ? ` (run ${entry.firstSeenRunId})` : ''}`);
+        console.log(`   卡片: ${entry.pageId || '未创建'}${entry.createdByRunId ? ` (run ${entry.createdByRunId} 于 ${entry.createdAt} 创建)` : ''}`);
+        console.log(`   最近同步: ${entry.lastSyncedAt || '未知'}${entry.lastSyncedRunId ? ` (run ${entry.lastSyncedRunId})` : ''}`);
+        console.log(`   已同步评论: ${entry.syncedCommentIds?.length || 0}`);
+        console.log(`   内容哈希: ${entry.contentHash || '未记录'}`);
+        if (entry.sourceDeletedAt) {
+          console.log(`   源已删除: ${entry.sourceDeletedAt} (${entry.sourceDeletedReason})`);
+        }
+        if (entry.needsRepair) {
+          console.log(`   待修复: Solution 区域缺失 (run ${entry.needsRepair.runId}, ${entry.needsRepair.since}): ${entry.needsRepair.message}`);
+        }
+        if (entry.lastError) {
+          console.log(`   最近错误: [${entry.lastError.stage}] ${entry.lastError.message} (run ${entry.lastError.runId}, ${entry.lastError.at})`);
+        }
+      });
+      printFooter();
+    }
+  };
+}
+
+/**
+ * 输出单个属性的检查结果
+ * @param {Object} property - 属性检查结果
+ */
+function printSchemaProperty(property) {
+  const optional = property.required ? '' : '（可选）';
+  const manual = property.fixable ? '' : `，需要手动处理${property.note ? `: ${property.note}` : ''}`;
+
+  switch (property.status) {
+    case 'ok':
+      console.log(`  ✅ ${property.name}: ${property.type}`);
+      break;
+    case 'missing':
+      console.log(`  ${property.fixable ? '➕' : '❌'} ${property.name}: 缺少 ${property.type} 属性${optional}${property.renameFrom ? `，数据库的标题属性名为 "${property.renameFrom}"（在 Notion 中改名，或运行 schema apply --rename-title）` : ''}${manual}`);
+      break;
+    case 'wrong_type':
+      console.log(`  ❌ ${property.name}: 应为 ${property.type}，实际为 ${property.actualType}${optional}${manual}`);
+      break;
+    case 'wrong_relation':
+      console.log(`  ❌ ${property.name}: 应关联 ${property.expectedRelation}，实际关联 ${property.actualRelation || '无'}${manual}`);
+      break;
+    case 'missing_options':
+      console.log(`  ${property.fixable ? '➕' : '❌'} ${property.name}: 缺少选项 ${property.missingOptions.join(', ')}${manual}`);
+      break;
+  }
+}
+
+/**
+ * 输出数据库结构检查结果
+ * @param {Array} databases - 各数据库的检查结果
+ */
+function printSchemaDatabases(databases) {
+  databases.forEach(database => {
+    console.log(`\n📚 ${database.label} (${database.databaseId})`);
+    if (database.error) {
+      console.log(`  ❌ 无法读取数据库: ${database.error}`);
+      return;
+    }
+    database.properties.forEach(printSchemaProperty);
+  });
+}
+
+/**
+ * schema 命令
+ */
+async function runSchema(args, values) {
+  const [action] = args;
+  if (!['check', 'apply'].includes(action)) {
+    throw new UsageError('schema 需要指定 check 或 apply');
+  }
+
+  const schemaManager = new SchemaManager(createNotionClient(values));
+
+  if (action === 'check') {
+    const result = await schemaManager.check();
+    return {
+      result,
+      ok: result.valid,
+      print: () => {
+        printHeader('📐 DATABASE SCHEMA');
+        printSchemaDatabases(result.databases);
+        console.log(`\n${result.valid ? '✅ 所有必需属性均已就绪' : '❌ 缺少必需属性或属性不符，可运行 schema apply 创建缺失的属性和选项'}`);
+        printFooter();
+      }
+    };
+  }
+
+  const result = await schemaManager.apply({ dryRun: values['dry-run'], renameTitle: values['rename-title'] });
+  return {
+    result,
+    ok: result.errors.length === 0 && (result.dryRun || result.valid),
+    print: () => {
+      printHeader(`📐 DATABASE SCHEMA APPLY${result.dryRun ? ' (DRY RUN)' : ''}`);
+      console.log(`🛠️ ${result.dryRun ? 'Planned changes' : 'Applied changes'}: ${result.changes.length}`);
+      result.changes.forEach((change, index) => {
+        console.log(`  ${index + 1}. [${change.database}] ${change.property}: ${change.action} ${change.detail}`);
+      });
+      result.errors.forEach(entry => {
+        console.log(`❌ [${entry.database}] ${entry.error}`);
+      });
+      printSchemaDatabases(result.databases);
+      console.log(`\n${result.valid ? '✅ 所有必需属性均已就绪' : '⚠️ 仍有需要手动处理的属性'}`);
+      printFooter();
+    }
+  };
+}
+
+const COMMANDS = {
+  sync: runSync,
+  status: runStatus,
+  'find-comment': runFindComment,
+  validate: runValidate,
+  workflow: runWorkflow,
+  history: runHistory,
+  schema: runSchema
+};
+
+/**
+ * 命令行入口
+ * @param {Array} argv - 命令行参数（不含 node 和脚本路径）
+ * @returns {Promise<number>} 退出码
+ */
+export async function cli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${HELP}`);
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const [commandName = 'sync', ...args] = positionals;
+
+  if (values.help) {
+    console.log(HELP);
+    return 0;
+  }
+
+  const command = COMMANDS[commandName];
+  if (!command) {
+    console.error(`❌ Unknown command: ${commandName}\n\n${HELP}`);
+    return 2;
+  }
+
+  if (values['log-level']) {
+    process.env.LOG_LEVEL = values['log-level'];
+  }
+
+  // JSON 模式下 stdout 只输出结果，日志改写到 stderr
+  const stdoutLog = console.log;
+  if (values.json) {
+    console.log = console.error;
+  }
+
+  try {
+    const { result, ok, print } = await command(args, values);
+
+    if (values.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else {
+      print();
+    }
+    return ok ? 0 : 1;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n\n${HELP}`);
+      return 2;
+    }
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      return 1;
+    }
+    console.error(`❌ Command ${commandName} failed:`, error);
+    return 1;
+  } finally {
+    console.log = stdoutLog;
+  }
+}
+
+// 如果直接运行此文件（包括通过 npm bin 链接运行），执行命令行
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  cli(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  });
+}
@@ -1,13 +1,15 @@
-import { log } from './utils.js';
+import { createLogger } from './logger.js';
+import { CommentMarkers } from './comment-markers.js';
+
+const log = createLogger('comment-fetcher');
 
 /**
  * 评论抓取和分组处理
  */
 export class CommentFetcher {
-  constructor(notionClient) {
+  constructor(notionClient, options = {}) {
     this.notionClient = notionClient;
-    this.prefix = 'A：'; // 支持的前缀
-    this.alternativePrefixes = ['A:', 'A：', 'A: ', 'Q:', 'Q：', 'Q: ', '→:', '→：', '→: ']; // 支持的前缀格式
+    this.markers = options.markers || CommentMarkers.fromEnv(); // 与 ContentProcessor 共用的标记语法
   }
 
   /**
@@ -16,15 +18,35 @@ export class CommentFetcher {
    * @returns {Promise<Array>} 分组后的评论
    */
   async fetchAndGroupComments(pageId) {
+    const { discussions } = await this.scanNote(pageId);
+    return discussions;
+  }
+
+  /**
+   * 扫描页面评论：筛选有效讨论，并记录页面上现存的全部讨论和块（用于发现已删除的讨论）
+   * @param {string} pageId - 页面ID
+   * @returns {Promise<Object>} { discussions, discussionIds, blockIds, complete }
+   */
+  async scanNote(pageId) {
     try {
       log('info', `Starting to fetch comments for page: ${pageId}`);
       
       // 获取页面所有块及其评论
-      const blocksWithComments = await this.notionClient.getPageBlocksWithComments(pageId);
+      const { blocks, blocksWithComments, failedBlockIds } = await this.notionClient.scanPageComments(pageId);
+      const scan = {
+        discussions: [],
+        discussionIds: new Set(),
+        blockIds: new Set(blocks.map(block => block.id)),
+        complete: failedBlockIds.length === 0
+      };
+      
+      if (!scan.complete) {
+        log('warn', `Scan of page ${pageId} is incomplete, ${failedBlockIds.length} blocks failed`);
+      }
       
-      if (!blocksWithComments || blocksWithComments.length === 0) {
+      if (blocksWithComments.length === 0) {
         log('info', 'No blocks with comments found on the page');
-        return [];
+        return scan;
       }
 
       // 收集所有评论
@@ -35,7 +57,10 @@ export class CommentFetcher {
           comment.blockInfo = {
             id: block.id,
             type: block.type,
-            content: this.extractBlockContent(block)
+            content: this.extractBlockContent(block),
+            richText: block[block.type]?.rich_text || null, // 保留链接、提及和样式，供卡片引用源块
+            breadcrumb: block.breadcrumb || [],
+            url: this.notionClient.getBlockUrl(pageId, block.id)
           };
           allComments.push(comment);
         });
@@ -45,15 +70,16 @@ export class CommentFetcher {
 
       // 按 discussion_id 分组
       const groupedComments = this.groupCommentsByDiscussion(allComments);
+      Object.keys(groupedComments).forEach(discussionId => scan.discussionIds.add(discussionId));
       
-      log('info', `Grouped comments into ${Object.keys(groupedComments).length} discussions`);
+      log('info', `Grouped comments into ${scan.discussionIds.size} discussions`);
       
       // 筛选符合条件的讨论线程
-      const validDiscussions = this.filterValidDiscussions(groupedComments);
+      scan.discussions = this.filterValidDiscussions(groupedComments);
       
-      log('info', `Found ${validDiscussions.length} valid discussions with prefixes: A:/A:, Q:/Q:, →:/→:`);
+      log('info', `Found ${scan.discussions.length} valid discussions with prefixes: ${this.markers.describe()}`);
       
-      return validDiscussions;
+      return scan;
     } catch (error) {
       log('error', 'Failed to fetch and group comments', error);
       throw error;
@@ -90,36 +116,25 @@ export class CommentFetcher {
     Object.keys(groupedComments).forEach(discussionId => {
       const comments = groupedComments[discussionId];
       
-      // 检查是否有评论以有效前缀开头
-      const hasValidPrefix = comments.some(comment => {
-        const commentText = this.extractCommentText(comment);
-        return this.alternativePrefixes.some(prefix => 
-          commentText.trim().startsWith(prefix)
-        );
-      });
+      // 检查是否有评论带有触发建卡的标记
+      const hasValidPrefix = comments.some(comment => 
+        this.markers.isTrigger(this.extractCommentText(comment))
+      );
       
       if (hasValidPrefix) {
         // 按时间排序评论
         comments.sort((a, b) => new Date(a.created_time) - new Date(b.created_time));
         
-        // 提取讨论标题（第一条有效前缀的评论）
-        const titleComment = comments.find(comment => {
-          const commentText = this.extractCommentText(comment);
-          return this.alternativePrefixes.some(prefix => 
-            commentText.trim().startsWith(prefix)
-          );
-        });
+        // 提取讨论标题：优先使用 title 角色的评论，否则使用第一条带标记的评论
+        const markedComments = comments
+          .map(comment => this.markers.match(this.extractCommentText(comment)))
+          .filter(match => match && match.marker.role !== 'ignore' && match.content);
+        const titleMatch = markedComments.find(match => match.marker.role === 'title') || markedComments[0];
         
-        if (titleComment) {
-          const titleText = this.extractCommentText(titleComment);
-          const actualPrefix = this.alternativePrefixes.find(prefix => 
-            titleText.trim().startsWith(prefix)
-          );
-          const title = titleText.trim().replace(new RegExp(`^${actualPrefix}\\s*`), '').trim();
-          
+        if (titleMatch) {
           validDiscussions.push({
             discussionId,
-            title,
+            title: titleMatch.content,
             comments,
             sourceNote: null // 将在 processMultipleNotes 中设置
           });
@@ -136,25 +151,38 @@ export class CommentFetcher {
    * @returns {Array} 所有讨论线程
    */
   async processMultipleNotes(notes) {
+    const { discussions } = await this.scanNotes(notes);
+    return discussions;
+  }
+
+  /**
+   * 扫描多个笔记的评论
+   * @param {Array} notes - 笔记数组
+   * @returns {Promise<Object>} { discussions: 所有讨论线程, notes: 成功扫描的笔记及其现存讨论和块 }
+   */
+  async scanNotes(notes) {
     const allDiscussions = [];
+    const scannedNotes = [];
     
     for (const note of notes) {
       log('info', `Processing note: ${note.id}`);
       
       try {
-        const discussions = await this.fetchAndGroupComments(note.id);
+        const { discussions, discussionIds, blockIds, complete } = await this.scanNote(note.id);
+        const sourceNote = {
+          id: note.id,
+          title: this.extractNoteTitle(note),
+          url: this.notionClient.getNoteUrl(note.id)
+        };
         
         // 为每个讨论添加源笔记信息
         discussions.forEach(discussion => {
-          discussion.sourceNote = {
-            id: note.id,
-            title: this.extractNoteTitle(note),
-            url: this.notionClient.getNoteUrl(note.id)
-          };
+          discussion.sourceNote = sourceNote;
         });
         
         log('info', `Found ${discussions.length} discussions in note ${note.id}`);
         allDiscussions.push(...discussions);
+        scannedNotes.push({ ...sourceNote, discussionIds, blockIds, complete });
         
       } catch (error) {
         log('error', `Failed to process note ${note.id}:`, error);
@@ -162,7 +190,50 @@ export class CommentFetcher {
     }
     
     log('info', `Total discussions found across all notes: ${allDiscussions.length}`);
-    return allDiscussions;
+    return { discussions: allDiscussions, notes: scannedNotes };
+  }
+
+  /**
+   * 在笔记中查找包含指定文本的评论（用于排查评论所在的块）
+   * @param {string} text - 要查找的文本
+   * @param {Array} notes - 笔记数组
+   * @returns {Promise<Array>} 匹配的评论及其所在位置
+   */
+  async findComments(text, notes) {
+    const matches = [];
+    
+    for (const note of notes) {
+      const noteTitle = this.extractNoteTitle(note);
+      log('info', `Searching note: ${noteTitle} (${note.id})`);
+      
+      try {
+        const blocksWithComments = await this.notionClient.getPageBlocksWithComments(note.id);
+        
+        blocksWithComments.forEach(({ block, comments }) => {
+          comments
+            .filter(comment => this.extractCommentText(comment).includes(text))
+            .forEach(comment => {
+              matches.push({
+                noteId: note.id,
+                noteTitle,
+                blockId: block.id,
+                blockType: block.type,
+                blockContent: this.extractBlockContent(block),
+                blockUrl: this.notionClient.getBlockUrl(note.id, block.id),
+                breadcrumb: block.breadcrumb || [],
+                commentId: comment.id,
+                discussionId: comment.discussion_id,
+                commentText: this.extractCommentText(comment)
+              });
+            });
+        });
+      } catch (error) {
+        log('error', `Failed to search note ${note.id}:`, error);
+      }
+    }
+    
+    log('info', `Found ${matches.length} comments containing "${text}"`);
+    return matches;
   }
 
   /**
@@ -171,8 +242,8 @@ export class CommentFetcher {
    * @returns {string} 笔记标题
    */
   extractNoteTitle(note) {
-    // 尝试不同的标题属性名
-    const titleProperties = ['Name', 'Title', '标题'];
+    // 优先使用配置的标题属性，再尝试常见的标题属性名
+    const titleProperties = [this.notionClient.properties.reference.title, 'Name', 'Title', '标题'];
     
     for (const propName of titleProperties) {
       if (note.properties[propName]?.title?.[0]?.text?.content) {
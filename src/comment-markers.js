@@ -0,0 +1,157 @@
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('comment-markers');
+
+/**
+ * 评论标记的角色
+ * - title: 只提供卡片标题，不渲染到正文
+ * - question / answer: 渲染在源块引用之前
+ * - insight / todo: 渲染在源块引用之后
+ * - ignore: 不参与筛选也不渲染
+ */
+export const MARKER_ROLES = ['title', 'question', 'answer', 'insight', 'todo', 'ignore'];
+
+/**
+ * 支持的渲染块类型
+ */
+export const RENDER_BLOCK_TYPES = ['paragraph', 'bulleted_list_item', 'to_do', 'callout', 'quote'];
+
+/**
+ * 默认标记（与早期硬编码的 A: / Q: / →: 保持一致，半角和全角冒号都支持）
+ */
+export const DEFAULT_MARKERS = [
+  { name: 'Q', prefixes: ['Q:', 'Q：'], role: 'question', render: { label: 'Q：' } },
+  { name: 'A', prefixes: ['A:', 'A：'], role: 'answer', render: { label: 'A：' } },
+  { name: '→', prefixes: ['→:', '→：'], role: 'insight', render: { label: '→：' } }
+];
+
+/**
+ * 评论标记语法：CommentFetcher 的讨论筛选和 ContentProcessor 的卡片渲染共用同一份定义
+ */
+export class CommentMarkers {
+  constructor(markers = DEFAULT_MARKERS) {
+    this.markers = CommentMarkers.validate(markers);
+
+    // 最长前缀优先，避免 "TODO:" 被 "TO" 之类的短前缀抢先匹配
+    this.prefixIndex = this.markers
+      .flatMap(marker => marker.prefixes.map(prefix => ({ prefix, marker })))
+      .sort((a, b) => b.prefix.length - a.prefix.length);
+  }
+
+  /**
+   * 从 COMMENT_MARKERS_FILE 指定的 JSON 文件加载标记，未配置时使用默认标记
+   * @returns {CommentMarkers} 标记语法
+   */
+  static fromEnv() {
+    const filePath = process.env.COMMENT_MARKERS_FILE;
+    if (!filePath) {
+      return new CommentMarkers();
+    }
+
+    return CommentMarkers.fromFile(filePath);
+  }
+
+  /**
+   * 从 JSON 文件加载标记
+   * @param {string} filePath - JSON 文件路径，内容为标记数组或 { markers: [...] }
+   * @returns {CommentMarkers} 标记语法
+   */
+  static fromFile(filePath) {
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read comment markers from ${filePath}: ${error.message}`);
+    }
+
+    const markers = Array.isArray(parsed) ? parsed : parsed.markers;
+    log('info', `Loaded ${markers?.length || 0} comment markers from ${filePath}`);
+    return new CommentMarkers(markers);
+  }
+
+  /**
+   * 校验并规范化标记定义
+   * @param {Array} markers - 标记定义
+   * @returns {Array} 规范化后的标记
+   */
+  static validate(markers) {
+    if (!Array.isArray(markers) || markers.length === 0) {
+      throw new Error('Comment markers must be a non-empty array');
+    }
+
+    return markers.map((marker, index) => {
+      const where = `Comment marker #${index + 1}${marker?.name ? ` (${marker.name})` : ''}`;
+
+      if (!Array.isArray(marker?.prefixes) || marker.prefixes.length === 0 ||
+          !marker.prefixes.every(prefix => typeof prefix === 'string' && prefix.trim())) {
+        throw new Error(`${where}: "prefixes" must be a non-empty array of strings`);
+      }
+      if (!MARKER_ROLES.includes(marker.role)) {
+        throw new Error(`${where}: "role" must be one of ${MARKER_ROLES.join(', ')}`);
+      }
+
+      const render = { block: 'paragraph', label: '', ...marker.render };
+      if (!RENDER_BLOCK_TYPES.includes(render.block)) {
+        throw new Error(`${where}: "render.block" must be one of ${RENDER_BLOCK_TYPES.join(', ')}`);
+      }
+
+      return {
+        name: marker.name || marker.prefixes[0],
+        prefixes: marker.prefixes.map(prefix => prefix.trim()),
+        role: marker.role,
+        render
+      };
+    });
+  }
+
+  /**
+   * 匹配文本开头的标记
+   * @param {string} text - 评论文本
+   * @returns {Object|null} { marker, prefix, content }，无标记时返回null
+   */
+  match(text) {
+    const trimmed = (text || '').trim();
+    const hit = this.prefixIndex.find(({ prefix }) => trimmed.startsWith(prefix));
+
+    if (!hit) {
+      return null;
+    }
+
+    return {
+      marker: hit.marker,
+      prefix: hit.prefix,
+      content: trimmed.slice(hit.prefix.length).trim()
+    };
+  }
+
+  /**
+   * 获取文本的角色
+   * @param {string} text - 评论文本
+   * @returns {string|null} 角色，无标记时返回null
+   */
+  getRole(text) {
+    return this.match(text)?.marker.role || null;
+  }
+
+  /**
+   * 文本是否带有会触发建卡的标记（ignore 以外的角色）
+   * @param {string} text - 评论文本
+   * @returns {boolean}
+   */
+  isTrigger(text) {
+    const role = this.getRole(text);
+    return role !== null && role !== 'ignore';
+  }
+
+  /**
+   * 标记说明，用于日志
+   * @returns {string}
+   */
+  describe() {
+    return this.markers
+      .filter(marker => marker.role !== 'ignore')
+      .map(marker => marker.prefixes.join('/'))
+      .join(', ');
+  }
+}
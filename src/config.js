@@ -0,0 +1,422 @@
+import fs from 'fs';
+import { createLogger } from './logger.js';
+
+const log = createLogger('config');
+
+/**
+ * 默认配置文件路径（文件不存在时只使用环境变量和默认值）
+ */
+const DEFAULT_CONFIG_FILE = 'notion-sync.config.json';
+
+/**
+ * 配置项定义：type 为值类型，env 为可覆盖配置文件的环境变量，default 为默认值
+ * - id: Notion 数据库或页面ID（32位十六进制，可带连字符）
+ * - url: http(s) 链接
+ * - string: 非空字符串
+ * - name: 只含字母、数字、"-" 和 "_" 的名称
+ * - boolean: true 或 false
+ * - list: 名称列表（JSON 数组，或逗号分隔的字符串）
+ * - number: 非负数
+ * - positiveInteger: 正整数
+ */
+const CONFIG_SCHEMA = {
+  notion: {
+    referenceDatabaseId: { type: 'id', env: 'REFERENCE_DATABASE_ID', required: true },
+    referenceDatabaseUrl: { type: 'url', env: 'REFERENCE_DATABASE_URL' },
+    targetDatabaseId: { type: 'id', env: 'TARGET_DATABASE_ID', required: true },
+    actionDatabaseId: { type: 'id', env: 'ACTION_DATABASE_ID' },
+    masterTemplateId: { type: 'id', env: 'MASTER_TEMPLATE_ID' }
+  },
+  summary: {
+    databaseId: { type: 'id', env: 'SUMMARY_DATABASE_ID' },
+    titleProperty: { type: 'string', default: '名称' },
+    pageTitle: { type: 'string', default: 'Summary' }
+  },
+  relations: {
+    taskOfTheDayPageId: { type: 'id', env: 'TASK_OF_THE_DAY_PAGE_ID' },
+    summaryPageId: { type: 'id', env: 'SUMMARY_PAGE_ID' }
+  },
+  tasks: {
+    referenceTitlePrefix: { type: 'string', default: 'Reference处理需求' },
+    referencePriority: { type: 'string', default: 'High' },
+    referenceCategory: { type: 'string', default: 'PKM' },
+    cardTitlePrefix: { type: 'string', default: '卡片处理需求' },
+    cardPriority: { type: 'string', default: 'Medium' },
+    cardCategory: { type: 'string', default: 'PKM' }
+  },
+  // 以下为属性名和选项值映射：逻辑字段 → 工作区中的实际名称（英文工作区或改过名的属性在这里绑定）
+  referenceProperties: {
+    title: { type: 'string', default: '标题' },
+    automationStatus: { type: 'string', default: '自动化' },
+    createdTime: { type: 'string', default: '创建时间' }
+  },
+  cardProperties: {
+    title: { type: 'string', default: '卡片笔记' },
+    discussionId: { type: 'string', default: 'DiscussionID' },
+    reference: { type: 'string', default: 'Reference' },
+    summary: { type: 'string', default: 'Summary' },
+    problemTags: { type: 'string', default: '它在解决什么问题？' },
+    createdDate: { type: 'string', default: '创建日期' },
+    sourceNote: { type: 'string', default: '来源笔记' },
+    sourceDeleted: { type: 'string', default: '源已删除' }
+  },
+  taskProperties: {
+    title: { type: 'string', default: 'Task' },
+    status: { type: 'string', default: 'Status' },
+    priority: { type: 'string', default: '优先级' },
+    category: { type: 'string', default: 'Category' },
+    dueDate: { type: 'string', default: 'DDL' },
+    createdTime: { type: 'string', default: '创建时间' },
+    taskOfTheDay: { type: 'string', default: 'Task of the day' },
+    summary: { type: 'string', default: 'Summary' },
+    reference: { type: 'string', default: 'Reference' },
+    snoozeUntil: { type: 'string', default: '暂停提醒至' }
+  },
+  // 通知渠道：channels 为启用的渠道（可组合，见 notifier.js），timeoutMs 为 HTTP 渠道的请求超时（毫秒），其余为各渠道的地址和凭据
+  // templatesDir 为自定义消息模板目录，其中的同名文件覆盖 templates/messages 下的默认模板
+  // digest 为 true 时工作流不单独发送提醒和警告，每次运行合并为一条每日汇总
+  // escalationEmailCc 为提醒升级时邮件的抄送地址
+  notifications: {
+    channels: { type: 'list', env: 'NOTIFY_CHANNELS', default: ['email'] },
+    webhookUrl: { type: 'url', env: 'NOTIFY_WEBHOOK_URL' },
+    slackWebhookUrl: { type: 'url', env: 'SLACK_WEBHOOK_URL' },
+    telegramBotToken: { type: 'string', env: 'TELEGRAM_BOT_TOKEN' },
+    telegramChatId: { type: 'string', env: 'TELEGRAM_CHAT_ID' },
+    telegramApiUrl: { type: 'url', env: 'TELEGRAM_API_URL', default: 'https://api.telegram.org' },
+    dingtalkWebhookUrl: { type: 'url', env: 'DINGTALK_WEBHOOK_URL' },
+    dingtalkSecret: { type: 'string', env: 'DINGTALK_SECRET' },
+    wecomWebhookUrl: { type: 'url', env: 'WECOM_WEBHOOK_URL' },
+    timeoutMs: { type: 'positiveInteger', env: 'NOTIFY_TIMEOUT_MS', default: 10000 },
+    templatesDir: { type: 'string', env: 'NOTIFY_TEMPLATES_DIR' },
+    digest: { type: 'boolean', env: 'NOTIFY_DIGEST', default: false },
+    escalationEmailCc: { type: 'string', env: 'ESCALATION_EMAIL_CC' }
+  },
+  // 未完成任务警告的提醒策略：intervalDays 为同一任务两次警告的最短间隔（天，0 为每次运行都提醒），
+  // escalateAfterDays 为任务创建多少天后升级提醒（0 为不升级），升级时任务优先级改为 escalatedPriority
+  reminders: {
+    intervalDays: { type: 'number', env: 'REMINDER_INTERVAL_DAYS', default: 1 },
+    escalateAfterDays: { type: 'number', env: 'REMINDER_ESCALATE_AFTER_DAYS', default: 7 },
+    escalatedPriority: { type: 'string', default: 'High' }
+  },
+  statuses: {
+    referencePending: { type: 'string', default: '未执行' },
+    referenceDone: { type: 'string', default: '已执行' },
+    taskInitial: { type: 'string', default: '未开始' },
+    taskDone: { type: 'string', default: '完成' }
+  }
+};
+
+/**
+ * 流水线（pipelines 数组中的每一项）自身的字段；其余键为上面的配置分区，按字段覆盖顶层配置
+ * - name: 流水线名称，用于日志、摘要和默认的同步状态文件名
+ * - markersFile: 评论标记文件，默认使用 COMMENT_MARKERS_FILE
+ * - stateFile: 同步状态文件，默认 SYNC_STATE_FILE 所在目录下的 <name>.json
+ * - deletedSourceAction: 源删除处理方式，默认使用 DELETED_SOURCE_ACTION
+ * - partialCardAction: 卡片只建了一半时的处理方式，默认使用 PARTIAL_CARD_ACTION
+ * - workflows: 是否执行 Reference 和卡片处理工作流（创建行动任务、发送邮件）
+ */
+const PIPELINE_FIELDS = {
+  name: { type: 'name', required: true },
+  markersFile: { type: 'string' },
+  stateFile: { type: 'string' },
+  deletedSourceAction: { type: 'string' },
+  partialCardAction: { type: 'string' },
+  workflows: { type: 'boolean', default: true }
+};
+
+/**
+ * 配置错误
+ */
+export class ConfigError extends Error {
+  constructor(source, problems) {
+    super(`Invalid configuration (${source}):\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * 加载配置：配置文件 < 环境变量，缺省项使用默认值
+ * @param {string} filePath - 配置文件路径，默认 CONFIG_FILE 或 notion-sync.config.json
+ * @returns {Object} 校验后的配置
+ */
+export function loadConfig(filePath = process.env.CONFIG_FILE) {
+  const configPath = filePath || DEFAULT_CONFIG_FILE;
+  const exists = fs.existsSync(configPath);
+  let fileConfig = {};
+
+  if (exists) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      throw new ConfigError(configPath, [`failed to parse JSON: ${error.message}`]);
+    }
+    log('info', `Loaded configuration from ${configPath}`);
+  } else if (filePath) {
+    // 显式指定的配置文件必须存在
+    throw new ConfigError(configPath, ['file not found']);
+  }
+
+  return validateConfig(fileConfig, exists ? configPath : 'environment');
+}
+
+/**
+ * 校验配置并合并环境变量和默认值
+ * @param {Object} fileConfig - 配置文件内容
+ * @param {string} source - 配置来源，用于错误信息
+ * @returns {Object} 校验后的配置，pipelines 为配置的流水线（未配置时为空数组）
+ */
+export function validateConfig(fileConfig, source = 'config') {
+  const problems = [];
+
+  if (typeof fileConfig !== 'object' || fileConfig === null || Array.isArray(fileConfig)) {
+    throw new ConfigError(source, ['top level must be a JSON object']);
+  }
+
+  const { pipelines, ...sections } = fileConfig;
+  const hasPipelines = pipelines !== undefined;
+
+  Object.keys(sections)
+    .filter(section => !CONFIG_SCHEMA[section])
+    .forEach(section => problems.push(`unknown section "${section}" (expected one of ${[...Object.keys(CONFIG_SCHEMA), 'pipelines'].join(', ')})`));
+
+  // 配置了流水线时，顶层配置只作为各流水线的公共默认值，必填项在流水线中检查
+  const config = resolveSections(sections, problems, { checkRequired: !hasPipelines });
+  config.pipelines = hasPipelines ? resolvePipelines(pipelines, config, problems) : [];
+
+  if (problems.length > 0) {
+    throw new ConfigError(source, problems);
+  }
+
+  return config;
+}
+
+/**
+ * 按 CONFIG_SCHEMA 解析各配置分区
+ * @param {Object} sections - 配置文件中的分区
+ * @param {Array} problems - 收集问题描述
+ * @param {Object} options - 解析选项
+ * @param {string} options.prefix - 字段名前缀，用于错误信息
+ * @param {Object} options.base - 公共默认值（流水线继承顶层配置）；提供时不读取环境变量
+ * @param {boolean} options.checkRequired - 是否检查必填项
+ * @returns {Object} 解析后的分区
+ */
+function resolveSections(sections, problems, { prefix = '', base = null, checkRequired = true } = {}) {
+  const config = {};
+
+  for (const [section, fields] of Object.entries(CONFIG_SCHEMA)) {
+    const values = sections[section] ?? {};
+    config[section] = base ? { ...base[section] } : {};
+
+    if (typeof values !== 'object' || Array.isArray(values)) {
+      problems.push(`"${prefix}${section}" must be an object`);
+      continue;
+    }
+
+    Object.keys(values)
+      .filter(key => !fields[key])
+      .forEach(key => problems.push(`unknown field "${prefix}${section}.${key}"`));
+
+    for (const [key, field] of Object.entries(fields)) {
+      const name = `${prefix}${section}.${key}`;
+      let value;
+      let origin = `"${name}"`;
+
+      if (base) {
+        // 继承的值已在顶层校验过，只校验流水线自己设置的值
+        value = values[key] ?? base[section][key];
+        if (values[key] !== undefined) {
+          const problem = checkValue(field.type, value);
+          if (problem) {
+            problems.push(`${origin} ${problem}, got ${JSON.stringify(value)}`);
+          }
+        }
+      } else {
+        // 空的环境变量视为未设置（GitHub Actions 中未配置的 secret 为空字符串）
+        const envValue = field.env ? process.env[field.env] : undefined;
+        value = envValue ? parseEnvValue(field.type, envValue) : (values[key] ?? field.default ?? null);
+        origin = envValue ? `${field.env}` : origin;
+
+        if (value !== null) {
+          const problem = checkValue(field.type, value);
+          if (problem) {
+            problems.push(`${origin} ${problem}, got ${JSON.stringify(value)}`);
+          }
+        }
+      }
+
+      if (value === null && field.required && checkRequired) {
+        problems.push(`"${name}" is required${field.env && !base ? ` (or set ${field.env})` : ''}`);
+      }
+      config[section][key] = field.type === 'list' && typeof value === 'string' ? parseList(value) : value;
+    }
+  }
+
+  return config;
+}
+
+/**
+ * 解析流水线列表：每条流水线继承顶层配置，并用自己的分区按字段覆盖
+ * @param {Array} pipelines - 配置文件中的 pipelines
+ * @param {Object} base - 解析后的顶层配置
+ * @param {Array} problems - 收集问题描述
+ * @returns {Array} 流水线列表 [{ name, markersFile, stateFile, deletedSourceAction, partialCardAction, workflows, config }]
+ */
+function resolvePipelines(pipelines, base, problems) {
+  if (!Array.isArray(pipelines) || pipelines.length === 0) {
+    problems.push('"pipelines" must be a non-empty array');
+    return [];
+  }
+
+  const names = new Set();
+
+  return pipelines.map((entry, index) => {
+    const prefix = `pipelines[${index}].`;
+    if (typeof entry !== 'object' || entry === null || Array.isArray(entry)) {
+      problems.push(`"pipelines[${index}]" must be an object`);
+      return null;
+    }
+
+    const pipeline = {};
+    const sections = {};
+    for (const [key, value] of Object.entries(entry)) {
+      if (PIPELINE_FIELDS[key]) {
+        continue;
+      }
+      if (CONFIG_SCHEMA[key]) {
+        sections[key] = value;
+      } else {
+        problems.push(`unknown field "${prefix}${key}"`);
+      }
+    }
+
+    for (const [key, field] of Object.entries(PIPELINE_FIELDS)) {
+      const value = entry[key] ?? field.default ?? null;
+      if (value === null) {
+        if (field.required) {
+          problems.push(`"${prefix}${key}" is required`);
+        }
+      } else {
+        const problem = checkValue(field.type, value);
+        if (problem) {
+          problems.push(`"${prefix}${key}" ${problem}, got ${JSON.stringify(value)}`);
+        }
+      }
+      pipeline[key] = value;
+    }
+
+    if (pipeline.name && names.has(pipeline.name)) {
+      problems.push(`duplicate pipeline name "${pipeline.name}"`);
+    }
+    names.add(pipeline.name);
+
+    pipeline.config = resolveSections(sections, problems, { prefix, base });
+    return pipeline;
+  }).filter(Boolean);
+}
+
+/**
+ * 检查单个配置值
+ * @param {string} type - 值类型
+ * @param {*} value - 配置值
+ * @returns {string|null} 问题描述，合法时返回null
+ */
+function checkValue(type, value) {
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? null : 'must be true or false';
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0 ? null : 'must be a non-negative number';
+  }
+  if (type === 'positiveInteger') {
+    return Number.isInteger(value) && value > 0 ? null : 'must be a positive integer';
+  }
+  if (type === 'list') {
+    const items = typeof value === 'string' ? parseList(value) : value;
+    return Array.isArray(items) && items.length > 0 && items.every(item => typeof item === 'string' && /^[A-Za-z0-9_-]+$/.test(item))
+      ? null
+      : 'must be a non-empty list of names (array or comma-separated string)';
+  }
+  if (typeof value !== 'string' || !value.trim()) {
+    return 'must be a non-empty string';
+  }
+  if (type === 'id' && !/^[0-9a-f]{32}$/i.test(value.replace(/-/g, ''))) {
+    return 'must be a Notion ID (32 hex characters, dashes optional)';
+  }
+  if (type === 'url' && !/^https?:\/\//.test(value)) {
+    return 'must be an http(s) URL';
+  }
+  if (type === 'name' && !/^[A-Za-z0-9_-]+$/.test(value)) {
+    return 'must contain only letters, digits, "-" and "_"';
+  }
+  return null;
+}
+
+/**
+ * 解析逗号分隔的名称列表
+ * @param {string} value - 如 "email, slack"
+ * @returns {Array} 名称列表
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * 解析环境变量的值：boolean 类型接受 "true" / "false"，number 和 positiveInteger 类型接受数字，其余原样返回（不合法的值由 checkValue 报告）
+ * @param {string} type - 值类型
+ * @param {string} value - 环境变量的值
+ * @returns {*}
+ */
+function parseEnvValue(type, value) {
+  if (type === 'boolean' && ['true', 'false'].includes(value)) {
+    return value === 'true';
+  }
+  if (['number', 'positiveInteger'].includes(type) && /^\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  return value;
+}
+
+let cachedConfig = null;
+
+/**
+ * 获取进程内共享的配置（首次调用时加载）
+ * @returns {Object} 配置
+ */
+export function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * 获取要运行的流水线；配置文件中没有 pipelines 时，顶层配置作为名为 default 的隐式流水线
+ * @param {Object} config - 校验后的配置
+ * @param {Array} names - 只选择这些名称的流水线，为空时选择全部
+ * @returns {Array} 流水线列表，隐式流水线带 implicit: true
+ */
+export function getPipelines(config = getConfig(), names = []) {
+  const pipelines = config.pipelines.length > 0
+    ? config.pipelines
+    : [{
+      name: 'default',
+      implicit: true,
+      markersFile: null,
+      stateFile: null,
+      deletedSourceAction: null,
+      partialCardAction: null,
+      workflows: true,
+      config
+    }];
+
+  if (!names || names.length === 0) {
+    return pipelines;
+  }
+
+  const unknown = names.filter(name => !pipelines.some(pipeline => pipeline.name === name));
+  if (unknown.length > 0) {
+    throw new ConfigError('pipelines', unknown.map(name => `unknown pipeline "${name}" (expected one of ${pipelines.map(pipeline => pipeline.name).join(', ')})`));
+  }
+  return pipelines.filter(pipeline => names.includes(pipeline.name));
+}
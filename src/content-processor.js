@@ -1,12 +1,20 @@
-import { log } from './utils.js';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
 import { formatTime } from './utils.js';
+import { CommentMarkers } from './comment-markers.js';
+import { textSegment, plainText, toWritableRichText, stripLeadingText, markerLength } from './rich-text.js';
+import { MANAGED_SECTION_END_TEXT } from './notion-client.js';
+
+const log = createLogger('content-processor');
 
 /**
  * 内容处理器 - 生成 Notion 页面内容和属性
  */
 export class ContentProcessor {
-  constructor(notionClient) {
+  constructor(notionClient, options = {}) {
     this.notionClient = notionClient;
+    this.dryRun = options.dryRun || false;
+    this.markers = options.markers || CommentMarkers.fromEnv(); // 与 CommentFetcher 共用的标记语法
   }
 
   /**
@@ -28,7 +36,7 @@ export class ContentProcessor {
           database_id: this.notionClient.targetDatabaseId
         },
         properties,
-        children: content,
+        children: [...content, this.buildManagedSectionEnd()],
         // 保留源笔记信息，供后续使用
         sourceNoteId: discussion.sourceNote?.id,
         // 标记需要创建内联数据库
@@ -46,9 +54,11 @@ export class ContentProcessor {
    * @returns {Object} 页面属性
    */
   generatePageProperties(discussion) {
+    const { title, discussionId, reference } = this.notionClient.properties.card;
+
     return {
       // 标题属性
-      '卡片笔记': {
+      [title]: {
         title: [
           {
             type: 'text',
@@ -60,7 +70,7 @@ export class ContentProcessor {
       },
       
       // 讨论ID属性
-      DiscussionID: {
+      [discussionId]: {
         rich_text: [
           {
             type: 'text',
@@ -72,7 +82,7 @@ export class ContentProcessor {
       },
       
       // 源笔记关联属性
-      Reference: {
+      [reference]: {
         relation: [
           {
             id: discussion.sourceNote?.id
@@ -93,7 +103,7 @@ export class ContentProcessor {
     
     // 添加Summary关联属性
     if (summaryPageId) {
-      properties.Summary = {
+      properties[this.notionClient.properties.card.summary] = {
         relation: [
           {
             id: summaryPageId
@@ -129,123 +139,40 @@ export class ContentProcessor {
       }
     });
     
-    // 按类型分组评论
-    const groupedComments = this.groupCommentsByType(discussion.comments);
-    
-    // 添加 Q: 类型的评论（简化格式，只显示内容）
-    if (groupedComments.Q && groupedComments.Q.length > 0) {
-      groupedComments.Q.forEach(comment => {
-        // 直接使用原始评论文本，去掉前缀
-        const commentText = comment.rich_text?.[0]?.plain_text || '';
-        const content = commentText.replace(/^Q:?\s*/, '');
-        children.push({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [
-              {
-                type: 'text',
-                text: {
-                  content: `Q：${content}`
-                }
-              }
-            ]
-          }
-        });
-      });
-    }
+    // 按角色分组评论
+    const groupedComments = this.groupCommentsByRole(discussion.comments);
     
-    // 添加 A: 类型的评论（简化格式，只显示内容）
-    if (groupedComments.A && groupedComments.A.length > 0) {
-      groupedComments.A.forEach(comment => {
-        // 直接使用原始评论文本，去掉前缀
-        const commentText = comment.rich_text?.[0]?.plain_text || '';
-        const content = commentText.replace(/^A:?\s*/, '');
-        children.push({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [
-              {
-                type: 'text',
-                text: {
-                  content: `A：${content}`
-                }
-              }
-            ]
-          }
-        });
-      });
-    }
+    // 添加问题和回答（question / answer 角色，渲染在源块之前）
+    groupedComments.question.forEach(comment => children.push(this.buildCommentBlock(comment)));
+    groupedComments.answer.forEach(comment => children.push(this.buildCommentBlock(comment)));
     
     // 添加源块内容（使用quote格式，与其他内容区分）
     if (discussion.comments?.[0]?.blockInfo) {
       const blockInfo = discussion.comments[0].blockInfo;
-      const blockContent = blockInfo.content;
       
-      // 使用quote格式添加源块内容，与其他内容区分
+      // 使用quote格式添加源块内容，与其他内容区分；有富文本时保留原有的链接、提及和样式
       children.push({
         object: 'block',
         type: 'quote',
         quote: {
-          rich_text: [
-            {
-              type: 'text',
-              text: {
-                content: blockContent
-              }
-            }
-          ]
+          rich_text: blockInfo.richText?.length
+            ? toWritableRichText(blockInfo.richText)
+            : [textSegment(blockInfo.content)]
         }
       });
+      
+      // 源块位置：标题路径 + 跳转到原文的链接
+      if (blockInfo.url) {
+        children.push(this.buildSourceLocationBlock(blockInfo));
+      }
     }
     
-    // 添加 → 类型的评论（简化格式，只显示内容）
-    if (groupedComments.arrow && groupedComments.arrow.length > 0) {
-      groupedComments.arrow.forEach(comment => {
-        // 直接使用原始评论文本，去掉前缀
-        const commentText = comment.rich_text?.[0]?.plain_text || '';
-        const content = commentText.replace(/^→:?\s*/, '');
-        children.push({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [
-              {
-                type: 'text',
-                text: {
-                  content: `→：${content}`
-                }
-              }
-            ]
-          }
-        });
-      });
-    }
+    // 添加感悟和待办（insight / todo 角色，渲染在源块之后）
+    groupedComments.insight.forEach(comment => children.push(this.buildCommentBlock(comment)));
+    groupedComments.todo.forEach(comment => children.push(this.buildCommentBlock(comment)));
     
-    // 添加其他类型的评论（保持原有格式，包含用户ID和时间）
-    if (groupedComments.other && groupedComments.other.length > 0) {
-      groupedComments.other.forEach(comment => {
-        const author = this.getCommentAuthor(comment);
-        const time = formatTime(comment.created_time);
-        const content = this.extractCommentText(comment);
-        
-        children.push({
-          object: 'block',
-          type: 'paragraph',
-          paragraph: {
-            rich_text: [
-              {
-                type: 'text',
-                text: {
-                  content: `【${author}】(时间: ${time}) ${content}`
-                }
-              }
-            ]
-          }
-        });
-      });
-    }
+    // 添加没有标记的评论（保持原有格式，包含用户ID和时间）
+    groupedComments.other.forEach(comment => children.push(this.buildCommentBlock(comment)));
     
     // Solution区域由模板提供，这里不添加任何内容
     // 模板会自动显示卡片笔记库的内联视图
@@ -254,39 +181,130 @@ export class ContentProcessor {
   }
 
   /**
-   * 按类型分组评论
+   * 生成同步区域的结束标记：Reference 标题到这一段之间的内容由同步生成，重新渲染时只替换这部分
+   * 按文字识别（见 NotionClient.findManagedSection），不计入内容哈希（见 hashPageContent）
+   * @returns {Object} 段落块
+   */
+  buildManagedSectionEnd() {
+    return this.createRichTextBlock('paragraph', [textSegment(MANAGED_SECTION_END_TEXT, { color: 'gray' })]);
+  }
+
+  /**
+   * 计算讨论渲染结果的哈希，用于发现评论或源块被编辑
+   * @param {Object} discussion - 讨论对象
+   * @param {Array} comments - 参与渲染的评论，默认为讨论的全部评论
+   * @returns {string} 内容哈希
+   */
+  hashPageContent(discussion, comments = discussion.comments) {
+    const content = this.generatePageContent({ ...discussion, comments });
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  /**
+   * 生成追加到已有卡片的新回复内容块（按时间顺序，不含源块引用）
+   * @param {Array} comments - 新评论数组
+   * @returns {Array} 内容块数组
+   */
+  generateReplyContent(comments) {
+    return [...comments]
+      .sort((a, b) => new Date(a.created_time) - new Date(b.created_time))
+      .filter(comment => !['title', 'ignore'].includes(this.markers.getRole(this.extractCommentText(comment))))
+      .map(comment => this.buildCommentBlock(comment));
+  }
+
+  /**
+   * 按标记定义生成单条评论的内容块
+   * @param {Object} comment - 评论对象
+   * @returns {Object} 内容块
+   */
+  buildCommentBlock(comment) {
+    const text = this.extractCommentText(comment);
+    const richText = toWritableRichText(comment.rich_text);
+    const match = this.markers.match(text);
+    
+    // 没有标记的评论：保留作者和时间
+    if (!match) {
+      const author = this.getCommentAuthor(comment);
+      const time = formatTime(comment.created_time);
+      return this.createRichTextBlock('paragraph', [textSegment(`【${author}】(时间: ${time}) `), ...richText]);
+    }
+    
+    // 只去掉开头的标记，其余片段的链接、提及和样式原样保留
+    const { render } = match.marker;
+    const content = stripLeadingText(richText, markerLength(plainText(comment.rich_text), match.prefix));
+    return this.createRichTextBlock(render.block, render.label ? [textSegment(render.label), ...content] : content, render);
+  }
+
+  /**
+   * 生成源块位置说明：所在的标题路径和直达该块的链接
+   * @param {Object} blockInfo - 源块信息
+   * @returns {Object} 内容块
+   */
+  buildSourceLocationBlock(blockInfo) {
+    const richText = [textSegment('📍 ')];
+    
+    if (blockInfo.breadcrumb?.length > 0) {
+      richText.push(textSegment(`${blockInfo.breadcrumb.join(' › ')} · `, { color: 'gray' }));
+    }
+    richText.push({
+      type: 'text',
+      text: {
+        content: '跳转到原文',
+        link: {
+          url: blockInfo.url
+        }
+      }
+    });
+    
+    return this.createRichTextBlock('paragraph', richText);
+  }
+
+  /**
+   * 创建富文本内容块
+   * @param {string} blockType - 块类型
+   * @param {Array} richText - 可写入的 rich_text 数组
+   * @param {Object} render - 渲染选项（callout 的 icon 等）
+   * @returns {Object} 内容块
+   */
+  createRichTextBlock(blockType, richText, render = {}) {
+    const body = {
+      rich_text: richText
+    };
+    
+    if (blockType === 'to_do') {
+      body.checked = false;
+    }
+    if (blockType === 'callout' && render.icon) {
+      body.icon = { type: 'emoji', emoji: render.icon };
+    }
+    
+    return {
+      object: 'block',
+      type: blockType,
+      [blockType]: body
+    };
+  }
+
+  /**
+   * 按标记角色分组评论
    * @param {Array} comments - 评论数组
-   * @returns {Object} 分组后的评论
+   * @returns {Object} 分组后的评论（没有标记的评论在 other 中）
    */
-  groupCommentsByType(comments) {
+  groupCommentsByRole(comments) {
     const grouped = {
-      Q: [],
-      A: [],
-      arrow: [],
+      title: [],
+      question: [],
+      answer: [],
+      insight: [],
+      todo: [],
+      ignore: [],
       other: []
     };
 
     comments.forEach(comment => {
-      // 直接使用原始的评论文本，而不是处理后的文本
-      const commentText = comment.rich_text?.[0]?.plain_text || '';
-      
-      // 调试输出
-      console.log(`Debug: Comment text: "${commentText}"`);
-      
-      // 修复正则表达式匹配 - 去掉空格要求
-      if (commentText.trim().match(/^Q:?/)) {
-        console.log(`Debug: Matched as Q comment`);
-        grouped.Q.push(comment);
-      } else if (commentText.trim().match(/^A:?/)) {
-        console.log(`Debug: Matched as A comment`);
-        grouped.A.push(comment);
-      } else if (commentText.trim().match(/^→:?/)) {
-        console.log(`Debug: Matched as arrow comment`);
-        grouped.arrow.push(comment);
-      } else {
-        console.log(`Debug: Matched as other comment`);
-        grouped.other.push(comment);
-      }
+      const role = this.markers.getRole(this.extractCommentText(comment));
+      log('debug', `Comment ${comment.id} matched role: ${role || 'other'}`);
+      grouped[role || 'other'].push(comment);
     });
 
     return grouped;
@@ -354,32 +372,42 @@ export class ContentProcessor {
    */
   async processSummaryRelation(discussion, notionClient) {
     try {
-      const summaryDatabaseId = '1c3e666e-cf2c-805b-af13-e89cc235801f';
+      const summaryDatabaseId = notionClient.config.summary.databaseId;
+      if (!summaryDatabaseId) {
+        log('debug', 'summary.databaseId is not configured, skipping Summary relation');
+        return null;
+      }
       
       // 查找名为"Summary"的页面（所有卡片都链接到同一个Summary文件）
-      console.log(`🔍 查找Summary文件...`);
+      log('debug', '🔍 查找Summary文件...');
       
       const summaryPage = await this.findSummaryFile(notionClient, summaryDatabaseId);
       
       if (summaryPage) {
-        console.log(`✅ 找到Summary文件: ${summaryPage.id}`);
+        log('debug', `✅ 找到Summary文件: ${summaryPage.id}`);
         return summaryPage.id;
       }
       
+      // 预演模式下不创建Summary文件
+      if (this.dryRun) {
+        log('info', '🧪 预演模式：未找到Summary文件，跳过创建');
+        return null;
+      }
+      
       // 如果没有找到，创建名为"Summary"的文件
-      console.log(`📝 创建Summary文件...`);
+      log('info', '📝 创建Summary文件...');
       
       const newSummaryPageId = await this.createSummaryFile(notionClient, summaryDatabaseId);
       
       if (newSummaryPageId) {
-        console.log(`✅ 创建Summary文件成功: ${newSummaryPageId}`);
+        log('info', `✅ 创建Summary文件成功: ${newSummaryPageId}`);
         return newSummaryPageId;
       }
       
       return null;
       
     } catch (error) {
-      console.error('❌ 处理Summary关联失败:', error.message);
+      log('error', '❌ 处理Summary关联失败', error);
       return null;
     }
   }
@@ -392,12 +420,13 @@ export class ContentProcessor {
    */
   async findSummaryFile(notionClient, summaryDatabaseId) {
     try {
+      const { titleProperty, pageTitle } = notionClient.config.summary;
       const response = await notionClient.client.databases.query({
         database_id: summaryDatabaseId,
         filter: {
-          property: '名称',
+          property: titleProperty,
           title: {
-            equals: 'Summary'
+            equals: pageTitle
           }
         }
       });
@@ -409,7 +438,7 @@ export class ContentProcessor {
       return null;
       
     } catch (error) {
-      console.error('❌ 查找Summary文件失败:', error.message);
+      log('error', '❌ 查找Summary文件失败', error);
       return null;
     }
   }
@@ -424,9 +453,6 @@ export class ContentProcessor {
    */
   async addDatabaseViewEmbed(notionClient, pageId) {
     try {
-      // 卡片笔记库的数据库ID
-      const cardDatabaseId = '18ce666e-cf2c-817b-9808-e2386cd473a0';
-      
       // 在页面中添加数据库视图嵌入
       const response = await notionClient.client.blocks.children.append({
         block_id: pageId,
@@ -442,11 +468,11 @@ export class ContentProcessor {
       
       // 注意：Notion API 无法直接创建内联数据库视图
       // 我们需要使用不同的方法
-      console.log(`✅ 添加数据库视图嵌入成功`);
+      log('info', '✅ 添加数据库视图嵌入成功');
       return true;
       
     } catch (error) {
-      console.error('❌ 添加数据库视图嵌入失败:', error.message);
+      log('error', '❌ 添加数据库视图嵌入失败', error);
       return false;
     }
   }
@@ -459,8 +485,8 @@ export class ContentProcessor {
    */
   async addDatabaseLink(notionClient, pageId) {
     try {
-      // 卡片笔记库的数据库ID和URL
-      const cardDatabaseId = '18ce666e-cf2c-817b-9808-e2386cd473a0';
+      // 卡片笔记库（即目标数据库）的ID和URL
+      const cardDatabaseId = notionClient.targetDatabaseId;
       const cardDatabaseUrl = `https://www.notion.so/${cardDatabaseId.replace(/-/g, '')}`;
       
       // 在页面中添加数据库链接和说明
@@ -525,11 +551,11 @@ export class ContentProcessor {
         ]
       });
       
-      console.log(`✅ 添加数据库链接成功`);
+      log('info', '✅ 添加数据库链接成功');
       return true;
       
     } catch (error) {
-      console.error('❌ 添加数据库链接失败:', error.message);
+      log('error', '❌ 添加数据库链接失败', error);
       return false;
     }
   }
@@ -542,17 +568,18 @@ export class ContentProcessor {
    */
   async createSummaryFile(notionClient, summaryDatabaseId) {
     try {
+      const { titleProperty, pageTitle } = notionClient.config.summary;
       const newPage = await notionClient.client.pages.create({
         parent: {
           database_id: summaryDatabaseId
         },
         properties: {
-          '名称': {
+          [titleProperty]: {
             title: [
               {
                 type: 'text',
                 text: {
-                  content: 'Summary'
+                  content: pageTitle
                 }
               }
             ]
@@ -626,7 +653,7 @@ export class ContentProcessor {
       return newPage.id;
       
     } catch (error) {
-      console.error('❌ 创建Summary文件失败:', error.message);
+      log('error', '❌ 创建Summary文件失败', error);
       return null;
     }
   }
@@ -0,0 +1,277 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('database-schema');
+
+/**
+ * 属性检查结果
+ * - ok: 与期望一致
+ * - missing: 属性不存在
+ * - wrong_type: 属性类型不符
+ * - wrong_relation: 关联到了其他数据库
+ * - missing_options: select / multi_select / status 缺少选项
+ */
+export const SCHEMA_STATUSES = ['ok', 'missing', 'wrong_type', 'wrong_relation', 'missing_options'];
+
+/**
+ * 去掉 Notion ID 中的连字符，便于比较
+ * @param {string} id - Notion ID
+ * @returns {string} 规范化的ID
+ */
+function normalizeId(id) {
+  return (id || '').replace(/-/g, '').toLowerCase();
+}
+
+/**
+ * 根据配置生成三个数据库的期望结构（属性名、选项均来自属性映射和任务配置）
+ * 只有配置了 actionDatabaseId 时才检查行动数据库；Summary 和 Task of the day 关联只在配置了对应ID时检查
+ * @param {NotionClient} notionClient - Notion 客户端
+ * @returns {Array} [{ database, label, databaseId, properties: [{ name, type, alternatives, required, options, relation }] }]
+ */
+export function buildExpectedSchemas(notionClient) {
+  const { reference, card, task } = notionClient.properties;
+  const { statuses, config } = notionClient;
+  const referenceDatabaseId = notionClient.referenceDatabaseId;
+  const summaryDatabaseId = config.summary.databaseId;
+
+  const schemas = [
+    {
+      database: 'reference',
+      label: 'Reference',
+      databaseId: referenceDatabaseId,
+      properties: [
+        { name: reference.title, type: 'title', required: true },
+        { name: reference.automationStatus, type: 'select', required: true, options: [statuses.referencePending, statuses.referenceDone] },
+        { name: reference.createdTime, type: 'created_time', required: true }
+      ]
+    },
+    {
+      database: 'target',
+      label: 'Target (cards)',
+      databaseId: notionClient.targetDatabaseId,
+      properties: [
+        { name: card.title, type: 'title', required: true },
+        { name: card.discussionId, type: 'rich_text', required: true },
+        { name: card.reference, type: 'relation', required: true, relation: referenceDatabaseId },
+        { name: card.problemTags, type: 'multi_select', required: true },
+        { name: card.createdDate, type: 'created_time', alternatives: ['date'], required: true },
+        { name: card.sourceNote, type: 'rich_text', required: false },
+        { name: card.sourceDeleted, type: 'checkbox', required: false },
+        ...(summaryDatabaseId ? [{ name: card.summary, type: 'relation', required: true, relation: summaryDatabaseId }] : [])
+      ]
+    }
+  ];
+
+  if (config.notion.actionDatabaseId) {
+    schemas.push({
+      database: 'action',
+      label: 'Action',
+      databaseId: config.notion.actionDatabaseId,
+      properties: [
+        { name: task.title, type: 'title', required: true },
+        { name: task.status, type: 'status', required: true, options: [statuses.taskInitial, statuses.taskDone] },
+        { name: task.priority, type: 'select', required: true, options: [
+          config.tasks.referencePriority,
+          config.tasks.cardPriority,
+          ...(config.reminders.escalateAfterDays > 0 ? [config.reminders.escalatedPriority] : [])
+        ] },
+        { name: task.category, type: 'select', required: true, options: [config.tasks.referenceCategory, config.tasks.cardCategory] },
+        { name: task.dueDate, type: 'date', required: true },
+        { name: task.createdTime, type: 'created_time', required: true },
+        { name: task.snoozeUntil, type: 'date', required: false },
+        { name: task.reference, type: 'relation', required: true, relation: referenceDatabaseId },
+        ...(config.relations.summaryPageId ? [{ name: task.summary, type: 'relation', required: true, relation: summaryDatabaseId }] : []),
+        // Task of the day 所在数据库未配置，只检查类型，缺失时需要手动创建
+        ...(config.relations.taskOfTheDayPageId ? [{ name: task.taskOfTheDay, type: 'relation', required: true }] : [])
+      ]
+    });
+  }
+
+  // 同一属性的两个配置值可能相同（如两类任务使用同一优先级），选项去重
+  schemas.forEach(schema => schema.properties.forEach(property => {
+    if (property.options) {
+      property.options = [...new Set(property.options)];
+    }
+  }));
+
+  return schemas;
+}
+
+/**
+ * 数据库结构检查与创建
+ * 检查 Reference、目标卡片库和行动数据库的属性，并通过 databases.update 补齐缺失的属性和选项
+ * 类型不符、关联错误和 status 属性（API 不支持创建和修改选项）只报告，需要手动处理
+ */
+export class SchemaManager {
+  constructor(notionClient) {
+    this.notionClient = notionClient;
+  }
+
+  /**
+   * 检查所有数据库的结构
+   * @returns {Promise<Object>} { valid, databases: [{ database, label, databaseId, error, properties: [...] }] }
+   */
+  async check() {
+    const databases = [];
+
+    for (const schema of buildExpectedSchemas(this.notionClient)) {
+      const { properties, ...info } = schema;
+      try {
+        const response = await this.notionClient.client.databases.retrieve({ database_id: schema.databaseId });
+        databases.push({
+          ...info,
+          properties: properties.map(expected => this.compareProperty(expected, response.properties))
+        });
+      } catch (error) {
+        log('error', `Failed to retrieve ${schema.label} database ${schema.databaseId}`, error);
+        databases.push({ ...info, error: error.message, properties: [] });
+      }
+    }
+
+    const valid = databases.every(database =>
+      !database.error && database.properties.every(property => property.status === 'ok' || !property.required)
+    );
+    return { valid, databases };
+  }
+
+  /**
+   * 比较单个属性
+   * @param {Object} expected - 期望的属性
+   * @param {Object} actualProperties - 数据库中的全部属性
+   * @returns {Object} 检查结果 { name, type, required, status, fixable, ... }，不符时附带实际类型、缺少的选项、改名来源或说明
+   */
+  compareProperty(expected, actualProperties) {
+    const result = { name: expected.name, type: expected.type, required: expected.required };
+    const actual = actualProperties[expected.name];
+
+    if (!actual) {
+      if (expected.type === 'title') {
+        // 每个数据库恰好有一个标题属性，名称不同时改名即可；改名会影响依赖原名称的视图、公式和其他集成，
+        // 因此只报告，apply 指定 renameTitle 时才改名
+        const [titleName] = Object.entries(actualProperties).find(([, property]) => property.type === 'title') || [];
+        return { ...result, status: 'missing', fixable: false, renameFrom: titleName };
+      }
+      if (expected.type === 'status') {
+        return { ...result, status: 'missing', fixable: false, note: 'status properties cannot be created through the API' };
+      }
+      if (expected.type === 'relation' && !expected.relation) {
+        return { ...result, status: 'missing', fixable: false, note: 'related database is not configured' };
+      }
+      return { ...result, status: 'missing', fixable: true, options: expected.options, relation: expected.relation };
+    }
+
+    if (actual.type !== expected.type && !(expected.alternatives || []).includes(actual.type)) {
+      return { ...result, status: 'wrong_type', actualType: actual.type, fixable: false };
+    }
+
+    if (expected.relation && normalizeId(actual.relation?.database_id) !== normalizeId(expected.relation)) {
+      return { ...result, status: 'wrong_relation', actualRelation: actual.relation?.database_id, expectedRelation: expected.relation, fixable: false };
+    }
+
+    if (expected.options) {
+      const existing = (actual[actual.type]?.options || []).map(option => option.name);
+      const missingOptions = expected.options.filter(option => !existing.includes(option));
+      if (missingOptions.length > 0) {
+        return {
+          ...result,
+          status: 'missing_options',
+          missingOptions,
+          existingOptions: actual[actual.type].options,
+          fixable: actual.type !== 'status',
+          ...(actual.type === 'status' ? { note: 'status options cannot be added through the API' } : {})
+        };
+      }
+    }
+
+    return { ...result, status: 'ok' };
+  }
+
+  /**
+   * 创建缺失的属性和选项（包括可选属性）
+   * @param {Object} options - 选项
+   * @param {boolean} options.dryRun - 只列出将要做的修改，不调用 databases.update
+   * @param {boolean} options.renameTitle - 把名称不同的标题属性改名为配置中的名称（默认只报告）
+   * @returns {Promise<Object>} { dryRun, changes: [{ database, property, action, detail }], errors: [{ database, error }], valid, databases }
+   */
+  async apply({ dryRun = false, renameTitle = false } = {}) {
+    const before = await this.check();
+    const changes = [];
+    const errors = [];
+
+    for (const database of before.databases) {
+      const fixes = database.properties.filter(property =>
+        property.status !== 'ok' && (property.fixable || (renameTitle && property.renameFrom))
+      );
+      if (fixes.length === 0) {
+        continue;
+      }
+
+      const properties = {};
+      const databaseChanges = fixes.map(property => {
+        const { key, value, change } = this.buildUpdate(property);
+        properties[key] = value;
+        return { database: database.database, property: property.name, ...change };
+      });
+
+      if (dryRun) {
+        changes.push(...databaseChanges);
+        continue;
+      }
+
+      try {
+        await this.notionClient.client.databases.update({ database_id: database.databaseId, properties });
+        log('info', `Updated ${database.label} database schema: ${databaseChanges.length} changes`);
+        changes.push(...databaseChanges);
+      } catch (error) {
+        log('error', `Failed to update ${database.label} database schema`, error);
+        errors.push({ database: database.database, error: error.message });
+      }
+    }
+
+    // 实际修改后重新检查，报告剩余需要手动处理的问题
+    const after = dryRun || changes.length === 0 ? before : await this.check();
+    return { dryRun, changes, errors, valid: after.valid, databases: after.databases };
+  }
+
+  /**
+   * 生成单个属性的 databases.update 参数
+   * @param {Object} property - 属性检查结果
+   * @returns {Object} { key, value, change }
+   */
+  buildUpdate(property) {
+    if (property.renameFrom) {
+      return {
+        key: property.renameFrom,
+        value: { name: property.name },
+        change: { action: 'rename', detail: `${property.renameFrom} → ${property.name}` }
+      };
+    }
+
+    if (property.status === 'missing_options') {
+      return {
+        key: property.name,
+        value: {
+          [property.type]: {
+            options: [
+              ...property.existingOptions.map(({ id, name, color }) => ({ id, name, color })),
+              ...property.missingOptions.map(name => ({ name }))
+            ]
+          }
+        },
+        change: { action: 'add_options', detail: property.missingOptions.join(', ') }
+      };
+    }
+
+    let config = {};
+    if (property.type === 'select' || property.type === 'multi_select') {
+      config = { options: (property.options || []).map(name => ({ name })) };
+    } else if (property.type === 'relation') {
+      config = { database_id: property.relation, single_property: {} };
+    }
+
+    return {
+      key: property.name,
+      value: { [property.type]: config },
+      change: { action: 'create', detail: property.type }
+    };
+  }
+}
@@ -1,12 +1,30 @@
-import { log } from './utils.js';
-import { delay } from './utils.js';
+import { createLogger } from './logger.js';
+import { PartialPageError } from './notion-client.js';
+
+const log = createLogger('database-writer');
+
+/**
+ * 只建了一半的卡片的处理方式
+ * - archive: 归档页面，下次运行重新创建
+ * - repair: 保留页面并标记待修复，下次运行补上Solution区域
+ */
+export const PARTIAL_CARD_ACTIONS = ['archive', 'repair'];
 
 /**
  * 数据库写入器
  */
 export class DatabaseWriter {
-  constructor(notionClient) {
+  /**
+   * @param {NotionClient} notionClient - Notion 客户端
+   * @param {Object} options - 选项
+   * @param {boolean} options.dryRun - 预演模式
+   * @param {string} options.partialCardAction - 只建了一半的卡片的处理方式: archive | repair
+   */
+  constructor(notionClient, options = {}) {
     this.notionClient = notionClient;
+    this.dryRun = options.dryRun || false;
+    this.partialCardAction = options.partialCardAction || 'archive';
+    this.properties = notionClient.properties.card;
   }
 
   /**
@@ -20,7 +38,8 @@ export class DatabaseWriter {
         database_id: this.notionClient.targetDatabaseId
       });
       
-      const requiredProperties = ['卡片笔记', 'DiscussionID', 'Reference'];
+      const { title, discussionId, reference } = this.properties;
+      const requiredProperties = [title, discussionId, reference];
       const existingProperties = Object.keys(response.properties);
       
       // 检查必需属性是否存在
@@ -31,16 +50,16 @@ export class DatabaseWriter {
       }
       
       // 检查属性类型
-      if (response.properties['卡片笔记'].type !== 'title') {
-        throw new Error('卡片笔记 property must be of type title');
+      if (response.properties[title].type !== 'title') {
+        throw new Error(`${title} property must be of type title`);
       }
       
-      if (response.properties['DiscussionID'].type !== 'rich_text') {
-        throw new Error('DiscussionID property must be of type rich_text');
+      if (response.properties[discussionId].type !== 'rich_text') {
+        throw new Error(`${discussionId} property must be of type rich_text`);
       }
       
-      if (response.properties['Reference'].type !== 'relation') {
-        throw new Error('Reference property must be of type relation');
+      if (response.properties[reference].type !== 'relation') {
+        throw new Error(`${reference} property must be of type relation`);
       }
       
       log('info', 'Target database structure validation passed');
@@ -51,6 +70,24 @@ export class DatabaseWriter {
     }
   }
 
+  /**
+   * 读取待写入页面的标题
+   * @param {Object} discussion - 处理后的页面数据
+   * @returns {string} 标题
+   */
+  getTitle(discussion) {
+    return discussion.properties[this.properties.title].title[0].text.content;
+  }
+
+  /**
+   * 读取待写入页面的 DiscussionID
+   * @param {Object} discussion - 处理后的页面数据
+   * @returns {string} DiscussionID
+   */
+  getDiscussionId(discussion) {
+    return discussion.properties[this.properties.discussionId].rich_text[0].text.content;
+  }
+
   /**
    * 写入单个讨论到数据库
    * @param {Object} discussion - 讨论对象
@@ -58,14 +95,27 @@ export class DatabaseWriter {
    * @returns {Promise<Object>} 写入结果
    */
   async writeDiscussion(discussion, contentProcessor = null) {
+    if (this.dryRun) {
+      log('info', `[dry run] Would create card: ${this.getTitle(discussion)}`);
+      return {
+        success: true,
+        dryRun: true,
+        pageId: null,
+        title: this.getTitle(discussion),
+        discussionId: this.getDiscussionId(discussion),
+        sourceNoteId: discussion.sourceNoteId,
+        blockCount: discussion.children.length
+      };
+    }
+    
     try {
       const pageData = discussion;
       const response = await this.notionClient.createPage(pageData);
       
       log('info', 'Discussion written successfully', {
         pageId: response.id,
-        title: discussion.properties['卡片笔记'].title[0].text.content,
-        discussionId: discussion.properties.DiscussionID.rich_text[0].text.content
+        title: this.getTitle(discussion),
+        discussionId: this.getDiscussionId(discussion)
       });
       
       // Solution区域内容已直接在页面内容中添加，无需额外处理
@@ -73,29 +123,74 @@ export class DatabaseWriter {
       return {
         success: true,
         pageId: response.id,
-        title: discussion.properties['卡片笔记'].title[0].text.content,
-        discussionId: discussion.properties.DiscussionID.rich_text[0].text.content,
+        title: this.getTitle(discussion),
+        discussionId: this.getDiscussionId(discussion),
         sourceNoteId: discussion.sourceNoteId
       };
     } catch (error) {
+      if (error instanceof PartialPageError) {
+        return this.handlePartialPage(discussion, error);
+      }
+      
       log('error', 'Failed to write discussion to database', error);
       return {
         success: false,
         error: error.message,
-        title: discussion.properties['卡片笔记'].title[0].text.content,
-        discussionId: discussion.properties.DiscussionID.rich_text[0].text.content,
+        title: this.getTitle(discussion),
+        discussionId: this.getDiscussionId(discussion),
         sourceNoteId: discussion.sourceNoteId
       };
     }
   }
 
+  /**
+   * 处理只建了一半的卡片：归档后按失败处理（下次运行重新创建），
+   * 或保留页面并返回 needsRepair（卡片已存在，由下次运行的修复流程补完）；归档失败时也改为待修复
+   * @param {Object} discussion - 处理后的页面数据
+   * @param {PartialPageError} error - 创建错误
+   * @returns {Promise<Object>} 写入结果
+   */
+  async handlePartialPage(discussion, error) {
+    const pageId = error.page.id;
+    const details = {
+      title: this.getTitle(discussion),
+      discussionId: this.getDiscussionId(discussion),
+      sourceNoteId: discussion.sourceNoteId
+    };
+    
+    if (this.partialCardAction === 'archive') {
+      try {
+        await this.notionClient.archivePage(pageId);
+        log('warn', `Archived half-built card ${pageId}, it will be created again on the next run`, { error: error.cause.message });
+        return {
+          success: false,
+          error: `${error.message} (half-built card archived)`,
+          archivedPageId: pageId,
+          ...details
+        };
+      } catch (archiveError) {
+        log('error', `Failed to archive half-built card ${pageId}, marking it for repair instead`, archiveError);
+      }
+    }
+    
+    log('warn', `Card ${pageId} is missing its Solution section, it will be repaired on the next run`, { error: error.cause.message });
+    return {
+      success: true,
+      needsRepair: true,
+      repairError: error.cause.message,
+      pageId,
+      ...details
+    };
+  }
+
   /**
    * 批量写入多个讨论
    * @param {Array} discussions - 讨论数组
    * @param {Object} contentProcessor - 内容处理器实例
+   * @param {Function} onWritten - 每张卡片创建成功后调用（用于记录检查点），参数为写入结果
    * @returns {Promise<Object>} 批量写入结果
    */
-  async writeMultipleDiscussions(discussions, contentProcessor = null) {
+  async writeMultipleDiscussions(discussions, contentProcessor = null, onWritten = null) {
     try {
       log('info', `Starting to write ${discussions.length} discussions to database`);
       
@@ -112,25 +207,23 @@ export class DatabaseWriter {
           
           if (result.success) {
             successCount++;
+            if (onWritten && !result.dryRun) {
+              await onWritten(result);
+            }
           } else {
             errorCount++;
           }
           
-          // 显示进度
+          // 显示进度（API 限流由 NotionClient 统一处理）
           log('info', `Progress: ${i + 1}/${discussions.length} discussions written successfully`);
           
-          // 添加延迟以避免 API 限制
-          if (i < discussions.length - 1) {
-            await delay(1000);
-          }
-          
         } catch (error) {
           log('error', `Failed to write discussion ${i + 1}/${discussions.length}`, error);
           results.push({
             success: false,
             error: error.message,
-            title: discussion.properties['卡片笔记'].title[0].text.content,
-            discussionId: discussion.properties.DiscussionID.rich_text[0].text.content,
+            title: this.getTitle(discussion),
+            discussionId: this.getDiscussionId(discussion),
             sourceNoteId: discussion.sourceNoteId
           });
           errorCount++;
@@ -0,0 +1,193 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('discussion-index');
+
+/**
+ * 读取正整数环境变量
+ * @param {string} name - 环境变量名
+ * @param {string} fallback - 未设置时的默认值
+ * @returns {number}
+ */
+function readPositiveInteger(name, fallback) {
+  const value = process.env[name] || fallback;
+  if (!/^[1-9]\d*$/.test(value.trim())) {
+    throw new Error(`Invalid ${name} "${value}", expected a positive integer`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * DiscussionID → 卡片页面 索引
+ * 缓存在本地同步状态中，按 last_edited_time 增量刷新，定期全量重建
+ * 增量刷新看不到被归档或删除的卡片，因此跳过重复讨论前先用 verify 确认缓存中的卡片仍然存在；
+ * 每次运行至多检查 verifyLimit 个条目，最久未确认的优先，其余留给之后的运行（全量重建也会移除这些卡片）
+ */
+export class DiscussionIndex {
+  constructor(notionClient, syncState) {
+    this.notionClient = notionClient;
+    this.syncState = syncState;
+    this.entries = new Map();
+    // 本次运行已确认存在的讨论（刷新时查到的卡片和本次新建的卡片）
+    this.confirmed = new Set();
+    this.fullRefreshHours = readPositiveInteger('DISCUSSION_INDEX_FULL_REFRESH_HOURS', '168');
+    this.verifyLimit = readPositiveInteger('DISCUSSION_INDEX_VERIFY_LIMIT', '50');
+  }
+
+  /**
+   * 刷新索引：缓存为空或过期时全量扫描，否则只拉取上次刷新后编辑过的卡片
+   * @returns {Promise<DiscussionIndex>} 当前实例
+   */
+  async refresh() {
+    const refreshStartedAt = new Date().toISOString();
+    const cached = this.syncState.getDiscussionIndex();
+    const cacheAgeHours = cached.refreshedAt
+      ? (Date.now() - new Date(cached.refreshedAt).getTime()) / (60 * 60 * 1000)
+      : Infinity;
+
+    this.confirmed = new Set();
+
+    try {
+      if (cacheAgeHours >= this.fullRefreshHours) {
+        log('info', 'Rebuilding DiscussionID index from target database...');
+        this.entries = new Map();
+        this.applyCards(await this.notionClient.getCards(), refreshStartedAt);
+      } else {
+        this.entries = new Map(Object.entries(cached.entries));
+        // Notion 的 last_edited_time 只精确到分钟，回退一分钟避免漏掉刷新期间的编辑
+        const since = new Date(new Date(cached.refreshedAt).getTime() - 60 * 1000).toISOString();
+        log('info', `Refreshing DiscussionID index incrementally (cached ${this.entries.size} entries)`);
+        this.applyCards(await this.notionClient.getCards(since), refreshStartedAt);
+      }
+
+      this.persist(refreshStartedAt);
+      log('info', `DiscussionID index ready with ${this.entries.size} entries`);
+      return this;
+    } catch (error) {
+      log('error', 'Failed to refresh DiscussionID index', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 将卡片写入索引；同一页面的旧 DiscussionID 会被替换
+   * @param {Array} cards - 卡片页面列表
+   * @param {string} verifiedAt - 刷新开始时间，查到的卡片视为此时确认存在
+   */
+  applyCards(cards, verifiedAt) {
+    const cardIds = new Set(cards.map(card => card.id));
+
+    for (const [discussionId, entry] of this.entries) {
+      if (cardIds.has(entry.pageId)) {
+        this.entries.delete(discussionId);
+      }
+    }
+
+    cards.forEach(card => {
+      const discussionId = this.notionClient.extractDiscussionId(card);
+      if (discussionId && !card.archived) {
+        this.entries.set(discussionId, {
+          pageId: card.id,
+          createdTime: card.created_time,
+          verifiedAt
+        });
+        this.confirmed.add(discussionId);
+      }
+    });
+  }
+
+  /**
+   * 确认讨论在缓存中对应的卡片仍然存在，已归档或已删除的卡片从索引中移除（之后会被当作新讨论重新创建）
+   * 本次刷新查到的卡片不再检查；其余条目按上次确认时间排序，至多检查 verifyLimit 个
+   * @param {Array<string>} discussionIds - 将按缓存跳过或同步的讨论ID列表
+   * @returns {Promise<number>} 移除的条目数
+   */
+  async verify(discussionIds) {
+    const unconfirmed = [...new Set(discussionIds)]
+      .filter(discussionId => this.entries.has(discussionId) && !this.confirmed.has(discussionId))
+      .sort((a, b) => (this.entries.get(a).verifiedAt || '').localeCompare(this.entries.get(b).verifiedAt || ''));
+    const batch = unconfirmed.slice(0, this.verifyLimit);
+    const verifiedAt = new Date().toISOString();
+    let removed = 0;
+
+    for (const discussionId of batch) {
+      const entry = this.entries.get(discussionId);
+      if (await this.notionClient.isCardActive(entry.pageId)) {
+        this.entries.set(discussionId, { ...entry, verifiedAt });
+        this.confirmed.add(discussionId);
+      } else {
+        log('info', `Card ${entry.pageId} for discussion ${discussionId} is archived or deleted, removing from index`);
+        this.entries.delete(discussionId);
+        removed++;
+      }
+    }
+
+    if (batch.length > 0) {
+      this.persist();
+      const deferred = unconfirmed.length - batch.length;
+      log('info', `Verified ${batch.length} cached DiscussionID entries, removed ${removed}${deferred > 0 ? `, ${deferred} deferred to later runs` : ''}`);
+    }
+    return removed;
+  }
+
+  /**
+   * 把索引写回同步状态（由调用方负责保存到磁盘）
+   * @param {string} refreshedAt - 刷新开始时间
+   */
+  persist(refreshedAt = this.syncState.getDiscussionIndex().refreshedAt) {
+    this.syncState.setDiscussionIndex({
+      refreshedAt,
+      entries: Object.fromEntries(this.entries)
+    });
+  }
+
+  /**
+   * 讨论是否已有卡片
+   * @param {string} discussionId - 讨论ID
+   * @returns {boolean}
+   */
+  has(discussionId) {
+    return this.entries.has(discussionId);
+  }
+
+  /**
+   * 获取讨论对应的卡片
+   * @param {string} discussionId - 讨论ID
+   * @returns {Object|null} { pageId, createdTime, verifiedAt }
+   */
+  get(discussionId) {
+    return this.entries.get(discussionId) || null;
+  }
+
+  /**
+   * 记录本次运行新建的卡片
+   * @param {string} discussionId - 讨论ID
+   * @param {string} pageId - 卡片页面ID
+   */
+  add(discussionId, pageId) {
+    const createdTime = new Date().toISOString();
+    this.entries.set(discussionId, {
+      pageId,
+      createdTime,
+      verifiedAt: createdTime
+    });
+    this.confirmed.add(discussionId);
+    this.persist();
+  }
+
+  /**
+   * 从索引中移除讨论（卡片被归档时）
+   * @param {string} discussionId - 讨论ID
+   */
+  remove(discussionId) {
+    this.entries.delete(discussionId);
+    this.persist();
+  }
+
+  /**
+   * 索引中的条目数
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+}
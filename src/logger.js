@@ -0,0 +1,258 @@
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * 日志级别枚举
+ */
+export const LOG_LEVELS = {
+  error: 0,
+  warn: 1,
+  info: 2,
+  debug: 3
+};
+
+/**
+ * 日志上下文（运行ID、流水线名称等），随异步调用链传递
+ */
+const logContext = new AsyncLocalStorage();
+
+/**
+ * 获取日志级别
+ * @param {string} level - 级别名称
+ * @returns {number} 级别数值，未知时为 info
+ */
+function resolveLevel(level) {
+  return LOG_LEVELS[level] ?? LOG_LEVELS.info;
+}
+
+/**
+ * 滚动日志文件：超过大小上限时 sync.log → sync.log.1 → sync.log.2 …，最多保留 maxFiles 个旧文件
+ * 同步写入，进程崩溃时也不会丢失已经记录的日志
+ */
+class RotatingLogFile {
+  constructor(dir, options = {}) {
+    this.filePath = path.join(dir, 'sync.log');
+    this.maxBytes = options.maxBytes;
+    this.maxFiles = options.maxFiles;
+    this.size = null;
+  }
+
+  /**
+   * 追加一行
+   * @param {string} line - 日志行（含换行符）
+   */
+  write(line) {
+    if (this.size === null) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    }
+
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) {
+      this.rotate();
+    }
+
+    fs.appendFileSync(this.filePath, line);
+    this.size += bytes;
+  }
+
+  /**
+   * 滚动：依次后移旧文件，超出保留数量的删除
+   */
+  rotate() {
+    fs.rmSync(`${this.filePath}.${this.maxFiles}`, { force: true });
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${this.filePath}.${index}`)) {
+        fs.renameSync(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`);
+      }
+    }
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+}
+
+let logFile;
+
+/**
+ * 读取日志滚动设置（正整数）；无效时提示并使用默认值，日志配置错误不影响同步
+ * @param {string} name - 环境变量名
+ * @param {number} fallback - 默认值
+ * @returns {number}
+ */
+function readLogSetting(name, fallback) {
+  const value = process.env[name];
+  if (!value) {
+    return fallback;
+  }
+  if (/^[1-9]\d*$/.test(value.trim())) {
+    return parseInt(value, 10);
+  }
+  console.error(`Invalid ${name} "${value}", expected a positive integer, using ${fallback}`);
+  return fallback;
+}
+
+/**
+ * 获取日志文件（首次写入时按 LOG_DIR 创建，LOG_DIR 为空时不写文件）
+ * @returns {RotatingLogFile|null}
+ */
+function getLogFile() {
+  if (logFile === undefined) {
+    const dir = process.env.LOG_DIR ?? 'logs';
+    logFile = dir
+      ? new RotatingLogFile(dir, {
+        maxBytes: readLogSetting('LOG_MAX_BYTES', 5 * 1024 * 1024),
+        maxFiles: readLogSetting('LOG_MAX_FILES', 5)
+      })
+      : null;
+  }
+  return logFile;
+}
+
+/**
+ * 把附加数据转换为可序列化的字段：错误对象展开为 error，普通对象作为 context，其他值作为 context.detail
+ * @param {*} data - 附加数据
+ * @returns {Object} { error } 或 { context }
+ */
+function serializeData(data) {
+  if (data === null || data === undefined) {
+    return {};
+  }
+  if (data instanceof Error) {
+    return {
+      error: {
+        name: data.name,
+        message: data.message,
+        ...(data.code ? { code: data.code } : {}),
+        ...(data.status ? { status: data.status } : {}),
+        stack: data.stack
+      }
+    };
+  }
+  if (typeof data === 'object' && !Array.isArray(data)) {
+    return { context: data };
+  }
+  return { context: { detail: data } };
+}
+
+/**
+ * 生成一条结构化日志记录
+ * @param {string} level - 日志级别
+ * @param {string} moduleName - 模块名
+ * @param {string} message - 日志消息
+ * @param {*} data - 附加数据
+ * @returns {Object} 日志记录
+ */
+function buildRecord(level, moduleName, message, data) {
+  return {
+    time: new Date().toISOString(),
+    level,
+    ...logContext.getStore(),
+    module: moduleName,
+    message,
+    ...serializeData(data)
+  };
+}
+
+/**
+ * 控制台输出：默认为人类可读格式，LOG_FORMAT=json 时输出与日志文件相同的 JSON 行
+ * 通过 console.log 输出，命令行 --json 模式会把它重定向到 stderr
+ * @param {Object} record - 日志记录
+ * @param {*} data - 附加数据（原样交给 console.log 展开）
+ */
+function writeConsole(record, data) {
+  if (process.env.LOG_FORMAT === 'json') {
+    console.log(stringifyRecord(record));
+    return;
+  }
+
+  const scope = [record.pipeline, record.module].filter(Boolean).join('/');
+  const line = `[${record.time}] [${record.level.toUpperCase()}] [${scope}] ${record.message}`;
+  if (data !== null && data !== undefined) {
+    console.log(line, data);
+  } else {
+    console.log(line);
+  }
+}
+
+/**
+ * 日志文件是否记录该级别（LOG_FILE_LEVEL，默认与 LOG_LEVEL 相同）
+ * @param {string} level - 日志级别
+ * @returns {boolean}
+ */
+function fileEnabled(level) {
+  return !!getLogFile() && resolveLevel(level) <= resolveLevel(process.env.LOG_FILE_LEVEL || process.env.LOG_LEVEL);
+}
+
+/**
+ * 写入日志文件；写入失败时提示一次并停止写文件，不影响同步
+ * @param {Object} record - 日志记录
+ */
+function writeFile(record) {
+  try {
+    getLogFile().write(`${stringifyRecord(record)}\n`);
+  } catch (error) {
+    logFile = null;
+    console.error(`Failed to write log file, file logging disabled: ${error.message}`);
+  }
+}
+
+/**
+ * 序列化日志记录；上下文数据无法序列化（如循环引用）时去掉上下文，只保留消息
+ * @param {Object} record - 日志记录
+ * @returns {string} JSON 行
+ */
+function stringifyRecord(record) {
+  try {
+    return JSON.stringify(record, jsonReplacer);
+  } catch {
+    const { context, ...rest } = record;
+    return JSON.stringify({ ...rest, context: { unserializable: true } }, jsonReplacer);
+  }
+}
+
+/**
+ * JSON 序列化时转换 BigInt 和上下文中嵌套的错误对象
+ */
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message };
+  }
+  return value;
+}
+
+/**
+ * 创建模块日志函数
+ * @param {string} moduleName - 模块名，写入每条日志的 module 字段
+ * @returns {Function} log(level, message, data)，data 为错误对象、上下文字段或其他附加值
+ */
+export function createLogger(moduleName) {
+  return function log(level, message, data = null) {
+    const toConsole = resolveLevel(level) <= resolveLevel(process.env.LOG_LEVEL);
+    const toFile = fileEnabled(level);
+    if (!toConsole && !toFile) {
+      return;
+    }
+
+    const record = buildRecord(level, moduleName, message, data);
+    if (toConsole) {
+      writeConsole(record, data);
+    }
+    if (toFile) {
+      writeFile(record);
+    }
+  };
+}
+
+/**
+ * 在日志上下文中执行函数：fn 内（包括其中的异步调用）产生的日志都带上这些字段
+ * @param {Object} fields - 上下文字段，如 { runId } 或 { pipeline }
+ * @param {Function} fn - 要执行的函数
+ * @returns {*} fn 的返回值
+ */
+export function withLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
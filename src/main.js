@@ -1,211 +1,367 @@
 import 'dotenv/config';
-import { log } from './utils.js';
-import { NotionClient } from './notion-client.js';
-import { CommentFetcher } from './comment-fetcher.js';
-import { ContentProcessor } from './content-processor.js';
-import { DatabaseWriter } from './database-writer.js';
-import { WorkflowManager } from './workflow-manager.js';
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger, withLogContext } from './logger.js';
+import { getConfig, getPipelines } from './config.js';
+import { RequestLimiter } from './request-limiter.js';
+import { PipelineSync, DELETED_SOURCE_REASONS } from './pipeline-sync.js';
+import { RunHistory, createRunId, buildRunRecord } from './run-history.js';
+import { MetricsExporter, buildRunMetrics } from './run-metrics.js';
+import { RunReportWriter, buildRunReport } from './run-report.js';
+
+const log = createLogger('main');
+
+/**
+ * 合并各流水线结果时累加的计数字段
+ */
+const SUMMED_FIELDS = ['processed', 'written', 'errors', 'appendedReplies', 'updatedCards'];
 
 /**
- * Notion 评论同步主程序
+ * Notion 评论同步主程序：依次运行配置的各条流水线并汇总结果
  */
 export class NotionCommentSync {
-  constructor() {
-    this.notionClient = new NotionClient();
-    this.commentFetcher = new CommentFetcher(this.notionClient);
-    this.contentProcessor = new ContentProcessor(this.notionClient);
-    this.databaseWriter = new DatabaseWriter(this.notionClient);
-    this.workflowManager = new WorkflowManager(this.notionClient);
+  /**
+   * @param {Object} options - 同步选项，除 pipelines、planFile、config 外都传给每条流水线（见 PipelineSync）
+   * @param {Array} options.pipelines - 只运行这些名称的流水线，默认运行全部
+   * @param {string} options.planFile - 预演模式下把计划写入的 JSON 文件路径
+   * @param {Object} options.config - 已校验的配置，默认从配置文件和环境变量加载
+   */
+  constructor(options = {}) {
+    this.dryRun = options.dryRun ?? process.env.DRY_RUN === 'true';
+    this.planFile = options.planFile ?? process.env.DRY_RUN_PLAN_FILE;
+    this.pipelineConfigs = getPipelines(options.config || getConfig(), options.pipelines);
+    if (options.noteIds?.length > 0 && this.pipelineConfigs.length > 1) {
+      throw new Error('Syncing specific notes requires selecting a single pipeline');
+    }
+    // 所有流水线共用一个 token，限流预算也必须共享
+    this.limiter = new RequestLimiter();
+    this.history = new RunHistory();
+    this.metricsExporter = new MetricsExporter();
+    this.reportWriter = new RunReportWriter();
+    this.pipelines = this.pipelineConfigs.map(pipeline => new PipelineSync(pipeline, {
+      ...options,
+      dryRun: this.dryRun,
+      limiter: this.limiter
+    }));
   }
 
   /**
-   * 执行同步流程
-   * @returns {Promise<Object>} 同步结果
+   * 依次执行各条流水线，单条流水线失败不影响其余流水线；启用每日汇总时，全部流水线结束后合并发送
+   * 非预演运行结束后追加一条运行记录到运行历史，并导出运行指标（JSON 和 Prometheus 文本文件）
+   * 每次运行（包括预演）都写出运行报告（Markdown、HTML 和 JSON）
+   * 运行期间的日志都带有 runId，各流水线的日志另带 pipeline
+   * @returns {Promise<Object>} 汇总的同步结果，pipelines 为各流水线的结果
    */
   async sync() {
     const startTime = Date.now();
+    const startedAt = new Date(startTime).toISOString();
+    const runId = createRunId(new Date(startTime));
     
-    try {
-      log('info', '🚀 Starting Notion comment sync process...');
+    return withLogContext({ runId }, async () => {
+      const entries = [];
       
-      // 步骤1: 验证目标数据库结构
-      log('info', '📋 Step 1: Validating target database structure...');
-      await this.databaseWriter.validateDatabaseStructure();
-      
-      // 步骤2: 获取数据库统计信息
-      log('info', '📊 Step 2: Getting database statistics...');
-      const beforeStats = await this.notionClient.getDatabaseStats();
-      log('info', 'Database stats before sync', beforeStats);
-      
-      // 步骤3: 获取 Reference 数据库中"未执行"的笔记
-      log('info', '🔍 Step 3: Fetching unexecuted notes from reference database...');
-      const pendingNotes = await this.notionClient.getUnexecutedNotes();
-      log('info', `📝 Found ${pendingNotes.length} unexecuted notes to process`);
-      
-      if (pendingNotes.length === 0) {
-        log('info', '✨ No unexecuted notes found. Sync completed!');
-        return {
-          success: true,
-          processed: 0,
-          written: 0,
-          errors: 0,
-          duration: Date.now() - startTime,
-          beforeStats,
-          afterStats: beforeStats
-        };
+      log('info', `🆔 Run ${runId}`);
+      for (const [index, pipeline] of this.pipelines.entries()) {
+        if (this.pipelines.length > 1) {
+          log('info', `🔀 Running pipeline "${pipeline.name}" (${index + 1}/${this.pipelines.length})`);
+        }
+        entries.push({ pipeline, result: await withLogContext({ pipeline: pipeline.name }, () => pipeline.sync({ runId })) });
       }
+      await this.sendDigests(entries);
       
-      // 步骤4: 获取所有笔记的有效讨论
-      log('info', '🔍 Step 4: Fetching valid discussions from all notes...');
-      const allDiscussions = await this.commentFetcher.processMultipleNotes(pendingNotes);
-      
-      if (allDiscussions.length === 0) {
-        log('info', '✨ No valid discussions found. Sync completed!');
-        return {
-          success: true,
-          processed: 0,
-          written: 0,
-          errors: 0,
-          duration: Date.now() - startTime,
-          beforeStats,
-          afterStats: beforeStats
-        };
+      const results = entries.map(({ pipeline, result: { digest, ...pipelineResult } }) => (
+        { pipeline: pipeline.name, ...pipelineResult, metrics: pipeline.getMetrics(), report: pipeline.getReport() }
+      ));
+      const result = { runId, ...this.combineResults(results, Date.now() - startTime) };
+      if (this.dryRun) {
+        await this.writePlanFile(result.plan);
+      } else {
+        await this.history.append(buildRunRecord(result, startedAt));
+        await this.exportMetrics(result, startedAt);
       }
-      
-      // 步骤5: 检查去重，只处理新的讨论
-      const existingDiscussionIds = await this.notionClient.getExistingDiscussionIds();
-      const newDiscussions = allDiscussions.filter(discussion => 
-        !existingDiscussionIds.includes(discussion.discussionId)
-      );
-      
-      log('info', `Found ${newDiscussions.length} new discussions to process`);
-      
-      if (newDiscussions.length === 0) {
-        log('info', '✨ No new discussions to process. Sync completed!');
-        return {
-          success: true,
-          processed: allDiscussions.length,
-          written: 0,
-          errors: 0,
-          duration: Date.now() - startTime,
-          beforeStats,
-          afterStats: beforeStats
-        };
+      await this.reportWriter.write(buildRunReport(result, { startedAt }));
+      log('info', `🏁 Run ${runId} finished`, { success: result.success, written: result.written, errors: result.errors, durationMs: result.duration });
+      return result;
+    });
+  }
+
+  /**
+   * 发送每日汇总：各流水线收集的汇总内容合并为一条通知
+   * 通知配置相同的流水线共用一条汇总；流水线覆盖了通知配置时，各自的渠道只收到自己的流水线
+   * 汇总失败只记录日志，不影响同步结果
+   * @param {Array} entries - 各流水线及其同步结果 [{ pipeline, result }]，result.digest 为收集的汇总内容
+   */
+  async sendDigests(entries) {
+    const groups = new Map();
+    entries.filter(({ result }) => result.digest).forEach(entry => {
+      const key = JSON.stringify(entry.pipeline.notionClient.config.notifications ?? {});
+      groups.set(key, [...(groups.get(key) || []), entry]);
+    });
+    
+    for (const group of groups.values()) {
+      const names = group.map(({ pipeline }) => pipeline.name);
+      let outcome;
+      try {
+        log('info', `📨 Sending daily digest for ${names.map(name => `"${name}"`).join(', ')}...`);
+        const emailSent = await group[0].pipeline.workflowManager.notifier.sendDailyDigest({ pipelines: group.map(({ result }) => result.digest) });
+        if (!emailSent) {
+          log('warn', '⚠️ Daily digest failed or no channel configured');
+        }
+        outcome = { success: true, emailSent };
+      } catch (error) {
+        log('error', 'Failed to send daily digest', error);
+        outcome = { success: false, emailSent: false, error: error.message };
       }
       
-      // 步骤6: 处理讨论内容并写入数据库
-      log('info', '⚙️ Step 5: Processing discussion content...');
-      log('info', `Processing ${newDiscussions.length} discussions`);
-      
-      const processedDiscussions = await this.contentProcessor.processMultipleDiscussions(newDiscussions);
-      
-      log('info', '💾 Step 6: Writing discussions to database...');
-      const writeResults = await this.databaseWriter.writeMultipleDiscussions(processedDiscussions, this.contentProcessor);
-      
-      // 步骤7: 更新 Reference 数据库中已处理笔记的状态
-      log('info', '🔄 Step 7: Updating automation status in reference database...');
-      await this.updateProcessedNotesStatus(pendingNotes, writeResults.results);
-      
-      // 步骤8: 执行Reference处理工作流
-      log('info', '🔄 Step 8: Executing reference processing workflow...');
-      const referenceWorkflowResult = await this.workflowManager.executeReferenceProcessingWorkflow();
-      log('info', '📋 Reference processing workflow result:', referenceWorkflowResult);
-      
-      // 步骤9: 执行卡片处理工作流（仅当Reference任务完成时）
-      let cardWorkflowResult = null;
-      if (referenceWorkflowResult.success && !referenceWorkflowResult.unfinishedTask) {
-        log('info', '🔄 Step 9: Executing card processing workflow...');
-        cardWorkflowResult = await this.workflowManager.executeCardProcessingWorkflow();
-        log('info', '📋 Card processing workflow result:', cardWorkflowResult);
-      } else {
-        log('info', '⏸️ Skipping card processing workflow - Reference task not completed');
+      for (const [index, { pipeline, result }] of group.entries()) {
+        result.digestResult = await withLogContext({ pipeline: pipeline.name }, () => pipeline.completeDigest(outcome, { countEmail: index === 0 }));
       }
-      
-      // 步骤10: 获取更新后的数据库统计信息
-      const afterStats = await this.notionClient.getDatabaseStats();
-      
-      const duration = Date.now() - startTime;
-      
-      log('info', '🎉 Sync process completed successfully!', {
-        success: true,
-        processed: allDiscussions.length,
-        written: writeResults.successCount,
-        errors: writeResults.errorCount,
-        duration,
-        beforeStats,
-        afterStats,
-        referenceWorkflowResult,
-        cardWorkflowResult
-      });
-      
-      return {
-        success: true,
-        processed: allDiscussions.length,
-        written: writeResults.successCount,
-        errors: writeResults.errorCount,
-        duration,
-        beforeStats,
-        afterStats,
-        writeResults: writeResults.results,
-        referenceWorkflowResult,
-        cardWorkflowResult
-      };
-      
+    }
+  }
+
+  /**
+   * 导出本次运行的指标；最近一次写入卡片的时间取自运行历史（包括本次运行）
+   * @param {Object} result - 汇总的同步结果
+   * @param {string} startedAt - 开始时间
+   */
+  async exportMetrics(result, startedAt) {
+    let lastCardsWrittenAt = null;
+    try {
+      lastCardsWrittenAt = (await this.history.getLastRunWithWrites())?.finishedAt ?? null;
     } catch (error) {
-      const duration = Date.now() - startTime;
-      log('error', '❌ Sync process failed', error);
-      
-      return {
-        success: false,
-        error: error.message,
-        duration
-      };
+      log('warn', `Failed to read run history for metrics: ${error.message}`);
+    }
+    if (!lastCardsWrittenAt && result.written > 0) {
+      lastCardsWrittenAt = new Date().toISOString();
     }
+    
+    await this.metricsExporter.write(buildRunMetrics(result, { startedAt, lastCardsWrittenAt }));
+  }
+
+  /**
+   * 汇总各流水线的结果
+   * @param {Array} results - 各流水线的结果
+   * @param {number} duration - 总耗时
+   * @returns {Object} 汇总结果
+   */
+  combineResults(results, duration) {
+    const failed = results.filter(result => !result.success);
+    const combined = {
+      success: failed.length === 0,
+      ...(failed.length > 0 ? { error: failed.map(result => `${result.pipeline}: ${result.error}`).join('; ') } : {}),
+      duration,
+      deletedSources: results.flatMap(result => (result.deletedSources || []).map(entry => ({ pipeline: result.pipeline, ...entry }))),
+      staleCards: results.flatMap(result => (result.staleCards || []).map(entry => ({ pipeline: result.pipeline, ...entry }))),
+      apiStats: this.limiter.getStats(),
+      pipelines: results.map(({ plan, ...result }) => result)
+    };
+    
+    SUMMED_FIELDS.forEach(field => {
+      combined[field] = results.reduce((sum, result) => sum + (result[field] || 0), 0);
+    });
+    
+    if (this.dryRun) {
+      combined.dryRun = true;
+      combined.plan = this.combinePlans(results);
+    }
+    return combined;
+  }
+
+  /**
+   * 汇总预演计划：未配置流水线时保持单条流水线的计划格式
+   * @param {Array} results - 各流水线的结果
+   * @returns {Object} 预演计划
+   */
+  combinePlans(results) {
+    if (this.pipelineConfigs.length === 1 && this.pipelineConfigs[0].implicit) {
+      return results[0].plan || null;
+    }
+    
+    return {
+      generatedAt: new Date().toISOString(),
+      pipelines: results.map(result => ({ name: result.pipeline, ...result.plan }))
+    };
   }
 
   /**
-   * 更新已处理笔记的自动化状态
-   * @param {Array} pendingNotes - 待处理笔记
-   * @param {Array} writeResults - 写入结果
+   * 把预演计划写入 JSON 文件（未配置路径时跳过）
+   * @param {Object} plan - 预演计划
    */
-  async updateProcessedNotesStatus(pendingNotes, writeResults) {
+  async writePlanFile(plan) {
+    if (!this.planFile || !plan) {
+      return;
+    }
+    
     try {
-      log('info', 'Starting to update automation status for processed notes');
-      
-      // 统计每个源笔记的成功写入数量
-      const sourceNoteSuccessCount = {};
-      
-      writeResults.forEach(result => {
-        if (result.success && result.sourceNoteId) {
-          // 使用 sourceNoteId 来统计
-          sourceNoteSuccessCount[result.sourceNoteId] = (sourceNoteSuccessCount[result.sourceNoteId] || 0) + 1;
-        }
+      await fs.mkdir(path.dirname(this.planFile), { recursive: true });
+      await fs.writeFile(this.planFile, JSON.stringify(plan, null, 2));
+      log('info', `📝 Dry run plan written to ${this.planFile}`);
+    } catch (error) {
+      log('error', `Failed to write dry run plan to ${this.planFile}`, error);
+    }
+  }
+}
+
+/**
+ * 输出预演计划
+ * @param {Object} plan - 预演计划
+ * @param {string} name - 流水线名称（多条流水线时显示）
+ */
+function printDryRunPlan(plan, name = null) {
+  console.log(`\n🧪 DRY RUN PLAN${name ? ` [${name}]` : ''} (no changes were made)`);
+  
+  console.log(`🆕 Cards to create: ${plan.cards.length}`);
+  plan.cards.forEach((card, index) => {
+    console.log(`  ${index + 1}. ${card.title} (${card.discussionId}) - ${card.blockCount} blocks`);
+  });
+  
+  if (plan.replies.length > 0) {
+    console.log(`🔁 Cards to append replies: ${plan.replies.length}`);
+    plan.replies.forEach((reply, index) => {
+      console.log(`  ${index + 1}. ${reply.title} (${reply.pageId}) - ${reply.commentCount} replies`);
+    });
+  }
+  
+  if (plan.updates.length > 0) {
+    console.log(`✏️ Edited cards to re-render: ${plan.updates.length}`);
+    plan.updates.forEach((update, index) => {
+      console.log(`  ${index + 1}. ${update.title} (${update.pageId})`);
+    });
+  }
+  
+  console.log(`🔄 Notes to mark as executed: ${plan.noteStatusUpdates.length}`);
+  plan.noteStatusUpdates.forEach((note, index) => {
+    console.log(`  ${index + 1}. ${note.title} (${note.id})`);
+  });
+  
+  [['Reference workflow', plan.referenceWorkflow], ['Card workflow', plan.cardWorkflow]].forEach(([name, planned]) => {
+    if (!planned) {
+      console.log(`📋 ${name}: not run`);
+      return;
+    }
+    console.log(`📋 ${name}: task=${planned.actionTask || 'none'}, email=${planned.email || 'none'}`);
+  });
+  if (plan.digest) {
+    console.log(`📨 Daily digest: email=${plan.digest.email}`);
+  }
+}
+
+/**
+ * 输出单条流水线的数据库统计、源删除和错误详情
+ * @param {Object} result - 流水线的同步结果
+ */
+function printPipelineDetails(result) {
+  console.log('\n📊 DATABASE STATS');
+  console.log(`📄 Before: ${result.beforeStats.totalPages} pages`);
+  console.log(`📄 After: ${result.afterStats.totalPages} pages`);
+  console.log(`📈 New: ${result.afterStats.uniqueDiscussionIds - result.beforeStats.uniqueDiscussionIds} pages`);
+  if (result.resumedFrom) {
+    console.log(`⏯️ Resumed run ${result.resumedFrom} (${result.resumedCards} cards created before the interruption)`);
+  }
+  
+  const needsRepair = (result.writeResults || []).filter(entry => entry.needsRepair);
+  if (needsRepair.length > 0) {
+    console.log(`\n🔧 CARDS MISSING SOLUTION SECTION (will be repaired on the next run)`);
+    needsRepair.forEach((entry, index) => {
+      console.log(`${index + 1}. ${entry.title} (${entry.pageId}): ${entry.repairError}`);
+    });
+  }
+  
+  if (result.repairedCards?.length > 0) {
+    console.log(`\n🔧 HALF-BUILT CARDS${result.dryRun ? ' (planned)' : ''}`);
+    result.repairedCards.forEach((entry, index) => {
+      const outcome = entry.error ? `failed: ${entry.error}` : entry.outcome;
+      console.log(`${index + 1}. ${entry.title} (${entry.pageId}) → ${outcome}`);
+    });
+  }
+  
+  if (result.staleCards?.length > 0) {
+    console.log('\n⚠️ EDITED CARDS NOT RE-RENDERED (no end marker after the Reference section)');
+    result.staleCards.forEach((entry, index) => {
+      console.log(`${index + 1}. ${entry.title} (${entry.pageId})`);
+    });
+  }
+  
+  if (result.deletedSources?.length > 0) {
+    console.log(`\n🗑️ DELETED SOURCES${result.dryRun ? ' (planned)' : ''}`);
+    result.deletedSources.forEach((entry, index) => {
+      const outcome = entry.error ? `failed: ${entry.error}` : entry.action;
+      console.log(`${index + 1}. ${entry.title} (${entry.pageId}): ${DELETED_SOURCE_REASONS[entry.reason]} → ${outcome}`);
+    });
+  }
+  
+  if (result.errors > 0 && result.writeResults) {
+    console.log('\n❌ ERROR DETAILS');
+    result.writeResults
+      .filter(r => !r.success)
+      .forEach((result, index) => {
+        console.log(`${index + 1}. ${result.title} (${result.discussionId}): ${result.error}`);
       });
-      
-      log('info', `Source note success count:`, sourceNoteSuccessCount);
-      
-      for (const note of pendingNotes) {
-        const noteId = note.id;
-        
-        // 检查该笔记是否有成功写入的讨论
-        const successCount = sourceNoteSuccessCount[noteId] || 0;
-        
-        if (successCount > 0) {
-          // 如果有成功写入的讨论，更新状态为"已执行"
-          log('info', `Note ${noteId} has ${successCount} successful discussions, updating to '已执行'`);
-          await this.notionClient.updateAutomationStatus(noteId, '已执行');
-        } else {
-          // 如果没有成功写入的讨论，保持状态为"未执行"
-          log('info', `Note ${noteId} has no successful discussions, keeping '未执行' status`);
-        }
+  }
+}
+
+/**
+ * 输出同步摘要
+ * @param {Object} result - sync() 的返回结果（各流水线的汇总）
+ */
+export function printSyncSummary(result) {
+  const pipelines = result.pipelines || [result];
+  const multiple = pipelines.length > 1;
+  
+  console.log('\n============================================================');
+  console.log(`📋 SYNC SUMMARY${result.dryRun ? ' (DRY RUN)' : ''}`);
+  console.log('============================================================');
+  if (result.runId) {
+    console.log(`🆔 Run: ${result.runId}`);
+  }
+  console.log(`✅ Success: ${result.success ? 'Yes' : 'No'}`);
+  
+  if (pipelines.some(pipeline => pipeline.success)) {
+    if (multiple) {
+      console.log(`🔀 Pipelines: ${pipelines.filter(pipeline => pipeline.success).length}/${pipelines.length} succeeded`);
+    }
+    console.log(`📝 Total Processed: ${result.processed}`);
+    console.log(`💾 Successfully Written: ${result.written}`);
+    console.log(`❌ Errors: ${result.errors}`);
+    if (result.appendedReplies) {
+      console.log(`🔁 Appended Replies: ${result.appendedReplies}`);
+    }
+    if (result.updatedCards) {
+      console.log(`✏️ Re-rendered Cards: ${result.updatedCards}`);
+    }
+    console.log(`⏱️ Duration: ${result.duration}ms`);
+  }
+  
+  pipelines.forEach(pipeline => {
+    if (multiple) {
+      console.log(`\n🔀 PIPELINE ${pipeline.pipeline}: ${pipeline.success ? 'OK' : 'FAILED'}`);
+      if (pipeline.success) {
+        console.log(`📝 Processed: ${pipeline.processed}, 💾 Written: ${pipeline.written}, ❌ Errors: ${pipeline.errors}, ⏱️ ${pipeline.duration}ms`);
       }
-      
-      log('info', 'Completed updating automation status for all notes');
-      
-    } catch (error) {
-      log('error', 'Failed to update automation status', error);
+    }
+    if (pipeline.success) {
+      printPipelineDetails(pipeline);
+    } else {
+      console.log(`❌ Error: ${pipeline.error}`);
+    }
+  });
+  
+  if (result.apiStats) {
+    console.log(`\n🌐 API Requests: ${result.apiStats.requests} (retries: ${result.apiStats.retries}, failures: ${result.apiStats.failures})`);
+    Object.entries(result.apiStats.retriesByReason).forEach(([reason, count]) => {
+      console.log(`  🔁 ${reason}: ${count}`);
+    });
+  }
+  
+  if (result.dryRun && result.plan) {
+    if (result.plan.pipelines) {
+      result.plan.pipelines.forEach(plan => printDryRunPlan(plan, plan.name));
+    } else {
+      printDryRunPlan(result.plan);
     }
   }
+  
+  console.log('============================================================\n');
 }
 
 /**
@@ -214,41 +370,19 @@ export class NotionCommentSync {
 async function main() {
   try {
     const sync = new NotionCommentSync();
-    const result = await sync.sync();
-    
-    // 输出同步摘要
-    console.log('\n============================================================');
-    console.log('📋 SYNC SUMMARY');
-    console.log('============================================================');
-    console.log(`✅ Success: ${result.success ? 'Yes' : 'No'}`);
     
-    if (result.success) {
-      console.log(`📝 Total Processed: ${result.processed}`);
-      console.log(`💾 Successfully Written: ${result.written}`);
-      console.log(`❌ Errors: ${result.errors}`);
-      console.log(`⏱️ Duration: ${result.duration}ms`);
-      
-      console.log('\n📊 DATABASE STATS');
-      console.log(`📄 Before: ${result.beforeStats.totalPages} pages`);
-      console.log(`📄 After: ${result.afterStats.totalPages} pages`);
-      console.log(`📈 New: ${result.afterStats.uniqueDiscussionIds - result.beforeStats.uniqueDiscussionIds} pages`);
-      
-      if (result.errors > 0 && result.writeResults) {
-        console.log('\n❌ ERROR DETAILS');
-        result.writeResults
-          .filter(r => !r.success)
-          .forEach((result, index) => {
-            console.log(`${index + 1}. ${result.title} (${result.discussionId}): ${result.error}`);
-          });
-      }
-    } else {
-      console.log(`❌ Error: ${result.error}`);
+    const previousRun = await sync.history.getLastRun();
+    if (previousRun) {
+      log('info', `🕘 Previous run ${previousRun.runId} at ${previousRun.startedAt}: ${previousRun.success ? 'succeeded' : 'failed'} (${previousRun.counts.written} written, ${previousRun.counts.errors} errors)`);
     }
     
-    console.log('============================================================\n');
+    const result = await sync.sync();
+    
+    // 输出同步摘要
+    printSyncSummary(result);
     
   } catch (error) {
-    console.error('❌ Main function failed:', error);
+    log('error', '❌ Main function failed', error);
     process.exit(1);
   }
 }
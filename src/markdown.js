@@ -0,0 +1,293 @@
+/**
+ * 通知消息使用的 Markdown 子集渲染：标题、段落、有序/无序列表（可嵌套）、引用、分隔线，
+ * 以及行内的加粗、斜体、代码、链接、裸链接和反斜杠转义；所有文本都做 HTML 转义
+ */
+
+/**
+ * 转义 HTML
+ * @param {*} value - 内容
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 转义 Markdown 标记字符，使内容按原文显示（换行合并为空格，不会打断列表或表格）
+ * @param {*} value - 内容
+ * @returns {string}
+ */
+export function escapeMarkdown(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/\|/g, '\\|').replace(/([[\]*_`<>])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+}
+
+/**
+ * 反斜杠转义：反斜杠加 ASCII 标点表示该标点本身
+ */
+const ESCAPE_PATTERN = /\\([!-/:-@[-`{-~])/g;
+
+/**
+ * 行内标记：转义字符、代码、链接（地址中可以有成对的括号）、加粗、斜体、裸链接
+ * 加粗和斜体的结束标记不能是被转义的 *
+ */
+const INLINE_PATTERN = /\\([!-/:-@[-`{-~])|`([^`]+)`|\[((?:\\.|[^\]\\])+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|\*\*(.+?)(?<!\\)\*\*|\*([^*\s](?:[^*]*[^*\s\\])?)\*|(https?:\/\/(?:[^\s<>()]|\([^\s<>()]*\))*(?:[^\s<>().,;:!?，。；：！？）]|\([^\s<>()]*\)))/g;
+
+/**
+ * 去掉链接地址中的反斜杠转义
+ * @param {string} url - 链接地址
+ * @returns {string}
+ */
+function unescapeUrl(url) {
+  return url.replace(ESCAPE_PATTERN, '$1');
+}
+
+/**
+ * 链接地址是否可以输出为 href（只允许 http(s) 和 mailto，避免 javascript: 等）
+ * @param {string} url - 链接地址
+ * @returns {boolean}
+ */
+function isSafeUrl(url) {
+  return /^(https?:|mailto:)/i.test(url);
+}
+
+/**
+ * 渲染行内内容
+ * @param {string} text - Markdown 行内文本
+ * @param {string} format - html | text
+ * @returns {string}
+ */
+function renderInline(text, format) {
+  const html = format === 'html';
+  let output = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const plain = text.slice(lastIndex, match.index);
+    output += html ? escapeHtml(plain) : plain;
+    lastIndex = match.index + match[0].length;
+
+    const [, escaped, code, linkText, rawLinkUrl, bold, italic, rawBareUrl] = match;
+    const linkUrl = rawLinkUrl && unescapeUrl(rawLinkUrl);
+    const bareUrl = rawBareUrl && unescapeUrl(rawBareUrl);
+    if (escaped !== undefined) {
+      output += html ? escapeHtml(escaped) : escaped;
+    } else if (code !== undefined) {
+      output += html ? `<code>${escapeHtml(code)}</code>` : code;
+    } else if (linkText !== undefined) {
+      const label = renderInline(linkText, format);
+      if (!isSafeUrl(linkUrl)) {
+        output += label;
+      } else if (html) {
+        output += `<a href="${escapeHtml(linkUrl)}">${label}</a>`;
+      } else {
+        output += label === linkUrl ? linkUrl : `${label} (${linkUrl})`;
+      }
+    } else if (bold !== undefined) {
+      output += html ? `<strong>${renderInline(bold, format)}</strong>` : renderInline(bold, format);
+    } else if (italic !== undefined) {
+      output += html ? `<em>${renderInline(italic, format)}</em>` : renderInline(italic, format);
+    } else {
+      output += html ? `<a href="${escapeHtml(bareUrl)}">${escapeHtml(bareUrl)}</a>` : bareUrl;
+    }
+  }
+
+  const rest = text.slice(lastIndex);
+  return output + (html ? escapeHtml(rest) : rest);
+}
+
+/**
+ * 列表项的匹配：缩进、标记（- * + 或 数字.）、内容
+ */
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+\.)\s+(.*)$/;
+
+/**
+ * 解析为块结构
+ * @param {string} markdown - Markdown 文本
+ * @returns {Array} 块 [{ type: heading|paragraph|list|quote|rule, ... }]
+ */
+function parseBlocks(markdown) {
+  const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = null;
+  let list = null;
+
+  const closeParagraph = () => {
+    paragraph = null;
+  };
+  const closeList = () => {
+    list = null;
+  };
+
+  for (const line of lines) {
+    if (!line.trim()) {
+      closeParagraph();
+      closeList();
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (heading) {
+      closeParagraph();
+      closeList();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2] });
+      continue;
+    }
+
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      closeParagraph();
+      closeList();
+      blocks.push({ type: 'rule' });
+      continue;
+    }
+
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (item) {
+      closeParagraph();
+      const indent = item[1].replace(/\t/g, '  ').length;
+      const ordered = /\d/.test(item[2]);
+      if (!list) {
+        list = { type: 'list', ordered, items: [], indent };
+        blocks.push(list);
+      }
+      addListItem(list, { indent, ordered, text: item[3] });
+      continue;
+    }
+
+    const quote = line.match(/^\s*>\s?(.*)$/);
+    if (quote) {
+      closeList();
+      const last = blocks[blocks.length - 1];
+      if (last?.type === 'quote' && !paragraph) {
+        last.lines.push(quote[1]);
+      } else {
+        closeParagraph();
+        blocks.push({ type: 'quote', lines: [quote[1]] });
+      }
+      continue;
+    }
+
+    // 列表项后紧跟的缩进行是该项的续行
+    if (list && /^\s+/.test(line)) {
+      const lastItem = lastListItem(list);
+      lastItem.text += `\n${line.trim()}`;
+      continue;
+    }
+
+    closeList();
+    if (!paragraph) {
+      paragraph = { type: 'paragraph', lines: [] };
+      blocks.push(paragraph);
+    }
+    paragraph.lines.push(line.trim());
+  }
+
+  return blocks;
+}
+
+/**
+ * 向列表中加入一项：缩进比上一项更深时作为上一项的子列表
+ * @param {Object} list - 列表块
+ * @param {Object} item - { indent, ordered, text }
+ */
+function addListItem(list, item) {
+  const parent = list.items[list.items.length - 1];
+  if (parent && item.indent > list.indent) {
+    if (!parent.children || item.indent < parent.children.indent) {
+      parent.children = parent.children || { type: 'list', ordered: item.ordered, items: [], indent: item.indent };
+    }
+    addListItem(parent.children, item);
+    return;
+  }
+  list.items.push({ text: item.text, children: null });
+}
+
+/**
+ * 列表中最后一项（包括嵌套列表）
+ * @param {Object} list - 列表块
+ * @returns {Object} 列表项
+ */
+function lastListItem(list) {
+  const item = list.items[list.items.length - 1];
+  return item.children ? lastListItem(item.children) : item;
+}
+
+/**
+ * 渲染列表为 HTML
+ * @param {Object} list - 列表块
+ * @returns {string}
+ */
+function renderHtmlList(list) {
+  const tag = list.ordered ? 'ol' : 'ul';
+  const items = list.items.map(item => {
+    const children = item.children ? renderHtmlList(item.children) : '';
+    return `<li>${renderInline(item.text, 'html').replace(/\n/g, '<br>')}${children}</li>`;
+  });
+  return `<${tag}>\n${items.join('\n')}\n</${tag}>`;
+}
+
+/**
+ * 渲染列表为纯文本
+ * @param {Object} list - 列表块
+ * @param {number} depth - 嵌套层级
+ * @returns {string}
+ */
+function renderTextList(list, depth = 0) {
+  const indent = '  '.repeat(depth);
+  return list.items.map((item, index) => {
+    const marker = list.ordered ? `${index + 1}.` : '-';
+    const text = renderInline(item.text, 'text').replace(/\n/g, `\n${indent}  `);
+    const children = item.children ? `\n${renderTextList(item.children, depth + 1)}` : '';
+    return `${indent}${marker} ${text}${children}`;
+  }).join('\n');
+}
+
+/**
+ * 将 Markdown 渲染为 HTML
+ * @param {string} markdown - Markdown 文本
+ * @returns {string} HTML 片段
+ */
+export function markdownToHtml(markdown) {
+  return parseBlocks(markdown).map(block => {
+    switch (block.type) {
+      case 'heading':
+        return `<h${block.level}>${renderInline(block.text, 'html')}</h${block.level}>`;
+      case 'rule':
+        return '<hr>';
+      case 'list':
+        return renderHtmlList(block);
+      case 'quote':
+        return `<blockquote><p>${block.lines.map(line => renderInline(line, 'html')).join('<br>')}</p></blockquote>`;
+      default:
+        return `<p>${block.lines.map(line => renderInline(line, 'html')).join('\n')}</p>`;
+    }
+  }).join('\n');
+}
+
+/**
+ * 将 Markdown 渲染为纯文本（去掉标记，链接写成"文字 (地址)"，一级和二级标题加下划线）
+ * @param {string} markdown - Markdown 文本
+ * @returns {string} 纯文本
+ */
+export function markdownToText(markdown) {
+  return parseBlocks(markdown).map(block => {
+    switch (block.type) {
+      case 'heading': {
+        const text = renderInline(block.text, 'text');
+        return block.level <= 2 ? `${text}\n${(block.level === 1 ? '=' : '-').repeat(Math.min(text.length * 2, 40))}` : text;
+      }
+      case 'rule':
+        return '----------';
+      case 'list':
+        return renderTextList(block);
+      case 'quote':
+        return block.lines.map(line => `> ${renderInline(line, 'text')}`).join('\n');
+      default:
+        return block.lines.map(line => renderInline(line, 'text')).join('\n');
+    }
+  }).join('\n\n');
+}
@@ -0,0 +1,238 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLogger } from './logger.js';
+import { escapeHtml, escapeMarkdown, markdownToHtml, markdownToText } from './markdown.js';
+
+const log = createLogger('message-templates');
+
+/**
+ * 默认模板目录
+ */
+const DEFAULT_TEMPLATES_DIR = fileURLToPath(new URL('../templates/messages/', import.meta.url));
+
+/**
+ * 邮件 HTML 版式模板，{{{content}}} 处放入由 Markdown 正文渲染的 HTML
+ */
+const LAYOUT_FILE = 'layout.html';
+
+/**
+ * 模板标签：{{变量}}、{{{不转义的变量}}}、{{#each 列表}}、{{#if 条件}}、{{else}}、{{/each}}、{{/if}}
+ */
+const TAG_PATTERN = /\{\{(\{?)\s*(#each|#if|\/each|\/if|else)?\s*([\w.@]*)\s*\}?\}\}/g;
+
+/**
+ * 独占一行的块标签：渲染时连同所在行一起去掉，避免在 Markdown 中留下空行
+ */
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{\s*(?:#each|#if|\/each|\/if|else)\b[^}]*\}\})[ \t]*\r?\n/gm;
+
+/**
+ * 解析模板文件：开头可选的 front matter（--- 包围的 key: value 行），其余为模板正文
+ * @param {string} source - 模板文件内容
+ * @param {string} name - 模板名称（用于错误信息）
+ * @returns {Object} { meta, nodes }
+ */
+function compileTemplate(source, name) {
+  const meta = {};
+  let content = source.replace(/\r\n?/g, '\n');
+  const frontMatter = content.match(/^---\n([\s\S]*?)\n---\n/);
+  if (frontMatter) {
+    frontMatter[1].split('\n').filter(line => line.trim()).forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator === -1) {
+        throw new Error(`Invalid front matter line in template ${name}: ${line}`);
+      }
+      meta[line.slice(0, separator).trim()] = parseTemplate(line.slice(separator + 1).trim(), name);
+    });
+    content = content.slice(frontMatter[0].length);
+  }
+
+  return { meta, nodes: parseTemplate(content, name) };
+}
+
+/**
+ * 将模板正文解析为节点树
+ * @param {string} source - 模板正文
+ * @param {string} name - 模板名称（用于错误信息）
+ * @returns {Array} 节点 [{ type: text|var|each|if, ... }]
+ */
+function parseTemplate(source, name) {
+  const text = source.replace(STANDALONE_BLOCK_TAG, '$1');
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const target = node => (node.inElse ? node.elseChildren : node.children);
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > lastIndex) {
+      target(current).push({ type: 'text', value: text.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + match[0].length;
+
+    const [tag, raw, keyword, valuePath] = match;
+    if (keyword === '#each' || keyword === '#if') {
+      if (!valuePath) {
+        throw new Error(`Missing value in ${tag} in template ${name}`);
+      }
+      const node = { type: keyword.slice(1), path: valuePath, children: [], elseChildren: [], inElse: false };
+      target(current).push(node);
+      stack.push(node);
+    } else if (keyword === 'else') {
+      if (current.type === 'root' || current.inElse) {
+        throw new Error(`Unexpected {{else}} in template ${name}`);
+      }
+      current.inElse = true;
+    } else if (keyword) {
+      if (current.type !== keyword.slice(1)) {
+        throw new Error(`Unexpected ${tag} in template ${name}`);
+      }
+      stack.pop();
+    } else {
+      if (!valuePath) {
+        throw new Error(`Empty tag ${tag} in template ${name}`);
+      }
+      target(current).push({ type: 'var', path: valuePath, raw: !!raw });
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${stack[stack.length - 1].type} ${stack[stack.length - 1].path}}} in template ${name}`);
+  }
+  if (lastIndex < text.length) {
+    root.children.push({ type: 'text', value: text.slice(lastIndex) });
+  }
+  return root.children;
+}
+
+/**
+ * 在作用域链中查找变量：this 为当前循环项，@index / @number 为当前循环的序号（从 0 / 1 开始），
+ * 其余从内到外查找第一段名称，再按 "." 逐级取属性
+ * @param {string} valuePath - 变量路径
+ * @param {Array} scopes - 作用域链，最内层在最后
+ * @returns {*}
+ */
+function resolve(valuePath, scopes) {
+  const [head, ...rest] = valuePath.split('.');
+  let value;
+  if (head === 'this' || head.startsWith('@')) {
+    const scope = [...scopes].reverse().find(item => item.locals);
+    value = scope ? scope.locals[head] : undefined;
+  } else {
+    const scope = [...scopes].reverse().find(item => item.data != null && typeof item.data === 'object' && head in item.data);
+    value = scope ? scope.data[head] : undefined;
+  }
+  return rest.reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+/**
+ * 条件是否成立（空数组视为不成立）
+ * @param {*} value - 值
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+/**
+ * 渲染节点
+ * @param {Array} nodes - 节点
+ * @param {Array} scopes - 作用域链
+ * @param {Function} escape - 变量的转义函数（{{{ }}} 不转义）
+ * @returns {string}
+ */
+function renderNodes(nodes, scopes, escape) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var': {
+        const value = resolve(node.path, scopes);
+        const text = value == null ? '' : String(value);
+        return node.raw ? text : escape(text);
+      }
+      case 'if':
+        return renderNodes(isTruthy(resolve(node.path, scopes)) ? node.children : node.elseChildren, scopes, escape);
+      default: {
+        const items = resolve(node.path, scopes);
+        if (!Array.isArray(items) || items.length === 0) {
+          return renderNodes(node.elseChildren, scopes, escape);
+        }
+        return items.map((item, index) => renderNodes(node.children, [
+          ...scopes,
+          { data: item, locals: { this: item, '@index': index, '@number': index + 1 } }
+        ], escape)).join('');
+      }
+    }
+  }).join('');
+}
+
+/**
+ * 通知消息模板：每种消息一个 Markdown 模板文件（front matter 中的 subject 为标题），
+ * 邮件 HTML 再套入 layout.html 版式
+ * 配置了自定义目录时，目录中的同名文件优先，缺少的文件使用默认模板
+ */
+export class MessageTemplates {
+  /**
+   * @param {string} templatesDir - 自定义模板目录，为空时只使用默认模板
+   */
+  constructor(templatesDir) {
+    this.templatesDir = templatesDir || null;
+    this.cache = new Map();
+  }
+
+  /**
+   * 读取并解析模板（解析结果缓存）
+   * @param {string} fileName - 模板文件名
+   * @returns {Promise<Object>} { meta, nodes }
+   */
+  async load(fileName) {
+    if (!this.cache.has(fileName)) {
+      this.cache.set(fileName, compileTemplate(await this.read(fileName), fileName));
+    }
+    return this.cache.get(fileName);
+  }
+
+  /**
+   * 读取模板文件：先找自定义目录，再找默认目录
+   * @param {string} fileName - 模板文件名
+   * @returns {Promise<string>} 文件内容
+   */
+  async read(fileName) {
+    if (this.templatesDir) {
+      const customFile = path.join(this.templatesDir, fileName);
+      try {
+        const source = await fs.readFile(customFile, 'utf8');
+        log('debug', `Using custom template ${customFile}`);
+        return source;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return fs.readFile(path.join(DEFAULT_TEMPLATES_DIR, fileName), 'utf8');
+  }
+
+  /**
+   * 渲染一条消息
+   * @param {string} fileName - 消息模板文件名
+   * @param {Object} data - 模板数据
+   * @returns {Promise<Object>} { subject, body, html, text }：body 为 Markdown 正文，html 为套入版式的邮件正文，text 为纯文本
+   */
+  async render(fileName, data) {
+    const template = await this.load(fileName);
+    if (!template.meta.subject) {
+      throw new Error(`Template ${fileName} has no subject in its front matter`);
+    }
+
+    // 标题是纯文本，变量原样插入；正文是 Markdown，{{变量}} 转义标记字符（笔记标题中的 * _ [ ] 等按原文显示），{{{变量}}} 原样插入
+    const subject = renderNodes(template.meta.subject, [{ data }], value => value).replace(/\s+/g, ' ').trim();
+    const body = renderNodes(template.nodes, [{ data }], escapeMarkdown).replace(/\n{3,}/g, '\n\n').trim();
+
+    const layout = await this.load(LAYOUT_FILE);
+    const html = renderNodes(layout.nodes, [{ data: { ...data, subject, content: markdownToHtml(body) } }], escapeHtml);
+
+    return { subject, body, html, text: markdownToText(body) };
+  }
+}
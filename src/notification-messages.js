@@ -0,0 +1,149 @@
+/**
+ * 通知消息内容：由 templates/messages 下的 Markdown 模板生成（见 message-templates.js）
+ * 各通知渠道共用同一份 Markdown 正文（body），邮件另用套入版式的 HTML 和纯文本（text）
+ */
+
+/**
+ * 警告消息中最多列出的笔记或卡片数
+ */
+const WARNING_LIST_LIMIT = 5;
+
+/**
+ * 每日汇总中每个列表最多列出的条数
+ */
+const DIGEST_LIST_LIMIT = 20;
+
+/**
+ * 各消息共用的模板数据：timeString 为标题中的时间戳，generatedAt 为北京时间的生成时间
+ * @returns {Object}
+ */
+function commonData() {
+  const currentTime = new Date();
+  return {
+    timeString: currentTime.toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', ''),
+    generatedAt: currentTime.toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' })
+  };
+}
+
+/**
+ * 生成Reference处理提醒内容（模板 reference-reminder.md）
+ * @param {MessageTemplates} templates - 消息模板
+ * @param {Array} unexecutedNotes - 未执行的笔记列表
+ * @param {string} actionTaskLink - 行动库任务链接
+ * @returns {Promise<Object>} { subject, body, html, text }
+ */
+export function generateReferenceReminderContent(templates, unexecutedNotes, actionTaskLink) {
+  return templates.render('reference-reminder.md', {
+    ...commonData(),
+    count: unexecutedNotes.length,
+    notes: unexecutedNotes,
+    actionTaskLink
+  });
+}
+
+/**
+ * 生成Reference任务未完成警告内容（模板 reference-warning.md，只列出前几个笔记）
+ * @param {MessageTemplates} templates - 消息模板
+ * @param {Array} unexecutedNotes - 未执行的笔记列表
+ * @param {Object} unfinishedTask - 未完成的任务信息
+ * @param {Object|null} reminder - 提醒策略的判断结果（见 ReminderPolicy.evaluate），escalated 为 true 时为升级提醒
+ * @returns {Promise<Object>} { subject, body, html, text }
+ */
+export function generateReferenceWarningContent(templates, unexecutedNotes, unfinishedTask, reminder = null) {
+  return templates.render('reference-warning.md', {
+    ...commonData(),
+    count: unexecutedNotes.length,
+    notes: unexecutedNotes.slice(0, WARNING_LIST_LIMIT),
+    remaining: Math.max(unexecutedNotes.length - WARNING_LIST_LIMIT, 0),
+    task: unfinishedTask,
+    reminder: reminder || {}
+  });
+}
+
+/**
+ * 生成卡片处理任务未完成警告内容（模板 card-warning.md，只列出前几个卡片）
+ * @param {MessageTemplates} templates - 消息模板
+ * @param {Array} pendingCards - 待处理的卡片列表
+ * @param {Object} unfinishedTask - 未完成的任务信息
+ * @param {Object|null} reminder - 提醒策略的判断结果（见 ReminderPolicy.evaluate），escalated 为 true 时为升级提醒
+ * @returns {Promise<Object>} { subject, body, html, text }
+ */
+export function generateCardWarningContent(templates, pendingCards, unfinishedTask, reminder = null) {
+  return templates.render('card-warning.md', {
+    ...commonData(),
+    count: pendingCards.length,
+    cards: pendingCards.slice(0, WARNING_LIST_LIMIT),
+    remaining: Math.max(pendingCards.length - WARNING_LIST_LIMIT, 0),
+    task: unfinishedTask,
+    reminder: reminder || {}
+  });
+}
+
+/**
+ * 生成卡片处理提醒内容（模板 card-reminder.md）
+ * @param {MessageTemplates} templates - 消息模板
+ * @param {Array} pendingCards - 待处理的卡片列表
+ * @param {string} actionTaskLink - 行动库任务链接
+ * @returns {Promise<Object>} { subject, body, html, text }
+ */
+export function generateCardReminderContent(templates, pendingCards, actionTaskLink) {
+  return templates.render('card-reminder.md', {
+    ...commonData(),
+    count: pendingCards.length,
+    cards: pendingCards,
+    actionTaskLink
+  });
+}
+
+/**
+ * 汇总中是否有升级的警告：任一流水线的 Reference 或卡片工作流中，未完成任务已升级且到了提醒时间
+ * @param {Object} digest - 汇总内容 { pipelines }
+ * @returns {boolean}
+ */
+export function isDigestEscalated(digest) {
+  return digest.pipelines.some(pipeline => [pipeline.reference, pipeline.cards]
+    .some(workflow => !!(workflow?.reminder?.escalated && workflow.reminder.send)));
+}
+
+/**
+ * 生成每日汇总内容（模板 daily-digest.md，每条流水线一节，每个列表只列出前几项）
+ * @param {MessageTemplates} templates - 消息模板
+ * @param {Object} digest - 汇总内容 { pipelines }，每项为 { pipeline, newCards, reference, cards, statistics, failures, error }
+ * @returns {Promise<Object>} { subject, body, html, text }
+ */
+export function generateDailyDigestContent(templates, digest) {
+  const limit = items => ({
+    items: items.slice(0, DIGEST_LIST_LIMIT),
+    count: items.length,
+    remaining: Math.max(items.length - DIGEST_LIST_LIMIT, 0)
+  });
+  const pipelines = digest.pipelines.map(pipeline => {
+    const newCards = limit(pipeline.newCards);
+    const notes = limit(pipeline.reference.notes);
+    const cards = limit(pipeline.cards.cards);
+    const failures = limit(pipeline.failures);
+    return {
+      name: pipeline.pipeline,
+      newCards: newCards.items,
+      newCardCount: newCards.count,
+      newCardsRemaining: newCards.remaining,
+      reference: { ...pipeline.reference, notes: notes.items, count: notes.count, remaining: notes.remaining },
+      cards: { ...pipeline.cards, cards: cards.items, count: cards.count, remaining: cards.remaining },
+      statistics: pipeline.statistics,
+      failures: failures.items,
+      failureCount: failures.count,
+      failuresRemaining: failures.remaining,
+      error: pipeline.error,
+      hasErrors: !!pipeline.error || failures.count > 0
+    };
+  });
+
+  return templates.render('daily-digest.md', {
+    ...commonData(),
+    pipelines,
+    pipelineNames: pipelines.map(pipeline => pipeline.name).filter(Boolean).join('、'),
+    multiplePipelines: pipelines.length > 1,
+    escalated: isDigestEscalated(digest),
+    hasErrors: pipelines.some(pipeline => pipeline.hasErrors)
+  });
+}
@@ -0,0 +1,162 @@
+import { createLogger } from './logger.js';
+import { EmailNotifier } from './email-notifier.js';
+import { WebhookNotifier, SlackNotifier, TelegramNotifier, DingTalkNotifier, WeComNotifier } from './webhook-notifiers.js';
+import { MessageTemplates } from './message-templates.js';
+import {
+  generateReferenceReminderContent,
+  generateReferenceWarningContent,
+  generateCardReminderContent,
+  generateCardWarningContent,
+  generateDailyDigestContent,
+  isDigestEscalated
+} from './notification-messages.js';
+
+const log = createLogger('notifier');
+
+/**
+ * 通知渠道：名称 → 渠道类（构造参数为 notifications 配置分区）
+ */
+const CHANNEL_TYPES = {
+  email: EmailNotifier,
+  webhook: WebhookNotifier,
+  slack: SlackNotifier,
+  telegram: TelegramNotifier,
+  dingtalk: DingTalkNotifier,
+  wecom: WeComNotifier
+};
+
+/**
+ * 支持的通知渠道
+ */
+export const NOTIFIER_CHANNELS = Object.keys(CHANNEL_TYPES);
+
+/**
+ * 工作流通知：生成消息内容，并发送到配置的所有渠道
+ * 每个渠道实现 send(message)，message 为 { type, subject, body, html, text, data, escalated }，返回是否发送成功
+ */
+export class Notifier {
+  /**
+   * @param {Object} settings - notifications 配置分区：channels 为启用的渠道，templatesDir 为自定义模板目录，其余为各渠道的地址和凭据
+   * @param {Object} options - 选项
+   * @param {Array} options.channels - 直接指定渠道实例（替代按配置创建）
+   * @param {MessageTemplates} options.templates - 直接指定消息模板（替代按配置创建）
+   */
+  constructor(settings = {}, options = {}) {
+    const names = settings.channels || ['email'];
+    const unknown = names.filter(name => !CHANNEL_TYPES[name]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notification channel ${unknown.map(name => `"${name}"`).join(', ')}, expected one of ${NOTIFIER_CHANNELS.join(', ')}`);
+    }
+
+    this.channels = options.channels || names.map(name => new CHANNEL_TYPES[name](settings));
+    this.templates = options.templates || new MessageTemplates(settings.templatesDir);
+  }
+
+  /**
+   * 是否至少有一个渠道已配置
+   * @returns {boolean}
+   */
+  get isConfigured() {
+    return this.channels.some(channel => channel.isConfigured);
+  }
+
+  /**
+   * 发送通知到所有渠道（单个渠道失败不影响其他渠道；模板出错时不发送）
+   * @param {string} type - 消息类型
+   * @param {Function} renderContent - 生成消息内容 { subject, body, html, text } 的异步函数
+   * @param {Object} data - 结构化数据（通用 Webhook 原样发送）
+   * @param {Object} options - 选项
+   * @param {boolean} options.escalated - 升级提醒（邮件标记为高优先级并抄送 escalationEmailCc）
+   * @returns {Promise<boolean>} 是否至少一个渠道发送成功
+   */
+  async notify(type, renderContent, data, { escalated = false } = {}) {
+    let content;
+    try {
+      content = await renderContent();
+    } catch (error) {
+      log('error', `Failed to render ${type} notification`, error);
+      return false;
+    }
+
+    const message = { type, ...content, data, escalated };
+    const results = await Promise.all(this.channels.map(channel => channel.send(message)));
+    const delivered = this.channels.filter((channel, index) => results[index]).map(channel => channel.name);
+
+    log('info', `Notification ${type} delivered via ${delivered.length}/${this.channels.length} channels${delivered.length > 0 ? ` (${delivered.join(', ')})` : ''}`);
+    return delivered.length > 0;
+  }
+
+  /**
+   * 发送Reference处理提醒
+   * @param {Array} unexecutedNotes - 未执行的笔记列表
+   * @param {string} actionTaskLink - 行动库任务链接
+   * @returns {Promise<boolean>} 发送结果
+   */
+  async sendReferenceProcessingReminder(unexecutedNotes, actionTaskLink) {
+    return this.notify(
+      'referenceProcessingReminder',
+      () => generateReferenceReminderContent(this.templates, unexecutedNotes, actionTaskLink),
+      { notes: unexecutedNotes, actionTaskLink }
+    );
+  }
+
+  /**
+   * 发送未完成Reference任务警告
+   * @param {Array} unexecutedNotes - 未执行的笔记列表
+   * @param {Object} unfinishedTask - 未完成的任务信息
+   * @param {Object|null} reminder - 提醒策略的判断结果（见 ReminderPolicy.evaluate）
+   * @returns {Promise<boolean>} 发送结果
+   */
+  async sendUnfinishedReferenceTaskWarning(unexecutedNotes, unfinishedTask, reminder = null) {
+    return this.notify(
+      'unfinishedReferenceTaskWarning',
+      () => generateReferenceWarningContent(this.templates, unexecutedNotes, unfinishedTask, reminder),
+      { notes: unexecutedNotes, unfinishedTask, reminder },
+      { escalated: !!reminder?.escalated }
+    );
+  }
+
+  /**
+   * 发送卡片处理提醒
+   * @param {Array} pendingCards - 待处理的卡片列表
+   * @param {string} actionTaskLink - 行动库任务链接
+   * @returns {Promise<boolean>} 发送结果
+   */
+  async sendCardProcessingReminder(pendingCards, actionTaskLink) {
+    return this.notify(
+      'cardProcessingReminder',
+      () => generateCardReminderContent(this.templates, pendingCards, actionTaskLink),
+      { cards: pendingCards, actionTaskLink }
+    );
+  }
+
+  /**
+   * 发送未完成卡片处理任务警告
+   * @param {Array} pendingCards - 待处理的卡片列表
+   * @param {Object} unfinishedTask - 未完成的任务信息
+   * @param {Object|null} reminder - 提醒策略的判断结果（见 ReminderPolicy.evaluate）
+   * @returns {Promise<boolean>} 发送结果
+   */
+  async sendUnfinishedTaskWarning(pendingCards, unfinishedTask, reminder = null) {
+    return this.notify(
+      'unfinishedTaskWarning',
+      () => generateCardWarningContent(this.templates, pendingCards, unfinishedTask, reminder),
+      { cards: pendingCards, unfinishedTask, reminder },
+      { escalated: !!reminder?.escalated }
+    );
+  }
+
+  /**
+   * 发送每日汇总（一次运行的各条流水线合并为一条）；汇总中有升级的警告时按升级提醒发送
+   * @param {Object} digest - 汇总内容 { pipelines }，每项见 WorkflowManager.collectDigest
+   * @returns {Promise<boolean>} 发送结果
+   */
+  async sendDailyDigest(digest) {
+    return this.notify(
+      'dailyDigest',
+      () => generateDailyDigestContent(this.templates, digest),
+      digest,
+      { escalated: isDigestEscalated(digest) }
+    );
+  }
+}
@@ -1,24 +1,115 @@
 import { Client } from '@notionhq/client';
-import { log } from './utils.js';
+import { createLogger } from './logger.js';
+import { mapWithConcurrency } from './utils.js';
+import { RequestLimiter } from './request-limiter.js';
+import { getConfig } from './config.js';
+
+const log = createLogger('notion-client');
+
+/**
+ * 抓取评论时跳过的块类型：
+ * - 分隔线、面包屑、目录、分栏本身没有文字，无法被评论（分栏中的块仍会递归抓取）
+ * - 子页面、子数据库和页面链接代表另一个页面，块ID就是那个页面的ID，按块ID查询到的是那个页面自己的
+ *   页面级评论，不属于当前笔记的讨论，因此不抓取；子页面中的块仍会递归抓取，它们的评论照常同步
+ * - unsupported 为 API 不支持的块，无法查询评论
+ */
+const NON_COMMENTABLE_BLOCK_TYPES = [
+  'divider', 'breadcrumb', 'table_of_contents',
+  'column_list', 'column',
+  'child_page', 'child_database', 'link_to_page',
+  'unsupported'
+];
+
+/**
+ * 标题块的层级，用于生成块所在位置的标题路径
+ */
+const HEADING_LEVELS = {
+  heading_1: 1,
+  heading_2: 2,
+  heading_3: 3
+};
+
+/**
+ * 同步区域结束标记的文字：Reference 标题到这一段之间的内容由同步生成（见 ContentProcessor.buildManagedSectionEnd）
+ */
+export const MANAGED_SECTION_END_TEXT = '⬆️ 以上内容由评论同步生成，重新同步时会被替换；请在下方记录笔记';
+
+/**
+ * 源已删除提示的结尾，用于识别卡片中已插入的提示
+ */
+const SOURCE_DELETED_NOTICE = '此卡片不再随源笔记更新';
+
+/**
+ * 页面已创建但Solution区域添加失败（卡片只建了一半）
+ */
+export class PartialPageError extends Error {
+  constructor(page, cause) {
+    super(`Page ${page.id} was created but its Solution section could not be added: ${cause.message}`);
+    this.name = 'PartialPageError';
+    this.page = page;
+    this.cause = cause;
+  }
+}
+
+/**
+ * 非幂等的接口（创建页面、评论、数据库，追加子块）：出错后 Notion 可能已经写入，只在被限流时重试
+ * 数据库查询和搜索虽然是 POST，但只读，仍按幂等请求重试
+ */
+const NON_IDEMPOTENT_ENDPOINTS = ['POST pages', 'POST comments', 'POST databases', 'PATCH blocks/:id/children'];
+
+/**
+ * 所有请求都经过限流器的 Notion SDK 客户端
+ * SDK 的每个接口最终都调用 request()，因此直接使用 notionClient.client 的模块也会被限流
+ */
+class ThrottledClient extends Client {
+  constructor(options, limiter) {
+    super(options);
+    this.limiter = limiter;
+  }
+
+  async request(args) {
+    const method = args.method.toUpperCase();
+    // 按接口统计时把路径中的页面、块和数据库ID替换为 :id
+    const endpoint = `${method} ${args.path.replace(/[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}/gi, ':id')}`;
+    return this.limiter.schedule(() => super.request(args), `${method} ${args.path}`, endpoint, {
+      idempotent: !NON_IDEMPOTENT_ENDPOINTS.includes(endpoint)
+    });
+  }
+}
 
 /**
  * Notion API 客户端封装
  */
 export class NotionClient {
-  constructor() {
+  /**
+   * @param {Object} options - 客户端选项
+   * @param {Object} options.config - 已校验的配置，默认从配置文件和环境变量加载
+   * @param {RequestLimiter} options.limiter - 限流器，多条流水线共用同一个 token 时应共享
+   */
+  constructor(options = {}) {
     const token = process.env.NOTION_TOKEN || process.env.NOTION_API_TOKEN;
     if (!token) {
       throw new Error('NOTION_TOKEN or NOTION_API_TOKEN environment variable is required');
     }
 
-    this.client = new Client({ auth: token });
-    this.referenceDatabaseId = process.env.REFERENCE_DATABASE_ID;
-    this.referenceDatabaseUrl = process.env.REFERENCE_DATABASE_URL;
-    this.targetDatabaseId = process.env.TARGET_DATABASE_ID;
-
-    if (!this.referenceDatabaseId || !this.targetDatabaseId) {
-      throw new Error('REFERENCE_DATABASE_ID and TARGET_DATABASE_ID environment variables are required');
+    this.limiter = options.limiter || new RequestLimiter();
+    const fetchConcurrency = process.env.NOTION_FETCH_CONCURRENCY || '3';
+    if (!/^[1-9]\d*$/.test(fetchConcurrency.trim())) {
+      throw new Error(`Invalid NOTION_FETCH_CONCURRENCY "${fetchConcurrency}", expected a positive integer`);
     }
+    this.fetchConcurrency = parseInt(fetchConcurrency, 10);
+    this.client = new ThrottledClient({ auth: token }, this.limiter);
+    this.config = options.config || getConfig();
+    this.referenceDatabaseId = this.config.notion.referenceDatabaseId;
+    this.referenceDatabaseUrl = this.config.notion.referenceDatabaseUrl;
+    this.targetDatabaseId = this.config.notion.targetDatabaseId;
+    // 属性名和选项值映射（逻辑字段 → 工作区中的实际名称）
+    this.properties = {
+      reference: this.config.referenceProperties,
+      card: this.config.cardProperties,
+      task: this.config.taskProperties
+    };
+    this.statuses = this.config.statuses;
 
     log('info', 'NotionClient initialized', {
       referenceDatabaseId: this.referenceDatabaseId,
@@ -26,6 +117,14 @@ export class NotionClient {
     });
   }
 
+  /**
+   * 获取本次运行的 API 请求统计（请求数、重试数等）
+   * @returns {Object} 请求统计
+   */
+  getRequestStats() {
+    return this.limiter.getStats();
+  }
+
   /**
    * 获取 Reference 数据库中"未执行"的笔记
    * @returns {Promise<Array>} 笔记列表
@@ -35,9 +134,9 @@ export class NotionClient {
       const response = await this.client.databases.query({
         database_id: this.referenceDatabaseId,
         filter: {
-          property: '自动化',
+          property: this.properties.reference.automationStatus,
           select: {
-            equals: '未执行'
+            equals: this.statuses.referencePending
           }
         }
       });
@@ -50,84 +149,196 @@ export class NotionClient {
     }
   }
 
+  /**
+   * 获取 Reference 数据库中指定时间之后编辑过的笔记（不限自动化状态）
+   * @param {string} since - ISO时间字符串
+   * @returns {Promise<Array>} 笔记列表
+   */
+  async getNotesEditedSince(since) {
+    try {
+      const notes = await this.queryDatabaseAll({
+        database_id: this.referenceDatabaseId,
+        filter: {
+          timestamp: 'last_edited_time',
+          last_edited_time: {
+            on_or_after: since
+          }
+        }
+      });
+
+      log('info', `Found ${notes.length} notes edited since ${since}`);
+      return notes;
+    } catch (error) {
+      log('error', `Failed to get notes edited since ${since}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 按ID获取 Reference 笔记
+   * @param {Array} noteIds - 笔记页面ID列表
+   * @returns {Promise<Array>} 笔记列表
+   */
+  async getNotesByIds(noteIds) {
+    try {
+      const notes = [];
+      for (const noteId of noteIds) {
+        notes.push(await this.client.pages.retrieve({ page_id: noteId }));
+      }
+
+      log('info', `Retrieved ${notes.length} notes by ID`);
+      return notes;
+    } catch (error) {
+      log('error', 'Failed to get notes by ID', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取 Reference 数据库中的所有笔记
+   * @returns {Promise<Array>} 笔记列表
+   */
+  async getAllReferenceNotes() {
+    try {
+      const notes = await this.queryDatabaseAll({
+        database_id: this.referenceDatabaseId
+      });
+
+      log('info', `Found ${notes.length} notes in reference database`);
+      return notes;
+    } catch (error) {
+      log('error', 'Failed to get reference notes', error);
+      throw error;
+    }
+  }
+
   /**
    * 获取页面所有块及其评论
    * @param {string} pageId - 页面ID
    * @returns {Promise<Array>} 块和评论的列表
    */
   async getPageBlocksWithComments(pageId) {
+    const { blocksWithComments } = await this.scanPageComments(pageId);
+    return blocksWithComments;
+  }
+
+  /**
+   * 扫描页面所有块及其评论，并记录扫描不完整的块
+   * @param {string} pageId - 页面ID
+   * @returns {Promise<Object>} { blocks, blocksWithComments, failedBlockIds }
+   */
+  async scanPageComments(pageId) {
     try {
       log('debug', `Fetching blocks for page: ${pageId}`);
       
       // 递归获取所有块（包括嵌套块）
-      const allBlocks = await this.getAllBlocksRecursively(pageId);
-      
-      log('info', `Retrieved ${allBlocks.length} total blocks (including nested) for page: ${pageId}`);
+      const failedBlockIds = [];
+      const allBlocks = await this.getAllBlocksRecursively(pageId, [], failedBlockIds);
+      const commentableBlocks = allBlocks.filter(block => !NON_COMMENTABLE_BLOCK_TYPES.includes(block.type));
       
-      const blocksWithComments = [];
+      log('info', `Retrieved ${allBlocks.length} total blocks (including nested) for page: ${pageId}, ${commentableBlocks.length} can carry comments`);
+      const skippedPages = allBlocks.filter(block => ['child_page', 'child_database', 'link_to_page'].includes(block.type));
+      if (skippedPages.length > 0) {
+        log('debug', `Skipped page-level comments of ${skippedPages.length} child pages, databases or page links in page: ${pageId}`);
+      }
       
-      // 遍历每个块，获取其评论
-      for (const block of allBlocks) {
+      // 并发获取每个块的评论（请求速率仍由限流器统一控制）
+      const results = await mapWithConcurrency(commentableBlocks, this.fetchConcurrency, async block => {
         try {
-          const comments = await this.client.comments.list({ block_id: block.id });
+          const comments = await this.listComments(block.id);
           
-          if (comments.results.length > 0) {
-            blocksWithComments.push({
-              block,
-              comments: comments.results
-            });
-            log('debug', `Block ${block.id} has ${comments.results.length} comments`);
+          if (comments.length > 0) {
+            log('debug', `Block ${block.id} has ${comments.length} comments`);
+            return { block, comments };
           }
         } catch (error) {
           log('warn', `Failed to fetch comments for block ${block.id}:`, error.message);
+          failedBlockIds.push(block.id);
           // 继续处理下一个块
         }
-      }
+        return null;
+      });
       
+      const blocksWithComments = results.filter(Boolean);
       log('info', `Found ${blocksWithComments.length} blocks with comments`);
-      return blocksWithComments;
+      return { blocks: allBlocks, blocksWithComments, failedBlockIds };
     } catch (error) {
       log('error', `Failed to fetch page blocks: ${pageId}`, error);
       throw error;
     }
   }
 
+  /**
+   * 获取块的所有评论（分页）
+   * @param {string} blockId - 块ID
+   * @returns {Promise<Array>} 评论列表
+   */
+  async listComments(blockId) {
+    let comments = [];
+    let startCursor = undefined;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await this.client.comments.list({
+        block_id: blockId,
+        start_cursor: startCursor,
+        page_size: 100
+      });
+
+      comments = comments.concat(response.results);
+      hasMore = response.has_more;
+      startCursor = response.next_cursor;
+    }
+
+    return comments;
+  }
+
   /**
    * 递归获取所有块（包括嵌套块）
+   * 每个块会附带 breadcrumb：从页面顶层到该块最近的各级标题文本
    * @param {string} blockId - 块ID或页面ID
+   * @param {Array<string>} breadcrumb - 父块所在的标题路径
+   * @param {Array<string>} failedBlockIds - 获取子块失败的块ID会追加到此数组
    * @returns {Promise<Array>} 所有块的列表
    */
-  async getAllBlocksRecursively(blockId) {
+  async getAllBlocksRecursively(blockId, breadcrumb = [], failedBlockIds = []) {
     try {
-      let allBlocks = [];
-      let startCursor = undefined;
-      let hasMore = true;
-      
       // 获取直接子块
-      while (hasMore) {
-        const response = await this.client.blocks.children.list({
-          block_id: blockId,
-          start_cursor: startCursor,
-          page_size: 100
-        });
-        
-        allBlocks = allBlocks.concat(response.results);
-        hasMore = response.has_more;
-        startCursor = response.next_cursor;
-      }
+      const allBlocks = await this.listChildBlocks(blockId);
       
-      // 递归获取嵌套块的子块
-      const nestedBlocks = [];
-      for (const block of allBlocks) {
-        if (block.has_children) {
-          try {
-            const childBlocks = await this.getAllBlocksRecursively(block.id);
-            nestedBlocks.push(...childBlocks);
-          } catch (error) {
-            log('warn', `Failed to fetch nested blocks for ${block.id}:`, error.message);
+      // 按文档顺序记录标题路径：遇到同级或更高级的标题时替换掉之前的标题
+      const headings = [];
+      const childBreadcrumbs = new Map();
+      allBlocks.forEach(block => {
+        block.breadcrumb = [...breadcrumb, ...headings.map(heading => heading.text)];
+        
+        const level = HEADING_LEVELS[block.type];
+        if (level) {
+          while (headings.length > 0 && headings[headings.length - 1].level >= level) {
+            headings.pop();
+          }
+          const text = this.extractHeadingText(block);
+          if (text) {
+            headings.push({ level, text });
           }
         }
-      }
+        
+        // 可折叠标题的子块以该标题为父级，其他块的子块沿用该块的位置
+        childBreadcrumbs.set(block.id, level ? [...breadcrumb, ...headings.map(heading => heading.text)] : block.breadcrumb);
+      });
+      
+      // 并发递归获取嵌套块的子块
+      const parentBlocks = allBlocks.filter(block => block.has_children);
+      const nestedResults = await mapWithConcurrency(parentBlocks, this.fetchConcurrency, async block => {
+        try {
+          return await this.getAllBlocksRecursively(block.id, childBreadcrumbs.get(block.id), failedBlockIds);
+        } catch (error) {
+          log('warn', `Failed to fetch nested blocks for ${block.id}:`, error.message);
+          failedBlockIds.push(block.id);
+          return [];
+        }
+      });
+      const nestedBlocks = nestedResults.flat();
       
       // 合并所有块
       const result = [...allBlocks, ...nestedBlocks];
@@ -136,10 +347,20 @@ export class NotionClient {
       return result;
     } catch (error) {
       log('error', `Failed to get blocks recursively for ${blockId}:`, error);
+      failedBlockIds.push(blockId);
       return [];
     }
   }
 
+  /**
+   * 提取标题块的纯文本
+   * @param {Object} block - 标题块
+   * @returns {string} 标题文本
+   */
+  extractHeadingText(block) {
+    return block[block.type]?.rich_text?.map(segment => segment.plain_text).join('').trim() || '';
+  }
+
   /**
    * 更新笔记的自动化状态
    * @param {string} pageId - 页面ID
@@ -150,7 +371,7 @@ export class NotionClient {
       await this.client.pages.update({
         page_id: pageId,
         properties: {
-          '自动化': {
+          [this.properties.reference.automationStatus]: {
             select: {
               name: status
             }
@@ -170,18 +391,68 @@ export class NotionClient {
    * @returns {Promise<Object>} 创建的页面
    */
   async createPage(pageData) {
+    let response;
     try {
-      const response = await this.client.pages.create(pageData);
-      log('info', 'Page created successfully', { pageId: response.id, title: response.properties['卡片笔记']?.title?.[0]?.text?.content });
-      
-      // 创建页面后，添加Solution区域和内联数据库
-      await this.addSolutionSection(response.id);
-      
-      return response;
+      response = await this.client.pages.create(pageData);
+      log('info', 'Page created successfully', { pageId: response.id, title: response.properties[this.properties.card.title]?.title?.[0]?.text?.content });
     } catch (error) {
       log('error', 'Failed to create page', error);
       throw error;
     }
+    
+    // 创建页面后，添加Solution区域和内联数据库；失败时页面只建了一半，由调用方归档或标记待修复
+    try {
+      await this.addSolutionSection(response.id);
+    } catch (error) {
+      throw new PartialPageError(response, error);
+    }
+    
+    return response;
+  }
+
+  /**
+   * 卡片页面是否仍然存在（未归档、未移入回收站）
+   * @param {string} pageId - 卡片页面ID
+   * @returns {Promise<boolean>}
+   */
+  async isCardActive(pageId) {
+    try {
+      const page = await this.client.pages.retrieve({ page_id: pageId });
+      return !page.archived && !page.in_trash;
+    } catch (error) {
+      if (error.code === 'object_not_found') {
+        return false;
+      }
+      log('error', `Failed to check card: ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 修复只建了一半的卡片：补上Solution区域
+   * @param {string} pageId - 卡片页面ID
+   * @returns {Promise<boolean>} 是否已修复，卡片已被归档或删除时返回false
+   */
+  async repairCard(pageId) {
+    let page;
+    try {
+      page = await this.client.pages.retrieve({ page_id: pageId });
+    } catch (error) {
+      if (error.code === 'object_not_found') {
+        log('info', `Card ${pageId} no longer exists, skipping repair`);
+        return false;
+      }
+      throw error;
+    }
+    
+    if (page.archived || page.in_trash) {
+      log('info', `Card ${pageId} is archived, skipping repair`);
+      return false;
+    }
+    
+    await this.addSolutionSection(pageId);
+    log('info', `Repaired card: ${pageId}`);
+    return true;
   }
 
   /**
@@ -220,6 +491,9 @@ export class NotionClient {
    */
   async addDatabaseLink(pageId) {
     try {
+      // 卡片笔记库即目标数据库
+      const cardLibraryUrl = `https://www.notion.so/${this.targetDatabaseId.replace(/-/g, '')}`;
+
       // 添加链接到现有卡片笔记库的说明
       await this.client.blocks.children.append({
         block_id: pageId,
@@ -250,9 +524,9 @@ export class NotionClient {
                 {
                   type: 'text',
                   text: {
-                    content: 'https://www.notion.so/18ce666ecf2c817b9808e2386cd473a0',
+                    content: cardLibraryUrl,
                     link: {
-                      url: 'https://www.notion.so/18ce666ecf2c817b9808e2386cd473a0'
+                      url: cardLibraryUrl
                     }
                   }
                 }
@@ -296,9 +570,9 @@ export class NotionClient {
    */
   async copySolutionFromTemplate(pageId) {
     try {
-      const masterTemplateId = process.env.MASTER_TEMPLATE_ID;
+      const masterTemplateId = this.config.notion.masterTemplateId;
       if (!masterTemplateId) {
-        throw new Error('MASTER_TEMPLATE_ID environment variable is not set');
+        throw new Error('notion.masterTemplateId is not configured (set it in the config file or MASTER_TEMPLATE_ID)');
       }
 
       // 获取主模板页面的所有内容
@@ -437,18 +711,314 @@ export class NotionClient {
 
 
   /**
-   * 获取目标数据库的现有 DiscussionID
-   * @returns {Promise<Array>} DiscussionID 列表
+   * 获取块的所有直接子块
+   * @param {string} blockId - 块ID或页面ID
+   * @returns {Promise<Array>} 子块列表
    */
-  async getExistingDiscussionIds() {
+  async listChildBlocks(blockId) {
+    let blocks = [];
+    let startCursor = undefined;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await this.client.blocks.children.list({
+        block_id: blockId,
+        start_cursor: startCursor,
+        page_size: 100
+      });
+
+      blocks = blocks.concat(response.results);
+      hasMore = response.has_more;
+      startCursor = response.next_cursor;
+    }
+
+    return blocks;
+  }
+
+  /**
+   * 定位卡片中由同步生成的区域：Reference 标题到结束标记（创建卡片时写入的、文字为 MANAGED_SECTION_END_TEXT 的段落）之间
+   * 没有结束标记的旧卡片以下一个标题为界；用户插入的分隔线等其他块不影响边界
+   * @param {Array} blocks - 卡片的顶层块
+   * @returns {Object} { blocks: 区域内的块（包含 Reference 标题，不含结束标记），找不到时为空数组, endMarker: 结束标记块或null }
+   */
+  findManagedSection(blocks) {
+    const headingTypes = ['heading_1', 'heading_2', 'heading_3'];
+    const startIndex = blocks.findIndex(block =>
+      block.type === 'heading_2' &&
+      block.heading_2?.rich_text?.map(text => text.plain_text).join('') === 'Reference'
+    );
+
+    if (startIndex === -1) {
+      return { blocks: [], endMarker: null };
+    }
+
+    const isEndMarker = block => block.type === 'paragraph' && this.extractHeadingText(block) === MANAGED_SECTION_END_TEXT;
+    let endIndex = startIndex + 1;
+    while (endIndex < blocks.length && !headingTypes.includes(blocks[endIndex].type) && !isEndMarker(blocks[endIndex])) {
+      endIndex++;
+    }
+
+    return {
+      blocks: blocks.slice(startIndex, endIndex),
+      endMarker: blocks[endIndex] && isEndMarker(blocks[endIndex]) ? blocks[endIndex] : null
+    };
+  }
+
+  /**
+   * 将新回复追加到卡片的同步区域末尾（结束标记之前）
+   * @param {string} pageId - 卡片页面ID
+   * @param {Array} children - 要追加的块
+   */
+  async appendToManagedSection(pageId, children) {
     try {
+      const blocks = await this.listChildBlocks(pageId);
+      const { blocks: managedSection } = this.findManagedSection(blocks);
+      const lastManagedBlock = managedSection[managedSection.length - 1];
+
+      await this.client.blocks.children.append({
+        block_id: pageId,
+        children,
+        ...(lastManagedBlock ? { after: lastManagedBlock.id } : {})
+      });
+
+      log('info', `Appended ${children.length} blocks to card: ${pageId}`, {
+        after: lastManagedBlock?.id || null
+      });
+    } catch (error) {
+      log('error', `Failed to append blocks to card: ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 重新渲染卡片的同步区域：保留 Reference 标题和结束标记，替换两者之间的块
+   * 先在标题后插入新内容，再删除旧内容：中途失败时卡片最多暂时出现重复内容，不会丢失内容，
+   * 下次运行重新渲染时一并清理
+   * 没有结束标记的旧卡片无法确定同步区域的边界，不做改写（在同步区域末尾手动插入结束标记段落后即可重新渲染）
+   * @param {string} pageId - 卡片页面ID
+   * @param {Array} children - 新的同步区域内容（第一个块为 Reference 标题）
+   * @returns {Promise<boolean>} 是否已重新渲染，没有结束标记时返回false
+   */
+  async replaceManagedSection(pageId, children) {
+    try {
+      const blocks = await this.listChildBlocks(pageId);
+      const { blocks: [heading, ...staleBlocks], endMarker } = this.findManagedSection(blocks);
+
+      if (!heading) {
+        throw new Error(`Reference section not found in card: ${pageId}`);
+      }
+      if (!endMarker) {
+        log('warn', `Card ${pageId} has no end marker after its Reference section, skipping re-render to keep manual edits`);
+        return false;
+      }
+
+      await this.client.blocks.children.append({
+        block_id: pageId,
+        children: children.slice(1),
+        after: heading.id
+      });
+
+      for (const block of staleBlocks) {
+        await this.client.blocks.delete({ block_id: block.id });
+      }
+
+      log('info', `Re-rendered managed section of card: ${pageId}`, {
+        removed: staleBlocks.length,
+        added: children.length - 1
+      });
+      return true;
+    } catch (error) {
+      log('error', `Failed to re-render managed section of card: ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 分页查询数据库的全部结果
+   * @param {Object} params - databases.query 参数（不含分页参数）
+   * @returns {Promise<Array>} 所有页面
+   */
+  async queryDatabaseAll(params) {
+    let results = [];
+    let startCursor = undefined;
+    let hasMore = true;
+
+    while (hasMore) {
       const response = await this.client.databases.query({
-        database_id: this.targetDatabaseId,
+        ...params,
+        start_cursor: startCursor,
         page_size: 100
       });
 
-      const discussionIds = response.results
-        .map(page => page.properties.DiscussionID?.rich_text?.[0]?.text?.content)
+      results = results.concat(response.results);
+      hasMore = response.has_more;
+      startCursor = response.next_cursor;
+    }
+
+    return results;
+  }
+
+  /**
+   * 提取卡片页面的 DiscussionID
+   * @param {Object} page - 卡片页面
+   * @returns {string|undefined} DiscussionID
+   */
+  extractDiscussionId(page) {
+    return page.properties[this.properties.card.discussionId]?.rich_text?.[0]?.text?.content;
+  }
+
+  /**
+   * 获取目标数据库中的卡片（可只取指定时间之后编辑过的）
+   * @param {string} [since] - ISO时间字符串
+   * @returns {Promise<Array>} 卡片页面列表
+   */
+  async getCards(since = null) {
+    try {
+      const cards = await this.queryDatabaseAll({
+        database_id: this.targetDatabaseId,
+        ...(since ? {
+          filter: {
+            timestamp: 'last_edited_time',
+            last_edited_time: {
+              on_or_after: since
+            }
+          }
+        } : {})
+      });
+
+      log('info', `Fetched ${cards.length} cards from target database${since ? ` edited since ${since}` : ''}`);
+      return cards;
+    } catch (error) {
+      log('error', 'Failed to get cards from target database', error);
+      throw error;
+    }
+  }
+
+  /**
+   * 获取关联到指定 Reference 笔记的卡片（不含已归档的卡片）
+   * @param {string} noteId - Reference 笔记ID
+   * @returns {Promise<Array>} 卡片页面列表
+   */
+  async getCardsBySourceNote(noteId) {
+    try {
+      const cards = await this.queryDatabaseAll({
+        database_id: this.targetDatabaseId,
+        filter: {
+          property: this.properties.card.reference,
+          relation: {
+            contains: noteId
+          }
+        }
+      });
+
+      return cards.filter(card => !card.archived);
+    } catch (error) {
+      log('error', `Failed to get cards for source note: ${noteId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 标记卡片的源讨论已删除：勾选"源已删除"属性（目标数据库有该复选框属性时），并在 Reference 标题下插入提示
+   * 已勾选的属性和已插入的提示不会重复写入（本地同步状态丢失后重新处理同一张卡片时）
+   * @param {string} pageId - 卡片页面ID
+   * @param {string} reason - 删除原因的说明
+   */
+  async markCardSourceDeleted(pageId, reason) {
+    try {
+      if (!this.targetDatabaseProperties) {
+        const database = await this.client.databases.retrieve({ database_id: this.targetDatabaseId });
+        this.targetDatabaseProperties = database.properties;
+      }
+
+      const sourceDeletedProperty = this.properties.card.sourceDeleted;
+      if (this.targetDatabaseProperties[sourceDeletedProperty]?.type === 'checkbox') {
+        const page = await this.client.pages.retrieve({ page_id: pageId });
+        if (page.properties?.[sourceDeletedProperty]?.checkbox) {
+          log('debug', `Card ${pageId} is already marked as source deleted`);
+        } else {
+          await this.client.pages.update({
+            page_id: pageId,
+            properties: {
+              [sourceDeletedProperty]: {
+                checkbox: true
+              }
+            }
+          });
+        }
+      } else {
+        log('debug', `Target database has no "${sourceDeletedProperty}" checkbox property, only adding callout`);
+      }
+
+      const blocks = await this.listChildBlocks(pageId);
+      if (blocks.some(block => block.type === 'callout' && this.extractHeadingText(block).endsWith(SOURCE_DELETED_NOTICE))) {
+        log('info', `Card ${pageId} already has a source deleted notice`);
+        return;
+      }
+
+      const date = new Date().toISOString().slice(0, 10);
+      const message = `${reason}（${date} 同步时发现），${SOURCE_DELETED_NOTICE}`;
+      const { blocks: [heading] } = this.findManagedSection(blocks);
+      await this.client.blocks.children.append({
+        block_id: pageId,
+        children: [
+          {
+            object: 'block',
+            type: 'callout',
+            callout: {
+              rich_text: [
+                {
+                  type: 'text',
+                  text: {
+                    content: message
+                  }
+                }
+              ],
+              icon: {
+                type: 'emoji',
+                emoji: '⚠️'
+              },
+              color: 'red_background'
+            }
+          }
+        ],
+        ...(heading ? { after: heading.id } : {})
+      });
+
+      log('info', `Marked card source as deleted: ${pageId}`);
+    } catch (error) {
+      log('error', `Failed to mark card source as deleted: ${pageId}`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 归档页面
+   * @param {string} pageId - 页面ID
+   */
+  async archivePage(pageId) {
+    try {
+      await this.client.pages.update({
+        page_id: pageId,
+        archived: true
+      });
+      log('info', `Archived page: ${pageId}`);
+    } catch (error) {
+      log('error', `Failed to archive page: ${pageId}`, error);
+      throw error;
+    }
+  }
+
+
+  /**
+   * 获取目标数据库的现有 DiscussionID
+   * @returns {Promise<Array>} DiscussionID 列表
+   */
+  async getExistingDiscussionIds() {
+    try {
+      const cards = await this.getCards();
+      const discussionIds = cards
+        .map(page => this.extractDiscussionId(page))
         .filter(Boolean);
 
       log('info', `Found ${discussionIds.length} existing discussion IDs`);
@@ -465,21 +1035,19 @@ export class NotionClient {
    */
   async getDatabaseStats() {
     try {
-      const response = await this.client.databases.query({
-        database_id: this.targetDatabaseId,
-        page_size: 100
-      });
+      const cards = await this.getCards();
 
-      const totalPages = response.results.length;
+      const totalPages = cards.length;
       const uniqueDiscussionIds = new Set(
-        response.results
-          .map(page => page.properties.DiscussionID?.rich_text?.[0]?.text?.content)
+        cards
+          .map(page => this.extractDiscussionId(page))
           .filter(Boolean)
       ).size;
 
-      const lastUpdated = response.results.length > 0 
-        ? Math.max(...response.results.map(page => new Date(page.last_edited_time).getTime()))
-        : 0;
+      const lastUpdated = cards.reduce(
+        (latest, page) => Math.max(latest, new Date(page.last_edited_time).getTime()),
+        0
+      );
 
       return {
         totalPages,
@@ -504,6 +1072,16 @@ export class NotionClient {
     return `https://notion.so/${pageId.replace(/-/g, '')}`;
   }
 
+  /**
+   * 获取指向页面中某个块的链接（打开页面后跳转到该块）
+   * @param {string} pageId - 页面ID
+   * @param {string} blockId - 块ID
+   * @returns {string} 块链接
+   */
+  getBlockUrl(pageId, blockId) {
+    return `https://www.notion.so/${pageId.replace(/-/g, '')}#${blockId.replace(/-/g, '')}`;
+  }
+
   /**
    * 查找Reference数据库中"自动化"字段为"未执行"的笔记
    * @returns {Promise<Array>} 未执行的笔记列表
@@ -513,14 +1091,14 @@ export class NotionClient {
       const response = await this.client.databases.query({
         database_id: this.referenceDatabaseId,
         filter: {
-          property: '自动化',
+          property: this.properties.reference.automationStatus,
           select: {
-            equals: '未执行'
+            equals: this.statuses.referencePending
           }
         },
         sorts: [
           {
-            property: '创建时间',
+            property: this.properties.reference.createdTime,
             direction: 'descending'
           }
         ],
@@ -530,10 +1108,10 @@ export class NotionClient {
       if (response.results && response.results.length > 0) {
         return response.results.map(note => ({
           id: note.id,
-          title: note.properties['标题']?.title?.[0]?.text?.content || '未知标题',
+          title: note.properties[this.properties.reference.title]?.title?.[0]?.text?.content || '未知标题',
           url: `https://www.notion.so/${note.id.replace(/-/g, '')}`,
-          createdTime: note.properties['创建时间']?.created_time || '未知时间',
-          automationStatus: note.properties['自动化']?.select?.name || '未知状态'
+          createdTime: note.properties[this.properties.reference.createdTime]?.created_time || '未知时间',
+          automationStatus: note.properties[this.properties.reference.automationStatus]?.select?.name || '未知状态'
         }));
       }
       
@@ -559,7 +1137,7 @@ export class NotionClient {
           database_id: databaseId
         },
         properties: {
-          'Task': {
+          [this.properties.task.title]: {
             title: [
               {
                 text: {
@@ -0,0 +1,954 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { NotionClient } from './notion-client.js';
+import { CommentFetcher } from './comment-fetcher.js';
+import { ContentProcessor } from './content-processor.js';
+import { DatabaseWriter, PARTIAL_CARD_ACTIONS } from './database-writer.js';
+import { WorkflowManager } from './workflow-manager.js';
+import { SyncState, pipelineStateFile } from './sync-state.js';
+import { SyncCheckpoint } from './sync-checkpoint.js';
+import { DiscussionIndex } from './discussion-index.js';
+import { CommentMarkers } from './comment-markers.js';
+import { StepTimer, emptyCounters } from './run-metrics.js';
+
+const log = createLogger('pipeline-sync');
+
+/**
+ * 源讨论或源块被删除后对卡片的处理方式
+ * - mark: 勾选"源已删除"属性并在卡片中插入提示
+ * - archive: 归档卡片
+ * - report: 只在运行摘要中报告（默认）
+ * mark / archive 只用于源块已删除的卡片：comments.list 不返回已解决的讨论，
+ * 讨论从扫描结果中消失可能只是被解决了，这类卡片始终只报告
+ */
+export const DELETED_SOURCE_ACTIONS = ['mark', 'archive', 'report'];
+
+/**
+ * 源删除原因的说明
+ */
+export const DELETED_SOURCE_REASONS = {
+  discussion_deleted: '源评论讨论已删除或已解决',
+  block_removed: '源块已从笔记中删除'
+};
+
+/**
+ * 单条 Reference → 目标卡片库 流水线的同步
+ */
+export class PipelineSync {
+  /**
+   * @param {Object} pipeline - 流水线配置（见 config.js 的 getPipelines）
+   * @param {Object} options - 同步选项
+   * @param {boolean} options.incremental - 增量模式：重新扫描上次成功运行后编辑过的笔记，把新回复和编辑同步到已有卡片
+   * @param {boolean} options.dryRun - 预演模式：只读取和计算，不写入 Notion、不创建任务、不发送邮件
+   * @param {Array} options.noteIds - 只同步指定的 Reference 笔记（不限自动化状态）
+   * @param {CommentMarkers} options.markers - 评论标记语法，流水线未配置 markersFile 时使用，默认从 COMMENT_MARKERS_FILE 加载
+   * @param {string} options.deletedSourceAction - 源讨论或源块删除后的处理方式: mark | archive | report
+   * @param {string} options.partialCardAction - 卡片只建了一半（Solution区域添加失败）时的处理方式: archive | repair
+   * @param {RequestLimiter} options.limiter - 各流水线共享的限流器
+   */
+  constructor(pipeline, options = {}) {
+    this.name = pipeline.name;
+    this.runWorkflows = pipeline.workflows;
+    this.incremental = options.incremental ?? process.env.SYNC_INCREMENTAL === 'true';
+    this.dryRun = options.dryRun ?? process.env.DRY_RUN === 'true';
+    this.noteIds = options.noteIds || [];
+    this.deletedSourceAction = pipeline.deletedSourceAction ?? options.deletedSourceAction ?? process.env.DELETED_SOURCE_ACTION ?? 'report';
+    if (!DELETED_SOURCE_ACTIONS.includes(this.deletedSourceAction)) {
+      throw new Error(`Invalid deleted source action "${this.deletedSourceAction}" for pipeline "${this.name}", expected one of ${DELETED_SOURCE_ACTIONS.join(', ')}`);
+    }
+    this.partialCardAction = pipeline.partialCardAction ?? options.partialCardAction ?? process.env.PARTIAL_CARD_ACTION ?? 'archive';
+    if (!PARTIAL_CARD_ACTIONS.includes(this.partialCardAction)) {
+      throw new Error(`Invalid partial card action "${this.partialCardAction}" for pipeline "${this.name}", expected one of ${PARTIAL_CARD_ACTIONS.join(', ')}`);
+    }
+    this.syncState = new SyncState(pipelineStateFile(pipeline));
+    this.checkpoint = new SyncCheckpoint(SyncCheckpoint.pathFor(this.syncState.filePath), { readOnly: this.dryRun });
+    this.notionClient = new NotionClient({ config: pipeline.config, limiter: options.limiter });
+    this.markers = pipeline.markersFile
+      ? CommentMarkers.fromFile(pipeline.markersFile)
+      : options.markers || CommentMarkers.fromEnv();
+    this.commentFetcher = new CommentFetcher(this.notionClient, { markers: this.markers });
+    this.contentProcessor = new ContentProcessor(this.notionClient, { dryRun: this.dryRun, markers: this.markers });
+    this.databaseWriter = new DatabaseWriter(this.notionClient, { dryRun: this.dryRun, partialCardAction: this.partialCardAction });
+    this.workflowManager = new WorkflowManager(this.notionClient, { dryRun: this.dryRun, reminderState: this.syncState });
+    this.discussionIndex = new DiscussionIndex(this.notionClient, this.syncState);
+  }
+
+  /**
+   * 执行同步流程
+   * @param {Object} options - 运行选项
+   * @param {string} options.runId - 本次运行ID，记录在讨论的同步状态中
+   * @returns {Promise<Object>} 同步结果，failures 为失败的讨论；启用每日汇总时带 digest（本流水线的汇总内容，由 NotionCommentSync 合并发送）
+   */
+  async sync({ runId = null } = {}) {
+    const result = await this.runSteps({ runId });
+    
+    // 每日汇总：无论同步在哪一步结束（包括失败），每次运行都收集一份
+    if (this.runWorkflows && this.workflowManager.digest) {
+      if (this.dryRun) {
+        result.digestResult = { success: true, emailSent: false, ...this.workflowManager.plannedResult(null, 'dailyDigest') };
+        if (result.plan) {
+          result.plan.digest = result.digestResult.planned;
+        }
+      } else {
+        this.steps.start('digest');
+        await this.collectDigest(result);
+        this.steps.stop();
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 执行同步步骤
+   * @param {Object} options - 运行选项
+   * @param {string} options.runId - 本次运行ID
+   * @returns {Promise<Object>} 同步结果
+   */
+  async runSteps({ runId }) {
+    this.runId = runId;
+    this.failures = [];
+    this.counters = emptyCounters();
+    this.steps = new StepTimer();
+    this.reportEntries = { notes: [], discussions: [] };
+    const startTime = Date.now();
+    const runStartedAt = new Date(startTime).toISOString();
+    const plan = this.dryRun ? this.createEmptyPlan() : null;
+    
+    try {
+      const modes = [this.incremental && 'incremental mode', this.dryRun && 'dry run'].filter(Boolean);
+      log('info', `🚀 Starting Notion comment sync for pipeline "${this.name}"${modes.length > 0 ? ` (${modes.join(', ')})` : ''}...`);
+      this.steps.start('loadState');
+      await this.syncState.load();
+      
+      // 上次运行中断时从检查点继续：已创建的卡片不再重复创建，未完成的状态更新和工作流在本次补完
+      await this.checkpoint.start(this.runId);
+      const resuming = this.checkpoint.hasUnfinishedWork();
+      const resumedResults = this.checkpoint.getResumedResults();
+      
+      // 步骤1: 验证目标数据库结构
+      log('info', '📋 Step 1: Validating target database structure...');
+      this.steps.start('validate');
+      await this.databaseWriter.validateDatabaseStructure();
+      
+      // 补完上次运行中只建了一半的卡片
+      this.steps.start('repairCards');
+      const repairResults = await this.repairPartialCards(plan);
+      
+      // 步骤2: 获取数据库统计信息
+      log('info', '📊 Step 2: Getting database statistics...');
+      this.steps.start('stats');
+      const beforeStats = await this.notionClient.getDatabaseStats();
+      log('info', 'Database stats before sync', beforeStats);
+      
+      // 步骤3: 获取 Reference 数据库中"未执行"的笔记（指定笔记时只处理这些笔记）
+      this.steps.start('fetchNotes');
+      let pendingNotes;
+      if (this.noteIds.length > 0) {
+        log('info', `🔍 Step 3: Fetching ${this.noteIds.length} specified notes from reference database...`);
+        pendingNotes = await this.notionClient.getNotesByIds(this.noteIds);
+      } else {
+        log('info', '🔍 Step 3: Fetching unexecuted notes from reference database...');
+        pendingNotes = await this.notionClient.getUnexecutedNotes();
+        log('info', `📝 Found ${pendingNotes.length} unexecuted notes to process`);
+      }
+      
+      // 增量模式：追加上次成功运行后编辑过的笔记（包括已执行的笔记）
+      if (this.incremental && this.noteIds.length === 0) {
+        const editedNotes = await this.getNotesEditedSinceLastRun();
+        const pendingNoteIds = new Set(pendingNotes.map(note => note.id));
+        const rescannedNotes = editedNotes.filter(note => !pendingNoteIds.has(note.id));
+        pendingNotes.push(...rescannedNotes);
+        log('info', `📝 Rescanning ${rescannedNotes.length} notes edited since last successful run`);
+      }
+      
+      if (pendingNotes.length === 0 && !resuming) {
+        await this.finishRun(runStartedAt, repairResults.errors);
+        log('info', '✨ No unexecuted notes found. Sync completed!');
+        return {
+          success: true,
+          processed: 0,
+          written: 0,
+          errors: repairResults.errors,
+          repairedCards: repairResults.entries,
+          duration: Date.now() - startTime,
+          beforeStats,
+          afterStats: beforeStats,
+          failures: this.failures,
+          ...this.planResult(plan)
+        };
+      }
+      
+      // 步骤4: 获取所有笔记的有效讨论
+      log('info', '🔍 Step 4: Fetching valid discussions from all notes...');
+      this.steps.start('scanComments');
+      const { discussions: allDiscussions, notes: scannedNotes } = await this.commentFetcher.scanNotes(pendingNotes);
+      this.counters.notesScanned = scannedNotes.length;
+      this.counters.blocksScanned = scannedNotes.reduce((sum, note) => sum + note.blockIds.size, 0);
+      this.counters.discussionsFound = allDiscussions.length;
+      this.reportEntries.notes = this.describeNotes(pendingNotes, scannedNotes, allDiscussions);
+      allDiscussions.forEach(discussion => this.syncState.markSeen(discussion.discussionId, this.runId));
+      await this.discussionIndex.refresh();
+      await this.discussionIndex.verify(allDiscussions.map(discussion => discussion.discussionId));
+      this.applyResumedWrites();
+      
+      // 检查扫描过的笔记上是否有卡片的源讨论或源块已被删除
+      this.steps.start('deletedSources');
+      const deletedResults = await this.handleDeletedSources(scannedNotes, plan);
+      
+      if (allDiscussions.length === 0 && !resuming) {
+        await this.finishRun(runStartedAt, deletedResults.errors + repairResults.errors);
+        log('info', '✨ No valid discussions found. Sync completed!');
+        return {
+          success: true,
+          processed: 0,
+          written: 0,
+          errors: deletedResults.errors + repairResults.errors,
+          repairedCards: repairResults.entries,
+          deletedSources: deletedResults.entries,
+          duration: Date.now() - startTime,
+          beforeStats,
+          afterStats: beforeStats,
+          failures: this.failures,
+          ...this.planResult(plan)
+        };
+      }
+      
+      // 步骤5: 检查去重，只处理新的讨论（检查点中已创建的卡片即使索引还没有收录也跳过）
+      const newDiscussions = allDiscussions.filter(discussion => 
+        !this.discussionIndex.has(discussion.discussionId) && !this.checkpoint.isWritten(discussion.discussionId)
+      );
+      
+      log('info', `Found ${newDiscussions.length} new discussions to process`);
+      this.counters.discussionsNew = newDiscussions.length;
+      this.reportEntries.discussions = allDiscussions.map(discussion => this.describeDiscussion(discussion));
+      
+      // 增量模式：同步已有卡片的编辑和新回复
+      let replyResults = { appendedDiscussions: 0, appendedComments: 0, updatedCards: 0, staleCards: [], errors: 0 };
+      if (this.incremental) {
+        this.steps.start('syncExisting');
+        const existingDiscussions = allDiscussions.filter(discussion => 
+          this.discussionIndex.has(discussion.discussionId)
+        );
+        replyResults = await this.syncExistingCards(existingDiscussions, plan);
+      }
+      
+      if (newDiscussions.length === 0 && !resuming) {
+        const errorCount = replyResults.errors + deletedResults.errors + repairResults.errors;
+        await this.finishRun(runStartedAt, errorCount);
+        log('info', '✨ No new discussions to process. Sync completed!');
+        return {
+          success: true,
+          processed: allDiscussions.length,
+          written: 0,
+          errors: errorCount,
+          appendedReplies: replyResults.appendedComments,
+          updatedCards: replyResults.updatedCards,
+          staleCards: replyResults.staleCards,
+          repairedCards: repairResults.entries,
+          deletedSources: deletedResults.entries,
+          duration: Date.now() - startTime,
+          beforeStats,
+          afterStats: beforeStats,
+          failures: this.failures,
+          ...this.planResult(plan)
+        };
+      }
+      
+      // 步骤6: 处理讨论内容并写入数据库
+      log('info', '⚙️ Step 5: Processing discussion content...');
+      log('info', `Processing ${newDiscussions.length} discussions`);
+      this.steps.start('process');
+      
+      const processedDiscussions = await this.contentProcessor.processMultipleDiscussions(newDiscussions);
+      
+      log('info', '💾 Step 6: Writing discussions to database...');
+      this.steps.start('write');
+      const writeResults = await this.databaseWriter.writeMultipleDiscussions(
+        processedDiscussions,
+        this.contentProcessor,
+        result => this.checkpointWrite(result, newDiscussions)
+      );
+      if (this.dryRun) {
+        plan.cards = writeResults.results.map(result => ({
+          title: result.title,
+          discussionId: result.discussionId,
+          sourceNoteId: result.sourceNoteId,
+          blockCount: result.blockCount
+        }));
+      } else {
+        this.recordWrittenDiscussions(newDiscussions, writeResults.results);
+      }
+      this.counters.cardsWritten = writeResults.successCount;
+      this.counters.cardsFailed = writeResults.errorCount;
+      this.applyWriteDispositions(writeResults.results);
+      
+      // 步骤7: 更新 Reference 数据库中已处理笔记的状态（包括中断的运行中已创建卡片的笔记）
+      log('info', '🔄 Step 7: Updating automation status in reference database...');
+      this.steps.start('statusUpdates');
+      await this.checkpoint.setStage('statusUpdates');
+      const executedNotes = await this.updateProcessedNotesStatus(pendingNotes, [...resumedResults, ...writeResults.results]);
+      if (this.dryRun) {
+        plan.noteStatusUpdates = executedNotes;
+      }
+      executedNotes.forEach(executed => {
+        const entry = this.reportEntries.notes.find(note => note.id === executed.id);
+        if (entry) {
+          entry.statusUpdated = true;
+        }
+      });
+      
+      // 步骤8: 执行Reference处理工作流（流水线关闭工作流时跳过）
+      // 预演时笔记状态并未真正更新，需要排除本应变为"已执行"的笔记
+      await this.checkpoint.setStage('workflows');
+      let referenceWorkflowResult = null;
+      if (this.runWorkflows) {
+        log('info', '🔄 Step 8: Executing reference processing workflow...');
+        this.steps.start('referenceWorkflow');
+        referenceWorkflowResult = await this.workflowManager.executeReferenceProcessingWorkflow({
+          excludeNoteIds: this.dryRun ? executedNotes.map(note => note.id) : []
+        });
+        log('info', '📋 Reference processing workflow result:', referenceWorkflowResult);
+      } else {
+        log('info', `⏸️ Skipping workflows - disabled for pipeline "${this.name}"`);
+      }
+      
+      // 步骤9: 执行卡片处理工作流（仅当Reference任务完成时）
+      let cardWorkflowResult = null;
+      if (referenceWorkflowResult?.success && !referenceWorkflowResult.unfinishedTask) {
+        log('info', '🔄 Step 9: Executing card processing workflow...');
+        this.steps.start('cardWorkflow');
+        cardWorkflowResult = await this.workflowManager.executeCardProcessingWorkflow({
+          plannedCards: this.dryRun ? plan.cards : []
+        });
+        log('info', '📋 Card processing workflow result:', cardWorkflowResult);
+      } else if (referenceWorkflowResult) {
+        log('info', '⏸️ Skipping card processing workflow - Reference task not completed');
+      }
+      
+      [referenceWorkflowResult, cardWorkflowResult].forEach(workflow => {
+        this.counters.emailsSent += workflow?.emailSent ? 1 : 0;
+        this.counters.tasksCreated += workflow?.actionTaskCreated ? 1 : 0;
+      });
+      
+      // 步骤10: 获取更新后的数据库统计信息
+      this.steps.start('stats');
+      const afterStats = await this.notionClient.getDatabaseStats();
+      
+      const duration = Date.now() - startTime;
+      if (this.dryRun) {
+        plan.referenceWorkflow = referenceWorkflowResult?.planned || null;
+        plan.cardWorkflow = cardWorkflowResult?.planned || null;
+      }
+      const errorCount = writeResults.errorCount + replyResults.errors + deletedResults.errors + repairResults.errors;
+      await this.finishRun(runStartedAt, errorCount);
+      
+      log('info', '🎉 Sync process completed successfully!', {
+        success: true,
+        processed: allDiscussions.length,
+        written: writeResults.successCount,
+        errors: errorCount,
+        appendedReplies: replyResults.appendedComments,
+        updatedCards: replyResults.updatedCards,
+        deletedSources: deletedResults.entries,
+        duration,
+        beforeStats,
+        afterStats,
+        referenceWorkflowResult,
+        cardWorkflowResult
+      });
+      
+      return {
+        success: true,
+        processed: allDiscussions.length,
+        written: writeResults.successCount,
+        errors: errorCount,
+        appendedReplies: replyResults.appendedComments,
+        updatedCards: replyResults.updatedCards,
+        staleCards: replyResults.staleCards,
+        repairedCards: repairResults.entries,
+        deletedSources: deletedResults.entries,
+        duration,
+        beforeStats,
+        afterStats,
+        writeResults: writeResults.results,
+        ...(resuming ? { resumedFrom: this.checkpoint.resumed.runId, resumedCards: resumedResults.length } : {}),
+        referenceWorkflowResult,
+        cardWorkflowResult,
+        failures: this.failures,
+        ...this.planResult(plan)
+      };
+      
+    } catch (error) {
+      const duration = Date.now() - startTime;
+      log('error', '❌ Sync process failed', error);
+      if (!this.dryRun) {
+        await this.syncState.save();
+      }
+      
+      return {
+        success: false,
+        error: error.message,
+        duration,
+        failures: this.failures,
+        ...this.planResult(plan)
+      };
+    }
+  }
+
+  /**
+   * 收集每日汇总：本次运行创建的卡片（包括中断的运行中已创建的卡片）、失败的讨论和同步中止的错误
+   * 成功时写入 result.digest；失败只记录日志并写入 result.digestResult，不影响同步结果
+   * @param {Object} result - 同步结果
+   */
+  async collectDigest(result) {
+    const newCards = this.reportEntries.discussions
+      .filter(discussion => discussion.disposition === 'written' && discussion.pageId)
+      .map(discussion => ({
+        title: discussion.title,
+        url: `https://www.notion.so/${discussion.pageId.replace(/-/g, '')}`
+      }));
+    
+    try {
+      result.digest = await this.workflowManager.collectDigest({
+        pipeline: this.name,
+        newCards,
+        failures: this.failures,
+        error: result.success ? null : result.error,
+        referenceWorkflowResult: result.referenceWorkflowResult || null,
+        cardWorkflowResult: result.cardWorkflowResult || null
+      });
+    } catch (error) {
+      log('error', 'Failed to collect the daily digest', error);
+      result.digestResult = { success: false, emailSent: false, error: error.message };
+    }
+  }
+
+  /**
+   * 合并的每日汇总发送后：记录汇总中到了提醒时间的未完成任务并保存同步状态
+   * @param {Object} outcome - 汇总结果 { success, emailSent, error }
+   * @param {Object} options - 选项
+   * @param {boolean} options.countEmail - 是否计入本流水线发送的通知数（合并的汇总只计入其中一条流水线）
+   * @returns {Promise<Object>} 汇总结果
+   */
+  async completeDigest(outcome, { countEmail = true } = {}) {
+    if (outcome.emailSent) {
+      this.workflowManager.recordDigestReminders();
+      await this.syncState.save();
+    }
+    this.counters.emailsSent += outcome.emailSent && countEmail ? 1 : 0;
+    return outcome;
+  }
+
+  /**
+   * 获取最近一次 sync() 的运行指标
+   * @returns {Object} 扫描的笔记数和块数、讨论和卡片计数、发送的邮件数、创建的任务数以及各步骤耗时（stepDurationsMs）
+   */
+  getMetrics() {
+    return {
+      ...(this.counters || emptyCounters()),
+      stepDurationsMs: this.steps?.getDurations() || {}
+    };
+  }
+
+  /**
+   * 获取最近一次 sync() 扫描的笔记和讨论明细，用于运行报告
+   * @returns {Object} { notes, discussions }
+   */
+  getReport() {
+    return this.reportEntries || { notes: [], discussions: [] };
+  }
+
+  /**
+   * 生成报告中的笔记明细
+   * @param {Array} pendingNotes - 待扫描的笔记
+   * @param {Array} scannedNotes - 扫描成功的笔记
+   * @param {Array} discussions - 扫描到的有效讨论
+   * @returns {Array} [{ id, title, url, scanned, complete, blockCount, discussionCount, statusUpdated }]
+   */
+  describeNotes(pendingNotes, scannedNotes, discussions) {
+    return pendingNotes.map(note => {
+      const scanned = scannedNotes.find(entry => entry.id === note.id);
+      return {
+        id: note.id,
+        title: this.commentFetcher.extractNoteTitle(note),
+        url: this.notionClient.getNoteUrl(note.id),
+        scanned: !!scanned,
+        complete: scanned?.complete ?? false,
+        blockCount: scanned?.blockIds.size ?? 0,
+        discussionCount: discussions.filter(discussion => discussion.sourceNote?.id === note.id).length,
+        statusUpdated: false
+      };
+    });
+  }
+
+  /**
+   * 生成报告中的讨论明细：检查点中已创建（中断的运行）→ written，已有卡片 → duplicate，其余 → new（写入后更新）
+   * @param {Object} discussion - 讨论
+   * @returns {Object} { discussionId, title, sourceNoteId, disposition, pageId, resumed }
+   */
+  describeDiscussion(discussion) {
+    const entry = {
+      discussionId: discussion.discussionId,
+      title: discussion.title,
+      sourceNoteId: discussion.sourceNote?.id || null
+    };
+    
+    if (this.checkpoint.isWritten(discussion.discussionId)) {
+      return { ...entry, disposition: 'written', pageId: this.checkpoint.data.written[discussion.discussionId].pageId, resumed: true };
+    }
+    if (this.discussionIndex.has(discussion.discussionId)) {
+      return { ...entry, disposition: 'duplicate', pageId: this.discussionIndex.get(discussion.discussionId).pageId };
+    }
+    return { ...entry, disposition: 'new' };
+  }
+
+  /**
+   * 按写入结果更新报告中新讨论的处理结果（预演时保持 new）
+   * @param {Array} writeResults - 写入结果
+   */
+  applyWriteDispositions(writeResults) {
+    writeResults.forEach(result => {
+      const entry = this.reportEntries.discussions.find(discussion => discussion.discussionId === result.discussionId);
+      if (!entry || result.dryRun) {
+        return;
+      }
+      if (result.success) {
+        Object.assign(entry, { disposition: 'written', pageId: result.pageId, ...(result.needsRepair ? { needsRepair: true } : {}) });
+      } else {
+        Object.assign(entry, { disposition: 'failed', reason: result.error });
+      }
+    });
+  }
+
+  /**
+   * 获取上次成功运行之后编辑过的笔记
+   * @returns {Promise<Array>} 笔记列表
+   */
+  async getNotesEditedSinceLastRun() {
+    const lastRun = this.syncState.getLastSuccessfulRun();
+    
+    if (!lastRun) {
+      log('info', 'No previous successful run recorded, incremental rescan skipped for this run');
+      return [];
+    }
+    
+    // Notion 的 last_edited_time 只精确到分钟，回退一分钟避免漏掉运行期间的编辑
+    const since = new Date(new Date(lastRun).getTime() - 60 * 1000).toISOString();
+    return this.notionClient.getNotesEditedSince(since);
+  }
+
+  /**
+   * 同步已有卡片：评论或源块被编辑时重新渲染同步区域，否则只追加新回复
+   * @param {Array} discussions - 已存在卡片的讨论
+   * @param {Object|null} plan - 预演计划，预演时只记录不写入
+   * @returns {Promise<Object>} 同步结果
+   */
+  async syncExistingCards(discussions, plan = null) {
+    const result = { appendedDiscussions: 0, appendedComments: 0, updatedCards: 0, staleCards: [], errors: 0 };
+    
+    log('info', `🔁 Checking ${discussions.length} existing discussions for edits and new replies...`);
+    
+    for (const discussion of discussions) {
+      try {
+        const card = this.discussionIndex.get(discussion.discussionId);
+        if (!card) {
+          continue;
+        }
+        
+        // 优先使用本地记录的已同步评论；没有记录的旧卡片以卡片创建时间为界
+        const syncedCommentIds = this.syncState.getSyncedCommentIds(discussion.discussionId);
+        const isSynced = comment => syncedCommentIds
+          ? syncedCommentIds.includes(comment.id)
+          : new Date(comment.created_time) <= new Date(card.createdTime);
+        const newComments = discussion.comments.filter(comment => !isSynced(comment));
+        
+        // 用已同步评论的当前内容重新计算哈希，与上次记录不同说明评论或源块被编辑过
+        // 没有记录哈希的旧卡片只记录基线，不做改写
+        const storedHash = this.syncState.getContentHash(discussion.discussionId);
+        const edited = storedHash !== null &&
+          storedHash !== this.contentProcessor.hashPageContent(discussion, discussion.comments.filter(isSynced));
+        
+        if ((edited || newComments.length > 0) && plan) {
+          (edited ? plan.updates : plan.replies).push({
+            title: discussion.title,
+            discussionId: discussion.discussionId,
+            pageId: card.pageId,
+            commentCount: newComments.length
+          });
+          continue;
+        }
+        
+        // 重新渲染整个同步区域，新回复一并包含在内；没有结束标记的旧卡片不改写，只追加新回复
+        const rerendered = edited &&
+          await this.notionClient.replaceManagedSection(card.pageId, this.contentProcessor.generatePageContent(discussion));
+        if (rerendered) {
+          result.updatedCards++;
+          log('info', `Re-rendered edited card ${card.pageId} (${discussion.title})`);
+        } else if (edited) {
+          result.staleCards.push({ discussionId: discussion.discussionId, title: discussion.title, pageId: card.pageId });
+          log('warn', `Card ${card.pageId} (${discussion.title}) was edited at the source but has no end marker, left unchanged`);
+        }
+        if (!rerendered && newComments.length > 0) {
+          const replyBlocks = this.contentProcessor.generateReplyContent(newComments);
+          await this.notionClient.appendToManagedSection(card.pageId, replyBlocks);
+          result.appendedDiscussions++;
+          result.appendedComments += newComments.length;
+          log('info', `Appended ${newComments.length} new replies to card ${card.pageId} (${discussion.title})`);
+        }
+        
+        // 没有重新渲染的编辑保留原来的哈希，之后每次运行都会再次报告，补上结束标记后即可重新渲染
+        this.syncState.markCommentsSynced(
+          discussion.discussionId,
+          card.pageId,
+          discussion.comments.map(comment => comment.id),
+          {
+            contentHash: edited && !rerendered ? storedHash : this.contentProcessor.hashPageContent(discussion),
+            blockId: discussion.comments[0]?.blockInfo?.id,
+            runId: this.runId
+          }
+        );
+      } catch (error) {
+        log('error', `Failed to sync existing card for discussion: ${discussion.discussionId}`, error);
+        this.recordFailure({ discussionId: discussion.discussionId, title: discussion.title, stage: 'update', error: error.message });
+        result.errors++;
+      }
+    }
+    
+    log('info', `Re-rendered ${result.updatedCards} edited cards, appended ${result.appendedComments} replies to ${result.appendedDiscussions} existing cards${result.staleCards.length > 0 ? `, ${result.staleCards.length} edited cards without end marker left unchanged` : ''}`);
+    return result;
+  }
+
+  /**
+   * 处理源讨论或源块已被删除的卡片
+   * 只检查本次完整扫描过的笔记；已处理过的卡片不会重复处理
+   * @param {Array} scannedNotes - 扫描过的笔记及其现存讨论和块
+   * @param {Object|null} plan - 预演计划，预演时只记录不写入
+   * @returns {Promise<Object>} { entries, errors }
+   */
+  async handleDeletedSources(scannedNotes, plan = null) {
+    const result = { entries: [], errors: 0 };
+    
+    for (const note of scannedNotes) {
+      if (!note.complete) {
+        log('warn', `Skipping deleted source check for note ${note.id}, scan was incomplete`);
+        continue;
+      }
+      
+      try {
+        const cards = await this.notionClient.getCardsBySourceNote(note.id);
+        
+        for (const card of cards) {
+          const discussionId = this.notionClient.extractDiscussionId(card);
+          if (!discussionId || note.discussionIds.has(discussionId) || this.syncState.getSourceDeletedAt(discussionId)) {
+            continue;
+          }
+          
+          const blockId = this.syncState.getSourceBlockId(discussionId);
+          const reason = blockId && !note.blockIds.has(blockId) ? 'block_removed' : 'discussion_deleted';
+          const entry = {
+            title: card.properties?.[this.notionClient.properties.card.title]?.title?.map(text => text.plain_text).join('') || '未知标题',
+            discussionId,
+            pageId: card.id,
+            sourceNoteId: note.id,
+            reason,
+            // 讨论可能只是被解决（comments.list 不返回），不修改卡片
+            action: reason === 'block_removed' ? this.deletedSourceAction : 'report'
+          };
+          result.entries.push(entry);
+          
+          if (plan) {
+            continue;
+          }
+          
+          try {
+            await this.applyDeletedSourceAction(entry);
+            this.syncState.markSourceDeleted(discussionId, card.id, entry.reason);
+          } catch (error) {
+            log('error', `Failed to handle deleted source for card ${card.id}`, error);
+            entry.error = error.message;
+            this.recordFailure({ discussionId, title: entry.title, stage: 'deleted_source', error: error.message });
+            result.errors++;
+          }
+        }
+      } catch (error) {
+        log('error', `Failed to check deleted sources for note ${note.id}`, error);
+        this.recordFailure({ title: note.title, stage: 'deleted_source', error: error.message });
+        result.errors++;
+      }
+    }
+    
+    if (plan) {
+      plan.deletedSources = result.entries;
+    }
+    if (result.entries.length > 0) {
+      log('info', `Found ${result.entries.length} cards whose source was deleted (action: ${this.deletedSourceAction})`);
+    }
+    return result;
+  }
+
+  /**
+   * 对源已删除的卡片执行配置的处理方式
+   * @param {Object} entry - 源删除记录
+   */
+  async applyDeletedSourceAction(entry) {
+    const reason = DELETED_SOURCE_REASONS[entry.reason];
+    
+    if (entry.action === 'archive') {
+      await this.notionClient.archivePage(entry.pageId);
+      this.discussionIndex.remove(entry.discussionId);
+    } else if (entry.action === 'mark') {
+      await this.notionClient.markCardSourceDeleted(entry.pageId, reason);
+    }
+    
+    log('info', `${reason}: ${entry.title} (${entry.pageId}) → ${entry.action}`);
+  }
+
+  /**
+   * 记录新写入的卡片及其包含的评论，以及写入失败的讨论
+   * @param {Array} discussions - 新讨论
+   * @param {Array} writeResults - 写入结果
+   */
+  recordWrittenDiscussions(discussions, writeResults) {
+    writeResults
+      .filter(result => !result.success)
+      .forEach(result => this.recordFailure({ discussionId: result.discussionId, title: result.title, stage: 'create', error: result.error }));
+    
+    writeResults
+      .filter(result => result.success)
+      .forEach(result => {
+        this.discussionIndex.add(result.discussionId, result.pageId);
+        
+        const discussion = discussions.find(d => d.discussionId === result.discussionId);
+        if (discussion) {
+          this.syncState.markCommentsSynced(
+            result.discussionId,
+            result.pageId,
+            discussion.comments.map(comment => comment.id),
+            {
+              contentHash: this.contentProcessor.hashPageContent(discussion),
+              blockId: discussion.comments[0]?.blockInfo?.id,
+              runId: this.runId,
+              created: true
+            }
+          );
+        }
+        
+        if (result.needsRepair) {
+          this.syncState.markNeedsRepair(result.discussionId, result.pageId, { runId: this.runId, title: result.title, message: result.repairError });
+        }
+      });
+  }
+
+  /**
+   * 卡片创建成功后立即写入检查点，进程中断后下次运行不会重复创建
+   * @param {Object} result - 写入结果
+   * @param {Array} discussions - 本次写入的讨论
+   */
+  async checkpointWrite(result, discussions) {
+    const discussion = discussions.find(d => d.discussionId === result.discussionId);
+    await this.checkpoint.recordWritten(result.discussionId, {
+      pageId: result.pageId,
+      title: result.title,
+      sourceNoteId: result.sourceNoteId,
+      commentIds: discussion?.comments.map(comment => comment.id) || [],
+      contentHash: discussion ? this.contentProcessor.hashPageContent(discussion) : null,
+      blockId: discussion?.comments[0]?.blockInfo?.id || null,
+      ...(result.needsRepair ? { repairError: result.repairError } : {})
+    });
+  }
+
+  /**
+   * 把中断的运行中已创建的卡片写入去重索引和同步状态
+   */
+  applyResumedWrites() {
+    const { resumed } = this.checkpoint;
+    if (!resumed) {
+      return;
+    }
+    
+    Object.entries(resumed.written).forEach(([discussionId, entry]) => {
+      this.discussionIndex.add(discussionId, entry.pageId);
+      this.syncState.markCommentsSynced(discussionId, entry.pageId, entry.commentIds, {
+        contentHash: entry.contentHash,
+        blockId: entry.blockId,
+        runId: resumed.runId,
+        created: true
+      });
+      if (entry.repairError) {
+        this.syncState.markNeedsRepair(discussionId, entry.pageId, { runId: resumed.runId, title: entry.title, message: entry.repairError });
+      }
+    });
+  }
+
+  /**
+   * 修复之前运行中只建了一半的卡片（页面已创建但Solution区域添加失败），卡片已被归档或删除时清除标记
+   * @param {Object|null} plan - 预演计划，预演时记录将要修复的卡片
+   * @returns {Promise<Object>} { entries: [{ discussionId, pageId, title, outcome, error }], errors }
+   */
+  async repairPartialCards(plan) {
+    const result = { entries: [], errors: 0 };
+    const cards = this.syncState.getCardsNeedingRepair();
+    if (cards.length === 0) {
+      return result;
+    }
+    
+    log('info', `🔧 ${this.dryRun ? 'Would repair' : 'Repairing'} ${cards.length} half-built cards...`);
+    
+    for (const card of cards) {
+      const entry = { discussionId: card.discussionId, pageId: card.pageId, title: card.title };
+      
+      if (this.dryRun) {
+        result.entries.push({ ...entry, outcome: 'planned' });
+        continue;
+      }
+      
+      try {
+        const repaired = await this.notionClient.repairCard(card.pageId);
+        this.syncState.clearNeedsRepair(card.discussionId);
+        result.entries.push({ ...entry, outcome: repaired ? 'repaired' : 'gone' });
+      } catch (error) {
+        log('error', `Failed to repair card ${card.pageId}`, error);
+        this.recordFailure({ discussionId: card.discussionId, title: card.title, stage: 'repair', error: error.message });
+        result.entries.push({ ...entry, outcome: 'failed', error: error.message });
+        result.errors++;
+      }
+    }
+    
+    if (plan) {
+      plan.repairs = result.entries;
+    }
+    return result;
+  }
+
+  /**
+   * 记录本次运行中失败的讨论（或笔记），并写入讨论的最近错误
+   * @param {Object} failure - { discussionId, title, stage, error }
+   */
+  recordFailure(failure) {
+    this.failures.push(failure);
+    if (failure.discussionId) {
+      this.syncState.markFailed(failure.discussionId, this.runId, failure.stage, failure.error);
+    }
+  }
+
+  /**
+   * 结束本次运行：预演时不记录，否则记录成功运行并删除检查点
+   * @param {string} runStartedAt - 本次运行开始时间
+   * @param {number} errorCount - 本次运行的错误数
+   */
+  async finishRun(runStartedAt, errorCount) {
+    if (this.dryRun) {
+      return;
+    }
+    
+    await this.recordSuccessfulRun(runStartedAt, errorCount);
+    await this.checkpoint.clear();
+  }
+
+  /**
+   * 创建空的预演计划
+   * @returns {Object} 预演计划
+   */
+  createEmptyPlan() {
+    return {
+      generatedAt: new Date().toISOString(),
+      cards: [],
+      replies: [],
+      updates: [],
+      deletedSources: [],
+      repairs: [],
+      noteStatusUpdates: [],
+      referenceWorkflow: null,
+      cardWorkflow: null,
+      digest: null
+    };
+  }
+
+  /**
+   * 同步结果中的预演字段
+   * @param {Object|null} plan - 预演计划
+   * @returns {Object} 预演时为 { dryRun, plan }，否则为空对象
+   */
+  planResult(plan) {
+    return this.dryRun ? { dryRun: true, plan } : {};
+  }
+
+  /**
+   * 记录成功运行并保存同步状态
+   * 有写入错误时不推进增量起点，下次运行会重新扫描这些笔记
+   * @param {string} runStartedAt - 本次运行开始时间
+   * @param {number} errorCount - 本次运行的错误数
+   */
+  async recordSuccessfulRun(runStartedAt, errorCount = 0) {
+    if (errorCount === 0) {
+      this.syncState.setLastSuccessfulRun(runStartedAt);
+    } else {
+      log('warn', `Run finished with ${errorCount} errors, keeping previous incremental checkpoint`);
+    }
+    await this.syncState.save();
+  }
+
+  /**
+   * 更新已处理笔记的自动化状态
+   * @param {Array} pendingNotes - 待处理笔记
+   * @param {Array} writeResults - 写入结果
+   * @returns {Promise<Array>} 更新为"已执行"的笔记（预演时为计划更新的笔记）
+   */
+  async updateProcessedNotesStatus(pendingNotes, writeResults) {
+    const executedNotes = [];
+    const { automationStatus } = this.notionClient.properties.reference;
+    const { referenceDone } = this.notionClient.statuses;
+    
+    try {
+      log('info', 'Starting to update automation status for processed notes');
+      
+      // 统计每个源笔记的成功写入数量
+      const sourceNoteSuccessCount = {};
+      
+      writeResults.forEach(result => {
+        if (result.success && result.sourceNoteId) {
+          // 使用 sourceNoteId 来统计
+          sourceNoteSuccessCount[result.sourceNoteId] = (sourceNoteSuccessCount[result.sourceNoteId] || 0) + 1;
+        }
+      });
+      
+      log('info', `Source note success count:`, sourceNoteSuccessCount);
+      
+      for (const note of pendingNotes) {
+        const noteId = note.id;
+        
+        // 检查该笔记是否有成功写入的讨论
+        const successCount = sourceNoteSuccessCount[noteId] || 0;
+        
+        if (successCount > 0 && note.properties?.[automationStatus]?.select?.name === referenceDone) {
+          log('debug', `Note ${noteId} is already '${referenceDone}', skipping status update`);
+        } else if (successCount > 0 && this.checkpoint.isNoteUpdated(noteId)) {
+          log('debug', `Note ${noteId} was updated to '${referenceDone}' by the interrupted run, skipping status update`);
+        } else if (successCount > 0) {
+          // 如果有成功写入的讨论，更新状态为"已执行"
+          log('info', `Note ${noteId} has ${successCount} successful discussions, ${this.dryRun ? 'would update' : 'updating'} to '${referenceDone}'`);
+          if (!this.dryRun) {
+            await this.notionClient.updateAutomationStatus(noteId, referenceDone);
+            await this.checkpoint.markNoteUpdated(noteId);
+          }
+          executedNotes.push({
+            id: noteId,
+            title: this.commentFetcher.extractNoteTitle(note),
+            successCount
+          });
+        } else {
+          // 如果没有成功写入的讨论，保持状态为"未执行"
+          log('info', `Note ${noteId} has no successful discussions, keeping '${this.notionClient.statuses.referencePending}' status`);
+        }
+      }
+      
+      log('info', 'Completed updating automation status for all notes');
+      
+    } catch (error) {
+      log('error', 'Failed to update automation status', error);
+    }
+    
+    return executedNotes;
+  }
+}
@@ -0,0 +1,141 @@
+import { createLogger } from './logger.js';
+
+const log = createLogger('reminder-policy');
+
+/**
+ * 一天的毫秒数
+ */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 提醒间隔的余量：定时运行的启动时间每天都有波动，差这么多也视为已到间隔
+ */
+const INTERVAL_TOLERANCE_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * 只有日期的"暂停提醒至"按北京时间解析（与消息中的时间一致）
+ */
+const SNOOZE_UTC_OFFSET = '+08:00';
+
+/**
+ * 解析"暂停提醒至"日期：只有日期时暂停到当天结束，带时间时暂停到该时间
+ * @param {string|null} value - Notion 日期属性的 start
+ * @returns {number|null} 暂停结束的时间戳，未设置或无法解析时为 null
+ */
+function parseSnoozeEnd(value) {
+  if (!value) {
+    return null;
+  }
+  const time = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? Date.parse(`${value}T00:00:00${SNOOZE_UTC_OFFSET}`) + DAY_MS
+    : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * 未完成任务警告的提醒策略：同一任务至多每 intervalDays 天提醒一次，
+ * 任务创建满 escalateAfterDays 天后升级提醒，任务的"暂停提醒至"日期之前不提醒
+ * 提醒记录保存在同步状态中；没有同步状态时每次运行都提醒。已完成的任务的记录由 prune 清理
+ */
+export class ReminderPolicy {
+  /**
+   * @param {Object} settings - reminders 配置 { intervalDays, escalateAfterDays, escalatedPriority }，
+   *   另可带 snoozeProperty（任务的"暂停提醒至"属性名，写入判断结果供消息提示）
+   * @param {SyncState|null} state - 同步状态
+   */
+  constructor(settings = {}, state = null) {
+    this.intervalDays = settings.intervalDays ?? 1;
+    this.escalateAfterDays = settings.escalateAfterDays ?? 0;
+    this.escalatedPriority = settings.escalatedPriority || null;
+    this.snoozeProperty = settings.snoozeProperty || null;
+    this.state = state;
+    // 本次运行检查到的未完成任务的类型（reference | card），写入提醒记录供 prune 使用
+    this.taskKinds = new Map();
+  }
+
+  /**
+   * 检查完某类未完成任务后清理提醒记录：该类其他任务的记录已不再需要
+   * @param {string} kind - 任务类型（reference | card）
+   * @param {Object|null} task - 该类当前未完成的任务，没有时为null
+   */
+  prune(kind, task) {
+    if (task) {
+      this.taskKinds.set(task.id, kind);
+    }
+    const removed = this.state?.pruneTaskReminders(kind, task?.id || null) || 0;
+    if (removed > 0) {
+      log('info', `Removed ${removed} reminder records of finished ${kind} tasks`);
+    }
+  }
+
+  /**
+   * 判断本次运行是否对未完成任务发出警告
+   * 任务刚满升级天数时不受提醒间隔限制，升级后立即提醒一次
+   * @param {Object} task - 未完成的任务 { id, createdTime, snoozeUntil }
+   * @param {number} now - 当前时间戳
+   * @returns {Object} { send, reason: remind | throttled | snoozed, escalated, ageDays, reminderCount, lastRemindedAt, nextReminderAt, snoozedUntil, snoozeProperty }
+   */
+  evaluate(task, now = Date.now()) {
+    const record = this.state?.getTaskReminder(task.id) || null;
+    const createdAt = Date.parse(task.createdTime);
+    const ageDays = Number.isNaN(createdAt) ? null : Math.max(0, Math.floor((now - createdAt) / DAY_MS));
+    const escalated = this.escalateAfterDays > 0 && ageDays !== null && ageDays >= this.escalateAfterDays;
+    const decision = {
+      send: true,
+      reason: 'remind',
+      escalated,
+      ageDays,
+      reminderCount: record?.reminderCount || 0,
+      lastRemindedAt: record?.lastRemindedAt || null,
+      nextReminderAt: null,
+      snoozedUntil: null,
+      snoozeProperty: this.snoozeProperty
+    };
+
+    const snoozeEnd = parseSnoozeEnd(task.snoozeUntil);
+    if (snoozeEnd !== null && now < snoozeEnd) {
+      return { ...decision, send: false, reason: 'snoozed', escalated: false, snoozedUntil: task.snoozeUntil };
+    }
+
+    const firstEscalation = escalated && !record?.escalatedAt;
+    if (!firstEscalation && decision.lastRemindedAt && this.intervalDays > 0) {
+      const nextReminderAt = Date.parse(decision.lastRemindedAt) + this.intervalDays * DAY_MS;
+      if (now < nextReminderAt - INTERVAL_TOLERANCE_MS) {
+        return { ...decision, send: false, reason: 'throttled', nextReminderAt: new Date(nextReminderAt).toISOString() };
+      }
+    }
+
+    return decision;
+  }
+
+  /**
+   * 升级时任务应改成的优先级：已经是升级优先级或已经改过一次时为 null
+   * @param {Object} task - 未完成的任务 { id, priority }
+   * @param {Object} decision - evaluate 的结果
+   * @returns {string|null} 新的优先级
+   */
+  priorityToRaise(task, decision) {
+    if (!decision.escalated || !this.escalatedPriority || task.priority === this.escalatedPriority) {
+      return null;
+    }
+    return this.state?.getTaskReminder(task.id)?.priorityRaisedAt ? null : this.escalatedPriority;
+  }
+
+  /**
+   * 记录已发出警告
+   * @param {Object} task - 未完成的任务
+   * @param {Object} decision - evaluate 的结果
+   */
+  recordReminder(task, decision) {
+    this.state?.recordTaskReminder(task.id, { title: task.title, kind: this.taskKinds.get(task.id), escalated: decision.escalated });
+  }
+
+  /**
+   * 记录已提高任务优先级
+   * @param {Object} task - 未完成的任务
+   * @param {string} priority - 新的优先级
+   */
+  recordPriorityRaised(task, priority) {
+    this.state?.markTaskPriorityRaised(task.id, priority, this.taskKinds.get(task.id));
+  }
+}
@@ -0,0 +1,218 @@
+import { createLogger } from './logger.js';
+import { delay } from './utils.js';
+
+const log = createLogger('request-limiter');
+
+/**
+ * 可重试的 Notion API 错误码（另外所有 5xx 响应都会重试）
+ */
+const RETRYABLE_CODES = ['rate_limited', 'conflict_error', 'internal_server_error', 'service_unavailable'];
+
+/**
+ * 非幂等请求只在被限流时重试：5xx 或冲突时 Notion 可能已经写入，重试会产生重复的页面或块
+ */
+const NON_IDEMPOTENT_RETRYABLE_CODES = ['rate_limited'];
+
+/**
+ * 统计的延迟分位数
+ */
+const LATENCY_PERCENTILES = [50, 90, 99];
+
+/**
+ * 汇总延迟：分位数（最近秩法）和最大值
+ * @param {Array} latencies - 每次请求的耗时（毫秒）
+ * @returns {Object|null} { p50, p90, p99, max }，没有请求时返回null
+ */
+function summarizeLatencies(latencies) {
+  if (latencies.length === 0) {
+    return null;
+  }
+
+  const sorted = [...latencies].sort((a, b) => a - b);
+  const summary = {};
+  LATENCY_PERCENTILES.forEach(percentile => {
+    summary[`p${percentile}`] = sorted[Math.max(0, Math.ceil(percentile / 100 * sorted.length) - 1)];
+  });
+  summary.max = sorted[sorted.length - 1];
+  return summary;
+}
+
+/**
+ * Notion API 请求限流器
+ * 按固定速率发放请求时间槽（多个并发请求共享同一预算），并对限流、冲突和 5xx 错误做指数退避重试；
+ * 非幂等请求只重试限流
+ */
+export class RequestLimiter {
+  constructor(options = {}) {
+    const requestsPerSecond = options.requestsPerSecond ?? (process.env.NOTION_REQUESTS_PER_SECOND || '3');
+    this.requestsPerSecond = Number(String(requestsPerSecond).trim() || NaN);
+    if (!Number.isFinite(this.requestsPerSecond) || this.requestsPerSecond <= 0) {
+      throw new Error(`Invalid NOTION_REQUESTS_PER_SECOND "${requestsPerSecond}", expected a positive number`);
+    }
+    const maxRetries = String(options.maxRetries ?? (process.env.NOTION_MAX_RETRIES || '5'));
+    if (!/^\d+$/.test(maxRetries.trim())) {
+      throw new Error(`Invalid NOTION_MAX_RETRIES "${maxRetries}", expected a non-negative integer`);
+    }
+    this.maxRetries = parseInt(maxRetries, 10);
+    this.baseDelayMs = options.baseDelayMs ?? 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 30000;
+    this.intervalMs = 1000 / this.requestsPerSecond;
+    this.nextSlot = 0;
+    this.stats = {
+      requests: 0,
+      retries: 0,
+      failures: 0,
+      retriesByReason: {}
+    };
+    this.latencies = [];
+    this.endpoints = {};
+  }
+
+  /**
+   * 在限流预算内执行请求，失败时按需重试
+   * @param {Function} request - 返回 Promise 的请求函数
+   * @param {string} label - 请求说明，用于日志
+   * @param {string} endpoint - 接口名称（路径中的ID已替换），用于按接口统计，默认同 label
+   * @param {Object} options - 选项
+   * @param {boolean} options.idempotent - 请求是否幂等，非幂等请求（创建页面、追加块等）只在被限流时重试
+   * @returns {Promise<*>} 请求结果
+   */
+  async schedule(request, label = 'request', endpoint = label, { idempotent = true } = {}) {
+    const endpointStats = this.endpoints[endpoint] ||= { requests: 0, retries: 0, failures: 0, latencies: [] };
+
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForSlot();
+      this.stats.requests++;
+      endpointStats.requests++;
+      const requestStartedAt = Date.now();
+
+      try {
+        const response = await request();
+        this.recordLatency(endpointStats, requestStartedAt);
+        return response;
+      } catch (error) {
+        this.recordLatency(endpointStats, requestStartedAt);
+        const reason = this.getRetryReason(error, idempotent);
+
+        if (!reason || attempt >= this.maxRetries) {
+          this.stats.failures++;
+          endpointStats.failures++;
+          throw error;
+        }
+
+        const waitMs = this.getRetryDelay(error, attempt);
+        this.stats.retries++;
+        endpointStats.retries++;
+        this.stats.retriesByReason[reason] = (this.stats.retriesByReason[reason] || 0) + 1;
+        log('warn', `Notion ${label} failed with ${reason}, retrying in ${waitMs}ms (${attempt + 1}/${this.maxRetries})`);
+
+        // 被限流时整体暂停，避免其他并发请求继续撞上限
+        if (reason === 'rate_limited') {
+          this.nextSlot = Math.max(this.nextSlot, Date.now() + waitMs);
+        }
+        await delay(waitMs);
+      }
+    }
+  }
+
+  /**
+   * 记录单次请求（不含排队和重试等待）的耗时
+   * @param {Object} endpointStats - 接口统计
+   * @param {number} requestStartedAt - 请求开始时间
+   */
+  recordLatency(endpointStats, requestStartedAt) {
+    const latency = Date.now() - requestStartedAt;
+    this.latencies.push(latency);
+    endpointStats.latencies.push(latency);
+  }
+
+  /**
+   * 等待下一个可用的请求时间槽
+   */
+  async waitForSlot() {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.intervalMs;
+
+    if (slot > now) {
+      await delay(slot - now);
+    }
+  }
+
+  /**
+   * 判断错误是否可重试
+   * @param {Error} error - 请求错误
+   * @param {boolean} idempotent - 请求是否幂等
+   * @returns {string|null} 重试原因，不可重试时返回null
+   */
+  getRetryReason(error, idempotent = true) {
+    if (!idempotent) {
+      if (NON_IDEMPOTENT_RETRYABLE_CODES.includes(error?.code)) {
+        return error.code;
+      }
+      return error?.status === 429 ? 'http_429' : null;
+    }
+    if (RETRYABLE_CODES.includes(error?.code)) {
+      return error.code;
+    }
+    if (error?.status >= 500) {
+      return `http_${error.status}`;
+    }
+    return null;
+  }
+
+  /**
+   * 计算重试等待时间：优先使用 Retry-After，否则指数退避加随机抖动
+   * @param {Error} error - 请求错误
+   * @param {number} attempt - 已重试次数
+   * @returns {number} 等待毫秒数
+   */
+  getRetryDelay(error, attempt) {
+    const retryAfter = this.getRetryAfterMs(error);
+    if (retryAfter !== null) {
+      return retryAfter;
+    }
+
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * 读取 Retry-After 响应头
+   * @param {Error} error - 请求错误
+   * @returns {number|null} 等待毫秒数
+   */
+  getRetryAfterMs(error) {
+    const headers = error?.headers;
+    const value = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * 获取本次运行的请求统计
+   * @returns {Object} 请求数、重试数、失败数、按原因分类的重试数、延迟分位数（latencyMs）和按接口的统计（byEndpoint）
+   */
+  getStats() {
+    const byEndpoint = {};
+    Object.entries(this.endpoints).forEach(([endpoint, { latencies, ...counts }]) => {
+      byEndpoint[endpoint] = { ...counts, latencyMs: summarizeLatencies(latencies) };
+    });
+
+    return {
+      ...this.stats,
+      retriesByReason: { ...this.stats.retriesByReason },
+      latencyMs: summarizeLatencies(this.latencies),
+      byEndpoint
+    };
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Notion 富文本工具：把读取到的 rich_text 转换为可写入的格式
+ */
+
+/**
+ * 可以通过 API 创建的提及类型
+ */
+const WRITABLE_MENTION_TYPES = ['user', 'page', 'database', 'date'];
+
+/**
+ * 创建纯文本片段
+ * @param {string} content - 文本内容
+ * @param {Object} annotations - 样式（可选）
+ * @returns {Object} rich_text 片段
+ */
+export function textSegment(content, annotations = null) {
+  return {
+    type: 'text',
+    text: {
+      content
+    },
+    ...(annotations ? { annotations } : {})
+  };
+}
+
+/**
+ * 拼接富文本的纯文本内容
+ * @param {Array} richText - rich_text 数组
+ * @returns {string} 纯文本
+ */
+export function plainText(richText = []) {
+  return richText.map(segment => segment.plain_text ?? segment.text?.content ?? '').join('');
+}
+
+/**
+ * 把读取到的 rich_text 转换为可写入的格式，保留链接、样式、提及和公式
+ * 无法通过 API 创建的提及（如 link_preview）降级为带链接的文本
+ * @param {Array} richText - 读取到的 rich_text 数组
+ * @returns {Array} 可写入的 rich_text 数组
+ */
+export function toWritableRichText(richText = []) {
+  return richText.map(segment => {
+    const annotations = segment.annotations || null;
+
+    if (segment.type === 'text' && segment.text) {
+      return {
+        type: 'text',
+        text: {
+          content: segment.text.content,
+          link: segment.text.link?.url ? { url: segment.text.link.url } : null
+        },
+        ...(annotations ? { annotations } : {})
+      };
+    }
+
+    if (segment.type === 'equation' && segment.equation) {
+      return {
+        type: 'equation',
+        equation: {
+          expression: segment.equation.expression
+        },
+        ...(annotations ? { annotations } : {})
+      };
+    }
+
+    if (segment.type === 'mention' && WRITABLE_MENTION_TYPES.includes(segment.mention?.type)) {
+      const { type } = segment.mention;
+      const value = type === 'date' ? segment.mention.date : { id: segment.mention[type].id };
+      return {
+        type: 'mention',
+        mention: {
+          type,
+          [type]: value
+        },
+        ...(annotations ? { annotations } : {})
+      };
+    }
+
+    return {
+      type: 'text',
+      text: {
+        content: segment.plain_text ?? '',
+        link: segment.href ? { url: segment.href } : null
+      },
+      ...(annotations ? { annotations } : {})
+    };
+  });
+}
+
+/**
+ * 从富文本开头移除指定数量的字符（用于去掉评论标记），只影响开头的片段
+ * @param {Array} richText - 可写入的 rich_text 数组
+ * @param {number} count - 要移除的字符数
+ * @returns {Array} 移除后的 rich_text 数组
+ */
+export function stripLeadingText(richText, count) {
+  let remaining = count;
+  const result = [];
+
+  for (const segment of richText) {
+    if (remaining <= 0) {
+      result.push(segment);
+      continue;
+    }
+
+    const length = plainText([segment]).length;
+    if (segment.type === 'text' && length > remaining) {
+      result.push({
+        ...segment,
+        text: {
+          ...segment.text,
+          content: segment.text.content.slice(remaining)
+        }
+      });
+    }
+    remaining -= length;
+  }
+
+  return result;
+}
+
+/**
+ * 计算评论标记（含前后空白）在文本开头占用的字符数
+ * @param {string} text - 评论原始文本
+ * @param {string} prefix - 匹配到的标记前缀
+ * @returns {number} 字符数
+ */
+export function markerLength(text, prefix) {
+  const leading = text.length - text.trimStart().length;
+  const rest = text.slice(leading + prefix.length);
+  return leading + prefix.length + (rest.length - rest.trimStart().length);
+}
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('run-history');
+
+/**
+ * 默认保留的运行记录条数
+ */
+const DEFAULT_MAX_RUNS = 1000;
+
+/**
+ * 运行历史（JSON Lines，每次运行追加一行，跨运行保留）
+ * 超过 maxRuns 条时只保留最近的记录，另外始终保留最近一次写入了卡片的运行（见 getLastRunWithWrites）
+ */
+export class RunHistory {
+  /**
+   * @param {string} filePath - 历史文件路径
+   * @param {number} maxRuns - 最多保留的运行记录条数，默认 RUN_HISTORY_MAX_RUNS 或 1000
+   */
+  constructor(filePath = process.env.RUN_HISTORY_FILE || '.sync-state/history.jsonl', maxRuns = process.env.RUN_HISTORY_MAX_RUNS || DEFAULT_MAX_RUNS) {
+    if (!/^[1-9]\d*$/.test(String(maxRuns).trim())) {
+      throw new Error(`Invalid RUN_HISTORY_MAX_RUNS "${maxRuns}", expected a positive integer`);
+    }
+    this.filePath = filePath;
+    this.maxRuns = parseInt(maxRuns, 10);
+  }
+
+  /**
+   * 追加一条运行记录，超过条数上限时删除最旧的记录
+   * @param {Object} run - 运行记录（见 buildRunRecord）
+   */
+  async append(run) {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.appendFile(this.filePath, `${JSON.stringify(run)}\n`);
+      log('debug', `Run ${run.runId} recorded in ${this.filePath}`);
+      await this.trim();
+    } catch (error) {
+      log('error', `Failed to record run ${run.runId} in ${this.filePath}`, error);
+    }
+  }
+
+  /**
+   * 只保留最近 maxRuns 条记录；最近一次写入了卡片的运行即使更早也保留
+   * 先写临时文件再替换，中途失败不会损坏历史文件
+   */
+  async trim() {
+    const runs = await this.readAll();
+    if (runs.length <= this.maxRuns) {
+      return;
+    }
+
+    const kept = runs.slice(-this.maxRuns);
+    const lastRunWithWrites = runs.findLast(run => run.counts?.written > 0);
+    if (lastRunWithWrites && !kept.includes(lastRunWithWrites)) {
+      kept.splice(0, 1, lastRunWithWrites);
+    }
+
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, kept.map(run => `${JSON.stringify(run)}\n`).join(''));
+    await fs.rename(tempPath, this.filePath);
+    log('info', `Trimmed run history to ${kept.length} runs (removed ${runs.length - kept.length})`);
+  }
+
+  /**
+   * 读取全部运行记录（按时间从旧到新），损坏的行跳过
+   * @returns {Promise<Array>} 运行记录
+   */
+  async readAll() {
+    let raw;
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const runs = [];
+    raw.split('\n').forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+      try {
+        runs.push(JSON.parse(line));
+      } catch {
+        log('warn', `Skipping malformed line ${index + 1} in ${this.filePath}`);
+      }
+    });
+    return runs;
+  }
+
+  /**
+   * 查询最近的运行记录（从新到旧）
+   * @param {Object} options - 查询选项
+   * @param {number} options.limit - 最多返回的条数
+   * @param {boolean} options.failedOnly - 只返回失败或有错误的运行
+   * @returns {Promise<Array>} 运行记录
+   */
+  async getRuns({ limit = 10, failedOnly = false } = {}) {
+    const runs = (await this.readAll()).reverse();
+    return runs
+      .filter(run => !failedOnly || !run.success || run.counts.errors > 0)
+      .slice(0, limit);
+  }
+
+  /**
+   * 按运行ID（或其唯一前缀）查找运行记录
+   * @param {string} runId - 运行ID或前缀
+   * @returns {Promise<Object|null>} 运行记录
+   */
+  async getRun(runId) {
+    const matches = (await this.readAll()).filter(run => run.runId.startsWith(runId));
+    if (matches.length > 1) {
+      throw new Error(`Run ID prefix "${runId}" matches ${matches.length} runs`);
+    }
+    return matches[0] || null;
+  }
+
+  /**
+   * 获取最近一次写入了卡片的运行记录
+   * @returns {Promise<Object|null>} 运行记录
+   */
+  async getLastRunWithWrites() {
+    const runs = (await this.readAll()).reverse();
+    return runs.find(run => run.counts.written > 0) || null;
+  }
+
+  /**
+   * 获取最近一次运行记录
+   * @returns {Promise<Object|null>} 运行记录
+   */
+  async getLastRun() {
+    const [run] = await this.getRuns({ limit: 1 });
+    return run || null;
+  }
+}
+
+/**
+ * 生成运行ID：开始时间（UTC，可按字典序排序）加随机后缀
+ * @param {Date} startedAt - 开始时间
+ * @returns {string} 运行ID，如 20261019T040250Z-3fa2c1
+ */
+export function createRunId(startedAt = new Date()) {
+  const time = startedAt.toISOString().replace(/[-:]/g, '').replace(/\.\d+Z$/, 'Z');
+  return `${time}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * 由同步结果生成运行记录
+ * @param {Object} result - NotionCommentSync.sync() 的汇总结果
+ * @param {string} startedAt - 开始时间
+ * @returns {Object} 运行记录
+ */
+export function buildRunRecord(result, startedAt) {
+  return {
+    runId: result.runId,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    durationMs: result.duration,
+    success: result.success,
+    ...(result.error ? { error: result.error } : {}),
+    counts: summarizeCounts(result),
+    pipelines: result.pipelines.map(pipeline => ({
+      name: pipeline.pipeline,
+      success: pipeline.success,
+      ...(pipeline.error ? { error: pipeline.error } : {}),
+      durationMs: pipeline.duration,
+      counts: summarizeCounts(pipeline),
+      failures: pipeline.failures || [],
+      referenceWorkflow: summarizeWorkflow(pipeline.referenceWorkflowResult),
+      cardWorkflow: summarizeWorkflow(pipeline.cardWorkflowResult)
+    })),
+    // 按接口的明细只写入指标文件，运行历史只保留总数
+    apiStats: result.apiStats && {
+      requests: result.apiStats.requests,
+      retries: result.apiStats.retries,
+      failures: result.apiStats.failures,
+      retriesByReason: result.apiStats.retriesByReason
+    }
+  };
+}
+
+/**
+ * 提取结果中的计数
+ * @param {Object} result - 同步结果
+ * @returns {Object} 计数
+ */
+function summarizeCounts(result) {
+  return {
+    processed: result.processed || 0,
+    written: result.written || 0,
+    errors: result.errors || 0,
+    appendedReplies: result.appendedReplies || 0,
+    updatedCards: result.updatedCards || 0,
+    deletedSources: result.deletedSources?.length || 0
+  };
+}
+
+/**
+ * 精简工作流结果，只保留排查需要的字段
+ * @param {Object|null} workflow - 工作流结果
+ * @returns {Object|null} 精简后的结果，未运行时为 null
+ */
+function summarizeWorkflow(workflow) {
+  if (!workflow) {
+    return null;
+  }
+
+  return {
+    success: workflow.success,
+    actionTaskCreated: workflow.actionTaskCreated || false,
+    ...(workflow.actionTask?.url ? { actionTaskUrl: workflow.actionTask.url } : {}),
+    emailSent: workflow.emailSent || false,
+    ...(workflow.unfinishedTask ? { unfinishedTask: workflow.unfinishedTask.title } : {}),
+    ...(workflow.error ? { error: workflow.error } : {})
+  };
+}
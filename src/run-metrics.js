@@ -0,0 +1,236 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('run-metrics');
+
+/**
+ * Prometheus 指标名前缀
+ */
+const METRIC_PREFIX = 'notion_sync_';
+
+/**
+ * 流水线计数指标：字段名 → 说明
+ */
+const PIPELINE_COUNTERS = {
+  notesScanned: 'Reference notes scanned in the last run',
+  blocksScanned: 'Blocks scanned for comments in the last run',
+  emailsSent: 'Notifications (email or other channels) sent by workflows in the last run',
+  tasksCreated: 'Action tasks created by workflows in the last run'
+};
+
+/**
+ * 讨论计数：state 标签 → 字段名
+ */
+const DISCUSSION_STATES = {
+  found: 'discussionsFound',
+  new: 'discussionsNew',
+  written: 'cardsWritten',
+  failed: 'cardsFailed'
+};
+
+/**
+ * 步骤计时：同一时间只有一个步骤在计时，开始下一个步骤时自动结束上一个
+ * 同名步骤多次计时的耗时累加
+ */
+export class StepTimer {
+  constructor() {
+    this.durations = {};
+    this.current = null;
+  }
+
+  /**
+   * 开始计时一个步骤
+   * @param {string} step - 步骤名称
+   */
+  start(step) {
+    this.stop();
+    this.current = { step, startedAt: Date.now() };
+  }
+
+  /**
+   * 结束当前步骤
+   */
+  stop() {
+    if (!this.current) {
+      return;
+    }
+    const { step, startedAt } = this.current;
+    this.durations[step] = (this.durations[step] || 0) + Date.now() - startedAt;
+    this.current = null;
+  }
+
+  /**
+   * 获取各步骤耗时（会结束正在计时的步骤）
+   * @returns {Object} 步骤名称 → 毫秒
+   */
+  getDurations() {
+    this.stop();
+    return { ...this.durations };
+  }
+}
+
+/**
+ * 由同步结果生成本次运行的指标
+ * @param {Object} result - NotionCommentSync.sync() 的汇总结果，pipelines 中每项带 metrics
+ * @param {Object} options - 选项
+ * @param {string} options.startedAt - 开始时间
+ * @param {string|null} options.lastCardsWrittenAt - 最近一次写入卡片的运行的结束时间，从未写入时为 null
+ * @returns {Object} 运行指标
+ */
+export function buildRunMetrics(result, { startedAt, lastCardsWrittenAt = null }) {
+  const pipelines = result.pipelines.map(pipeline => ({
+    name: pipeline.pipeline,
+    success: pipeline.success,
+    durationMs: pipeline.duration,
+    ...emptyCounters(),
+    stepDurationsMs: {},
+    ...pipeline.metrics
+  }));
+
+  const totals = emptyCounters();
+  pipelines.forEach(pipeline => {
+    Object.keys(totals).forEach(key => {
+      totals[key] += pipeline[key];
+    });
+  });
+
+  return {
+    runId: result.runId,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    durationMs: result.duration,
+    success: result.success,
+    errors: result.errors || 0,
+    lastCardsWrittenAt,
+    totals,
+    pipelines,
+    api: result.apiStats || null
+  };
+}
+
+/**
+ * 流水线计数的初始值
+ * @returns {Object} 计数
+ */
+export function emptyCounters() {
+  return {
+    notesScanned: 0,
+    blocksScanned: 0,
+    discussionsFound: 0,
+    discussionsNew: 0,
+    cardsWritten: 0,
+    cardsFailed: 0,
+    emailsSent: 0,
+    tasksCreated: 0
+  };
+}
+
+/**
+ * 转义 Prometheus 标签值
+ * @param {string} value - 标签值
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * 生成 Prometheus 文本格式（供 node_exporter 的 textfile collector 读取）
+ * 全部为 gauge，表示最近一次运行的值
+ * @param {Object} metrics - buildRunMetrics 的结果
+ * @returns {string} 指标文本
+ */
+export function toPrometheus(metrics) {
+  const lines = [];
+  const gauge = (name, help, samples) => {
+    if (samples.length === 0) {
+      return;
+    }
+    lines.push(`# HELP ${METRIC_PREFIX}${name} ${help}`, `# TYPE ${METRIC_PREFIX}${name} gauge`);
+    samples.forEach(([labels, value]) => {
+      const labelText = Object.entries(labels).map(([key, labelValue]) => `${key}="${escapeLabel(labelValue)}"`).join(',');
+      lines.push(`${METRIC_PREFIX}${name}${labelText ? `{${labelText}}` : ''} ${value}`);
+    });
+  };
+  const seconds = value => Math.round(value) / 1000;
+  const timestamp = iso => (iso ? Math.floor(Date.parse(iso) / 1000) : 0);
+
+  gauge('last_run_timestamp_seconds', 'Finish time of the last run', [[{}, timestamp(metrics.finishedAt)]]);
+  gauge('last_run_success', 'Whether the last run completed (1) or failed (0)', [[{}, metrics.success ? 1 : 0]]);
+  gauge('last_run_duration_seconds', 'Duration of the last run', [[{}, seconds(metrics.durationMs)]]);
+  gauge('last_run_errors', 'Errors in the last run', [[{}, metrics.errors]]);
+  gauge('last_cards_written_timestamp_seconds', 'Finish time of the last run that wrote at least one card (0 if never)',
+    [[{}, timestamp(metrics.lastCardsWrittenAt)]]);
+
+  Object.entries(PIPELINE_COUNTERS).forEach(([key, help]) => {
+    const name = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+    gauge(name, help, metrics.pipelines.map(pipeline => [{ pipeline: pipeline.name }, pipeline[key]]));
+  });
+  gauge('discussions', 'Discussions found, new, written as cards and failed in the last run',
+    metrics.pipelines.flatMap(pipeline => Object.entries(DISCUSSION_STATES)
+      .map(([state, key]) => [{ pipeline: pipeline.name, state }, pipeline[key]])));
+  gauge('step_duration_seconds', 'Duration of each sync step in the last run',
+    metrics.pipelines.flatMap(pipeline => Object.entries(pipeline.stepDurationsMs)
+      .map(([step, durationMs]) => [{ pipeline: pipeline.name, step }, seconds(durationMs)])));
+
+  const endpoints = Object.entries(metrics.api?.byEndpoint || {});
+  gauge('api_requests', 'Notion API requests (including retries) in the last run',
+    endpoints.map(([endpoint, stats]) => [{ endpoint }, stats.requests]));
+  gauge('api_retries', 'Notion API retries in the last run',
+    endpoints.map(([endpoint, stats]) => [{ endpoint }, stats.retries]));
+  gauge('api_failures', 'Notion API requests that failed after all retries in the last run',
+    endpoints.map(([endpoint, stats]) => [{ endpoint }, stats.failures]));
+  gauge('api_latency_seconds', 'Notion API request latency percentiles in the last run',
+    endpoints.filter(([, stats]) => stats.latencyMs).flatMap(([endpoint, stats]) => [['0.5', 'p50'], ['0.9', 'p90'], ['0.99', 'p99']]
+      .map(([quantile, key]) => [{ endpoint, quantile }, seconds(stats.latencyMs[key])])));
+  gauge('api_retries_by_reason', 'Notion API retries by reason in the last run',
+    Object.entries(metrics.api?.retriesByReason || {}).map(([reason, count]) => [{ reason }, count]));
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 运行指标导出：JSON 文件和 Prometheus 文本文件，每次运行覆盖
+ */
+export class MetricsExporter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.jsonFile - JSON 指标文件，为空时不写
+   * @param {string} options.promFile - Prometheus 文本文件，为空时不写
+   */
+  constructor(options = {}) {
+    this.jsonFile = options.jsonFile ?? process.env.METRICS_JSON_FILE ?? 'metrics/last-run.json';
+    this.promFile = options.promFile ?? process.env.METRICS_PROM_FILE ?? 'metrics/notion_sync.prom';
+  }
+
+  /**
+   * 写入指标文件；失败只记录日志，不影响同步结果
+   * @param {Object} metrics - buildRunMetrics 的结果
+   */
+  async write(metrics) {
+    if (this.jsonFile) {
+      await this.writeFile(this.jsonFile, `${JSON.stringify(metrics, null, 2)}\n`);
+    }
+    if (this.promFile) {
+      await this.writeFile(this.promFile, toPrometheus(metrics));
+    }
+  }
+
+  /**
+   * 写盘：先写临时文件再改名，采集方不会读到写了一半的文件
+   * @param {string} filePath - 文件路径
+   * @param {string} content - 内容
+   */
+  async writeFile(filePath, content) {
+    const tempFile = `${filePath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(tempFile, content);
+      await fs.rename(tempFile, filePath);
+      log('debug', `Metrics written to ${filePath}`);
+    } catch (error) {
+      log('error', `Failed to write metrics to ${filePath}`, error);
+    }
+  }
+}
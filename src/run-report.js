@@ -0,0 +1,375 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+import { escapeHtml, escapeMarkdown } from './markdown.js';
+
+const log = createLogger('run-report');
+
+/**
+ * 讨论的处理结果
+ * - new: 新讨论，尚未写入（预演，或写入前运行已中止）
+ * - duplicate: 已有卡片，跳过
+ * - written: 已创建卡片（包括中断的运行中已创建的卡片）
+ * - failed: 创建卡片失败
+ */
+export const DISCUSSION_DISPOSITIONS = ['new', 'duplicate', 'written', 'failed'];
+
+/**
+ * 报告文件格式
+ */
+export const REPORT_FORMATS = ['md', 'html', 'json'];
+
+/**
+ * 由同步结果生成运行报告数据（即 JSON 报告的内容）
+ * @param {Object} result - NotionCommentSync.sync() 的汇总结果，pipelines 中每项带 report
+ * @param {Object} options - 选项
+ * @param {string} options.startedAt - 开始时间
+ * @returns {Object} 运行报告
+ */
+export function buildRunReport(result, { startedAt }) {
+  return {
+    runId: result.runId,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    durationMs: result.duration,
+    success: result.success,
+    dryRun: !!result.dryRun,
+    ...(result.error ? { error: result.error } : {}),
+    totals: {
+      processed: result.processed || 0,
+      written: result.written || 0,
+      errors: result.errors || 0
+    },
+    pipelines: result.pipelines.map(pipeline => ({
+      name: pipeline.pipeline,
+      success: pipeline.success,
+      ...(pipeline.error ? { error: pipeline.error } : {}),
+      durationMs: pipeline.duration,
+      counts: {
+        processed: pipeline.processed || 0,
+        written: pipeline.written || 0,
+        errors: pipeline.errors || 0
+      },
+      beforeStats: pipeline.beforeStats || null,
+      afterStats: pipeline.afterStats || null,
+      notes: pipeline.report?.notes || [],
+      discussions: pipeline.report?.discussions || [],
+      referenceWorkflow: pipeline.referenceWorkflowResult || null,
+      cardWorkflow: pipeline.cardWorkflowResult || null,
+      digest: pipeline.digestResult || null,
+      repairedCards: pipeline.repairedCards || [],
+      staleCards: pipeline.staleCards || [],
+      deletedSources: pipeline.deletedSources || [],
+      // 创建卡片的失败已在讨论明细中列出，这里只保留其他环节的失败
+      otherFailures: (pipeline.failures || []).filter(failure => failure.stage !== 'create')
+    }))
+  };
+}
+
+/**
+ * 页面链接
+ * @param {string} pageId - 页面ID
+ * @returns {string} URL
+ */
+function pageUrl(pageId) {
+  return `https://notion.so/${pageId.replace(/-/g, '')}`;
+}
+
+/**
+ * 工作流结果的说明
+ * @param {Object|null} workflow - 工作流结果
+ * @returns {Array} 列表项
+ */
+function describeWorkflow(workflow) {
+  if (!workflow) {
+    return ['Not run'];
+  }
+
+  const items = [workflow.success ? 'Status: completed' : `Status: failed${workflow.error ? ` (${workflow.error})` : ''}`];
+  if (workflow.unexecutedNotes !== undefined) {
+    items.push(`Unexecuted notes: ${workflow.unexecutedNotes}`);
+  }
+  if (workflow.pendingCards !== undefined) {
+    items.push(`Pending cards: ${workflow.pendingCards}`);
+  }
+  if (workflow.actionTask?.url) {
+    items.push({ text: `Task created: ${workflow.actionTask.title}`, href: workflow.actionTask.url });
+  }
+  if (workflow.unfinishedTask) {
+    items.push(`Unfinished task: ${workflow.unfinishedTask.title} (${workflow.unfinishedTask.status})`);
+  }
+  if (workflow.planned) {
+    items.push(`Planned: task=${workflow.planned.actionTask || 'none'}, email=${workflow.planned.email || 'none'}`);
+  } else {
+    items.push(`Email sent: ${workflow.emailSent ? 'yes' : 'no'}`);
+  }
+  if (workflow.message) {
+    items.push(workflow.message);
+  }
+  return items;
+}
+
+/**
+ * 把报告数据转换为文档结构（标题、段落、列表、表格），Markdown 和 HTML 由同一结构渲染
+ * 单元格和列表项为字符串或 { text, href }
+ * @param {Object} report - 运行报告
+ * @returns {Array} 文档节点
+ */
+function buildDocument(report) {
+  const nodes = [
+    { type: 'heading', level: 1, text: `Notion Comment Sync Report${report.dryRun ? ' (dry run)' : ''}` },
+    {
+      type: 'list',
+      items: [
+        `Run: ${report.runId}`,
+        `Started: ${report.startedAt}`,
+        `Finished: ${report.finishedAt}`,
+        `Duration: ${report.durationMs}ms`,
+        `Success: ${report.success ? 'yes' : 'no'}${report.error ? ` (${report.error})` : ''}`,
+        `Processed: ${report.totals.processed}, written: ${report.totals.written}, errors: ${report.totals.errors}`
+      ]
+    }
+  ];
+
+  report.pipelines.forEach(pipeline => {
+    nodes.push({ type: 'heading', level: 2, text: `Pipeline ${pipeline.name}: ${pipeline.success ? 'OK' : 'FAILED'}` });
+    if (!pipeline.success) {
+      nodes.push({ type: 'paragraph', text: `Error: ${pipeline.error}` });
+    }
+    nodes.push({
+      type: 'paragraph',
+      text: `Processed: ${pipeline.counts.processed}, written: ${pipeline.counts.written}, errors: ${pipeline.counts.errors}, duration: ${pipeline.durationMs}ms`
+    });
+
+    if (pipeline.beforeStats && pipeline.afterStats) {
+      nodes.push(
+        { type: 'heading', level: 3, text: 'Database stats' },
+        {
+          type: 'table',
+          headers: ['', 'Before', 'After'],
+          rows: [
+            ['Pages', pipeline.beforeStats.totalPages, pipeline.afterStats.totalPages],
+            ['Unique discussions', pipeline.beforeStats.uniqueDiscussionIds, pipeline.afterStats.uniqueDiscussionIds]
+          ]
+        }
+      );
+    }
+
+    nodes.push({ type: 'heading', level: 3, text: `Notes scanned (${pipeline.notes.length})` });
+    if (pipeline.notes.length > 0) {
+      nodes.push({
+        type: 'table',
+        headers: ['Note', 'Blocks', 'Discussions', 'Scan', 'Marked executed'],
+        rows: pipeline.notes.map(note => [
+          { text: note.title, href: note.url },
+          note.blockCount,
+          note.discussionCount,
+          !note.scanned ? 'failed' : note.complete ? 'complete' : 'incomplete',
+          note.statusUpdated ? 'yes' : 'no'
+        ])
+      });
+    }
+
+    const noteTitles = new Map(pipeline.notes.map(note => [note.id, note.title]));
+    nodes.push({ type: 'heading', level: 3, text: `Discussions found (${pipeline.discussions.length})` });
+    if (pipeline.discussions.length > 0) {
+      nodes.push({
+        type: 'table',
+        headers: ['Discussion', 'Note', 'Disposition', 'Details'],
+        rows: pipeline.discussions.map(discussion => [
+          discussion.pageId ? { text: discussion.title, href: pageUrl(discussion.pageId) } : discussion.title,
+          noteTitles.get(discussion.sourceNoteId) || discussion.sourceNoteId || '',
+          discussion.disposition,
+          [
+            discussion.reason,
+            discussion.resumed && 'created before the interruption',
+            discussion.needsRepair && 'solution section missing, will be repaired'
+          ].filter(Boolean).join('; ')
+        ])
+      });
+    }
+
+    nodes.push(
+      { type: 'heading', level: 3, text: 'Reference workflow' },
+      { type: 'list', items: describeWorkflow(pipeline.referenceWorkflow) },
+      { type: 'heading', level: 3, text: 'Card workflow' },
+      { type: 'list', items: describeWorkflow(pipeline.cardWorkflow) }
+    );
+    if (pipeline.digest) {
+      nodes.push(
+        { type: 'heading', level: 3, text: 'Daily digest' },
+        { type: 'list', items: describeWorkflow(pipeline.digest) }
+      );
+    }
+
+    if (pipeline.repairedCards.length > 0) {
+      nodes.push(
+        { type: 'heading', level: 3, text: 'Half-built cards' },
+        { type: 'list', items: pipeline.repairedCards.map(entry => ({ text: `${entry.title} → ${entry.error ? `failed: ${entry.error}` : entry.outcome}`, href: pageUrl(entry.pageId) })) }
+      );
+    }
+
+    if (pipeline.staleCards.length > 0) {
+      nodes.push(
+        { type: 'heading', level: 3, text: 'Edited cards not re-rendered (no end marker)' },
+        { type: 'list', items: pipeline.staleCards.map(entry => ({ text: entry.title, href: pageUrl(entry.pageId) })) }
+      );
+    }
+
+    if (pipeline.deletedSources.length > 0) {
+      nodes.push(
+        { type: 'heading', level: 3, text: 'Deleted sources' },
+        { type: 'list', items: pipeline.deletedSources.map(entry => ({ text: `${entry.title} (${entry.reason}) → ${entry.error ? `failed: ${entry.error}` : entry.action}`, href: pageUrl(entry.pageId) })) }
+      );
+    }
+
+    if (pipeline.otherFailures.length > 0) {
+      nodes.push(
+        { type: 'heading', level: 3, text: 'Other failures' },
+        { type: 'list', items: pipeline.otherFailures.map(failure => `${failure.stage}: ${failure.title || failure.discussionId} - ${failure.error}`) }
+      );
+    }
+  });
+
+  return nodes;
+}
+
+/**
+ * 渲染 Markdown 内联内容
+ * @param {string|Object} item - 字符串或 { text, href }
+ * @returns {string}
+ */
+function markdownInline(item) {
+  if (item && typeof item === 'object') {
+    return `[${escapeMarkdown(item.text)}](${item.href})`;
+  }
+  return escapeMarkdown(item);
+}
+
+/**
+ * 生成 Markdown 报告
+ * @param {Object} report - 运行报告
+ * @returns {string} Markdown
+ */
+export function renderMarkdown(report) {
+  const blocks = buildDocument(report).map(node => {
+    switch (node.type) {
+      case 'heading':
+        return `${'#'.repeat(node.level)} ${escapeMarkdown(node.text)}`;
+      case 'list':
+        return node.items.map(item => `- ${markdownInline(item)}`).join('\n');
+      case 'table':
+        return [
+          `| ${node.headers.map(escapeMarkdown).join(' | ')} |`,
+          `| ${node.headers.map(() => '---').join(' | ')} |`,
+          ...node.rows.map(row => `| ${row.map(markdownInline).join(' | ')} |`)
+        ].join('\n');
+      default:
+        return markdownInline(node.text);
+    }
+  });
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * 渲染 HTML 内联内容
+ * @param {string|Object} item - 字符串或 { text, href }
+ * @returns {string}
+ */
+function htmlInline(item) {
+  if (item && typeof item === 'object') {
+    return `<a href="${escapeHtml(item.href)}">${escapeHtml(item.text)}</a>`;
+  }
+  return escapeHtml(item);
+}
+
+/**
+ * 生成 HTML 报告（单文件，内联样式，便于作为 GitHub Actions 产物直接打开）
+ * @param {Object} report - 运行报告
+ * @returns {string} HTML
+ */
+export function renderHtml(report) {
+  const body = buildDocument(report).map(node => {
+    switch (node.type) {
+      case 'heading':
+        return `<h${node.level}>${escapeHtml(node.text)}</h${node.level}>`;
+      case 'list':
+        return `<ul>\n${node.items.map(item => `  <li>${htmlInline(item)}</li>`).join('\n')}\n</ul>`;
+      case 'table':
+        return [
+          '<table>',
+          `  <thead><tr>${node.headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>`,
+          '  <tbody>',
+          ...node.rows.map(row => `    <tr>${row.map(cell => `<td>${htmlInline(cell)}</td>`).join('')}</tr>`),
+          '  </tbody>',
+          '</table>'
+        ].join('\n');
+      default:
+        return `<p>${htmlInline(node.text)}</p>`;
+    }
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Notion Comment Sync Report ${escapeHtml(report.runId)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 1100px; margin: 2em auto; padding: 0 1em; color: #24292f; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5em 0 1em; }
+  th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+  th { background: #f6f8fa; }
+  h2 { border-bottom: 1px solid #d0d7de; padding-bottom: 0.3em; margin-top: 2em; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * 运行报告输出：每次运行在 REPORT_DIR 下写出 <runId>.md / .html / .json
+ */
+export class RunReportWriter {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.dir - 报告目录，为空时不写报告
+   */
+  constructor(options = {}) {
+    this.dir = options.dir ?? process.env.REPORT_DIR ?? 'reports';
+  }
+
+  /**
+   * 写出三种格式的报告；失败只记录日志，不影响同步结果
+   * @param {Object} report - buildRunReport 的结果
+   * @returns {Promise<Array>} 写出的文件路径
+   */
+  async write(report) {
+    if (!this.dir) {
+      return [];
+    }
+
+    const renderers = {
+      md: renderMarkdown,
+      html: renderHtml,
+      json: data => `${JSON.stringify(data, null, 2)}\n`
+    };
+    const written = [];
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      for (const format of REPORT_FORMATS) {
+        const filePath = path.join(this.dir, `${report.runId}.${format}`);
+        await fs.writeFile(filePath, renderers[format](report));
+        written.push(filePath);
+      }
+      log('info', `📄 Run report written to ${path.join(this.dir, `${report.runId}.{${REPORT_FORMATS.join(',')}}`)}`);
+    } catch (error) {
+      log('error', `Failed to write run report to ${this.dir}`, error);
+    }
+    return written;
+  }
+}
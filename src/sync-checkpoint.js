@@ -0,0 +1,175 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('sync-checkpoint');
+
+/**
+ * 运行阶段，按执行顺序排列
+ * - writing: 创建卡片
+ * - statusUpdates: 更新 Reference 笔记的自动化状态
+ * - workflows: 执行 Reference 和卡片处理工作流
+ */
+export const CHECKPOINT_STAGES = ['writing', 'statusUpdates', 'workflows'];
+
+/**
+ * 同步检查点：记录运行中已创建的卡片、已更新状态的笔记和所处阶段
+ * 每次进展都立即写盘，进程中断后下次运行从检查点继续；运行正常结束时删除
+ */
+export class SyncCheckpoint {
+  /**
+   * @param {string} filePath - 检查点文件路径
+   * @param {Object} options - 选项
+   * @param {boolean} options.readOnly - 只读（预演模式），读取检查点但不写盘
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.readOnly = options.readOnly || false;
+    this.data = null;
+    this.resumed = null;
+  }
+
+  /**
+   * 由同步状态文件路径得到检查点文件路径（同目录，.checkpoint.json 后缀）
+   * @param {string} stateFile - 同步状态文件路径
+   * @returns {string} 检查点文件路径
+   */
+  static pathFor(stateFile) {
+    return path.join(path.dirname(stateFile), `${path.basename(stateFile, '.json')}.checkpoint.json`);
+  }
+
+  /**
+   * 加载上次中断运行留下的检查点，并为本次运行开始新的检查点
+   * @param {string} runId - 本次运行ID
+   * @returns {Promise<Object|null>} 上次中断运行的检查点，没有时返回null
+   */
+  async start(runId) {
+    this.resumed = null;
+
+    try {
+      this.resumed = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      log('info', `⏯️ Resuming interrupted run ${this.resumed.runId} (stage: ${this.resumed.stage}, ${Object.keys(this.resumed.written).length} cards already written)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log('warn', `Failed to read checkpoint ${this.filePath}, starting without it:`, error.message);
+      }
+    }
+
+    // 继续中断的运行时保留它的记录，本次的进展在此基础上追加
+    this.data = this.resumed
+      ? { ...this.resumed, written: { ...this.resumed.written }, notes: { ...this.resumed.notes }, resumedBy: runId }
+      : {
+        runId,
+        startedAt: new Date().toISOString(),
+        stage: CHECKPOINT_STAGES[0],
+        written: {},
+        notes: {}
+      };
+    return this.resumed;
+  }
+
+  /**
+   * 上次中断的运行是否还有需要补完的工作（已创建的卡片需要更新笔记状态，或工作流尚未执行）
+   * @returns {boolean}
+   */
+  hasUnfinishedWork() {
+    return !!this.resumed &&
+      (Object.keys(this.resumed.written).length > 0 || this.resumed.stage !== CHECKPOINT_STAGES[0]);
+  }
+
+  /**
+   * 讨论是否已在检查点中创建过卡片
+   * @param {string} discussionId - 讨论ID
+   * @returns {boolean}
+   */
+  isWritten(discussionId) {
+    return !!this.data?.written[discussionId];
+  }
+
+  /**
+   * 记录已创建的卡片
+   * @param {string} discussionId - 讨论ID
+   * @param {Object} entry - { pageId, title, sourceNoteId, commentIds, contentHash, blockId }
+   */
+  async recordWritten(discussionId, entry) {
+    this.data.written[discussionId] = entry;
+    await this.save();
+  }
+
+  /**
+   * 上次中断运行已创建的卡片，格式与 DatabaseWriter 的写入结果一致
+   * @returns {Array} 写入结果
+   */
+  getResumedResults() {
+    return Object.entries(this.resumed?.written || {}).map(([discussionId, entry]) => ({
+      success: true,
+      resumed: true,
+      pageId: entry.pageId,
+      title: entry.title,
+      discussionId,
+      sourceNoteId: entry.sourceNoteId
+    }));
+  }
+
+  /**
+   * 记录笔记的自动化状态已更新
+   * @param {string} noteId - 笔记ID
+   */
+  async markNoteUpdated(noteId) {
+    this.data.notes[noteId] = { statusUpdatedAt: new Date().toISOString() };
+    await this.save();
+  }
+
+  /**
+   * 笔记的自动化状态是否已在检查点中更新过
+   * @param {string} noteId - 笔记ID
+   * @returns {boolean}
+   */
+  isNoteUpdated(noteId) {
+    return !!this.data?.notes[noteId];
+  }
+
+  /**
+   * 进入下一阶段
+   * @param {string} stage - 阶段名称
+   */
+  async setStage(stage) {
+    this.data.stage = stage;
+    await this.save();
+  }
+
+  /**
+   * 运行正常结束，删除检查点
+   */
+  async clear() {
+    this.data = null;
+    if (this.readOnly) {
+      return;
+    }
+
+    try {
+      await fs.rm(this.filePath, { force: true });
+    } catch (error) {
+      log('warn', `Failed to remove checkpoint ${this.filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * 写盘：先写临时文件再改名，避免中断时留下半个文件
+   * 写盘失败只记录日志，不影响本次运行（只是中断后无法从这里继续）
+   */
+  async save() {
+    if (this.readOnly) {
+      return;
+    }
+
+    const tempFile = `${this.filePath}.tmp`;
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempFile, JSON.stringify(this.data, null, 2));
+      await fs.rename(tempFile, this.filePath);
+    } catch (error) {
+      log('error', `Failed to save checkpoint to ${this.filePath}`, error);
+    }
+  }
+}
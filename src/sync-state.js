@@ -0,0 +1,328 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('sync-state');
+
+/**
+ * 默认的同步状态文件路径
+ */
+const DEFAULT_STATE_FILE = '.sync-state/state.json';
+
+/**
+ * 本地同步状态（保存在 JSON 文件中，跨运行保留）
+ */
+export class SyncState {
+  constructor(filePath = process.env.SYNC_STATE_FILE || DEFAULT_STATE_FILE) {
+    this.filePath = filePath;
+    this.data = {
+      lastSuccessfulRun: null,
+      discussions: {},
+      discussionIndex: {
+        refreshedAt: null,
+        entries: {}
+      },
+      taskReminders: {}
+    };
+  }
+
+  /**
+   * 从磁盘加载状态，文件不存在时使用空状态
+   */
+  async load() {
+    try {
+      const raw = await fs.readFile(this.filePath, 'utf8');
+      this.data = { ...this.data, ...JSON.parse(raw) };
+      log('debug', `Sync state loaded from ${this.filePath}`);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        log('info', `No sync state found at ${this.filePath}, starting fresh`);
+      } else {
+        log('warn', `Failed to load sync state from ${this.filePath}, starting fresh:`, error.message);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * 将状态写回磁盘
+   */
+  async save() {
+    try {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(this.filePath, JSON.stringify(this.data, null, 2));
+      log('debug', `Sync state saved to ${this.filePath}`);
+    } catch (error) {
+      log('error', `Failed to save sync state to ${this.filePath}`, error);
+    }
+  }
+
+  /**
+   * 获取上次成功同步的开始时间
+   * @returns {string|null} ISO时间字符串
+   */
+  getLastSuccessfulRun() {
+    return this.data.lastSuccessfulRun;
+  }
+
+  /**
+   * 记录本次成功同步的开始时间
+   * @param {string} time - ISO时间字符串
+   */
+  setLastSuccessfulRun(time) {
+    this.data.lastSuccessfulRun = time;
+  }
+
+  /**
+   * 获取讨论的已同步评论ID
+   * @param {string} discussionId - 讨论ID
+   * @returns {Array|null} 评论ID列表，未记录时返回null
+   */
+  getSyncedCommentIds(discussionId) {
+    return this.data.discussions[discussionId]?.syncedCommentIds || null;
+  }
+
+  /**
+   * 获取讨论上次同步时的内容哈希
+   * @param {string} discussionId - 讨论ID
+   * @returns {string|null} 内容哈希，未记录时返回null
+   */
+  getContentHash(discussionId) {
+    return this.data.discussions[discussionId]?.contentHash || null;
+  }
+
+  /**
+   * 获取讨论所在的源块ID
+   * @param {string} discussionId - 讨论ID
+   * @returns {string|null} 块ID，未记录时返回null
+   */
+  getSourceBlockId(discussionId) {
+    return this.data.discussions[discussionId]?.blockId || null;
+  }
+
+  /**
+   * 获取讨论的完整状态（生命周期、卡片和同步记录）
+   * @param {string} discussionId - 讨论ID
+   * @returns {Object|null} 状态，未记录时返回null
+   */
+  getDiscussion(discussionId) {
+    return this.data.discussions[discussionId] || null;
+  }
+
+  /**
+   * 记录讨论首次被扫描到的时间和运行
+   * @param {string} discussionId - 讨论ID
+   * @param {string} runId - 运行ID
+   */
+  markSeen(discussionId, runId) {
+    const existing = this.data.discussions[discussionId];
+    if (existing?.firstSeenAt) {
+      return;
+    }
+
+    this.data.discussions[discussionId] = {
+      ...existing,
+      firstSeenAt: new Date().toISOString(),
+      firstSeenRunId: runId
+    };
+  }
+
+  /**
+   * 记录讨论已同步到卡片的评论，并清除上次的错误
+   * @param {string} discussionId - 讨论ID
+   * @param {string} pageId - 卡片页面ID
+   * @param {Array} commentIds - 评论ID列表
+   * @param {Object} details - 可选的 { contentHash, blockId, runId, created }，created 表示本次运行创建了卡片
+   */
+  markCommentsSynced(discussionId, pageId, commentIds, details = {}) {
+    const { lastError, ...existing } = this.data.discussions[discussionId] || {};
+    const syncedCommentIds = new Set([...(existing.syncedCommentIds || []), ...commentIds]);
+
+    this.data.discussions[discussionId] = {
+      ...existing,
+      pageId,
+      syncedCommentIds: [...syncedCommentIds],
+      ...(details.contentHash ? { contentHash: details.contentHash } : {}),
+      ...(details.blockId ? { blockId: details.blockId } : {}),
+      ...(details.created ? { createdAt: new Date().toISOString(), createdByRunId: details.runId } : {}),
+      lastSyncedAt: new Date().toISOString(),
+      ...(details.runId ? { lastSyncedRunId: details.runId } : {})
+    };
+  }
+
+  /**
+   * 记录讨论在本次运行中同步失败
+   * @param {string} discussionId - 讨论ID
+   * @param {string} runId - 运行ID
+   * @param {string} stage - 失败的环节: create | update | deleted_source | repair
+   * @param {string} message - 错误信息
+   */
+  markFailed(discussionId, runId, stage, message) {
+    this.data.discussions[discussionId] = {
+      ...this.data.discussions[discussionId],
+      lastError: {
+        at: new Date().toISOString(),
+        runId,
+        stage,
+        message
+      }
+    };
+  }
+
+  /**
+   * 记录卡片只建了一半（页面已创建但Solution区域未添加），等待下次运行修复
+   * @param {string} discussionId - 讨论ID
+   * @param {string} pageId - 卡片页面ID
+   * @param {Object} details - { runId, title, message }
+   */
+  markNeedsRepair(discussionId, pageId, details) {
+    this.data.discussions[discussionId] = {
+      ...this.data.discussions[discussionId],
+      pageId,
+      needsRepair: {
+        since: new Date().toISOString(),
+        runId: details.runId,
+        title: details.title,
+        message: details.message
+      }
+    };
+  }
+
+  /**
+   * 卡片已修复（或已不存在），清除待修复标记和修复失败的错误
+   * @param {string} discussionId - 讨论ID
+   */
+  clearNeedsRepair(discussionId) {
+    const { needsRepair, lastError, ...existing } = this.data.discussions[discussionId] || {};
+    this.data.discussions[discussionId] = {
+      ...existing,
+      ...(lastError && lastError.stage !== 'repair' ? { lastError } : {})
+    };
+  }
+
+  /**
+   * 获取所有待修复的卡片
+   * @returns {Array} [{ discussionId, pageId, since, runId, title, message }]
+   */
+  getCardsNeedingRepair() {
+    return Object.entries(this.data.discussions)
+      .filter(([, discussion]) => discussion.needsRepair)
+      .map(([discussionId, discussion]) => ({ discussionId, pageId: discussion.pageId, ...discussion.needsRepair }));
+  }
+
+  /**
+   * 获取讨论被发现源已删除的时间
+   * @param {string} discussionId - 讨论ID
+   * @returns {string|null} ISO时间字符串，未记录时返回null
+   */
+  getSourceDeletedAt(discussionId) {
+    return this.data.discussions[discussionId]?.sourceDeletedAt || null;
+  }
+
+  /**
+   * 记录讨论的源讨论或源块已删除
+   * @param {string} discussionId - 讨论ID
+   * @param {string} pageId - 卡片页面ID
+   * @param {string} reason - discussion_deleted 或 block_removed
+   */
+  markSourceDeleted(discussionId, pageId, reason) {
+    this.data.discussions[discussionId] = {
+      ...this.data.discussions[discussionId],
+      pageId,
+      sourceDeletedAt: new Date().toISOString(),
+      sourceDeletedReason: reason
+    };
+  }
+
+  /**
+   * 获取缓存的 DiscussionID 索引
+   * @returns {Object} { refreshedAt, entries: { discussionId: { pageId, createdTime, verifiedAt } } }
+   */
+  getDiscussionIndex() {
+    return this.data.discussionIndex;
+  }
+
+  /**
+   * 更新缓存的 DiscussionID 索引
+   * @param {Object} index - 索引数据
+   */
+  setDiscussionIndex(index) {
+    this.data.discussionIndex = index;
+  }
+
+  /**
+   * 获取未完成任务的提醒记录
+   * @param {string} taskId - 任务页面ID
+   * @returns {Object|null} { lastRemindedAt, reminderCount, escalatedAt, priorityRaisedAt }，未记录时返回null
+   */
+  getTaskReminder(taskId) {
+    return this.data.taskReminders[taskId] || null;
+  }
+
+  /**
+   * 记录已对未完成任务发出一次警告
+   * @param {string} taskId - 任务页面ID
+   * @param {Object} details - 可选的 { title, kind, escalated }，kind 为任务类型（reference | card），escalated 表示本次为升级提醒
+   */
+  recordTaskReminder(taskId, details = {}) {
+    const existing = this.data.taskReminders[taskId] || {};
+    const now = new Date().toISOString();
+    this.data.taskReminders[taskId] = {
+      ...existing,
+      ...(details.title ? { title: details.title } : {}),
+      ...(details.kind ? { kind: details.kind } : {}),
+      lastRemindedAt: now,
+      reminderCount: (existing.reminderCount || 0) + 1,
+      ...(details.escalated && !existing.escalatedAt ? { escalatedAt: now } : {})
+    };
+  }
+
+  /**
+   * 记录已因提醒升级提高了任务的优先级（之后不再修改，手动调回的优先级会被保留）
+   * @param {string} taskId - 任务页面ID
+   * @param {string} priority - 新的优先级
+   * @param {string} kind - 任务类型（reference | card）
+   */
+  markTaskPriorityRaised(taskId, priority, kind = null) {
+    this.data.taskReminders[taskId] = {
+      ...this.data.taskReminders[taskId],
+      ...(kind ? { kind } : {}),
+      priorityRaisedAt: new Date().toISOString(),
+      raisedPriority: priority
+    };
+  }
+
+  /**
+   * 删除某类任务中已不再未完成的任务的提醒记录（已完成或已删除的任务不会再被提醒）
+   * 没有记录任务类型的旧记录除当前未完成的任务外也一并删除，当前任务的旧记录补上类型
+   * @param {string} kind - 任务类型（reference | card）
+   * @param {string|null} activeTaskId - 该类当前未完成的任务ID，没有时为null
+   * @returns {number} 删除的记录数
+   */
+  pruneTaskReminders(kind, activeTaskId) {
+    const active = activeTaskId ? this.data.taskReminders[activeTaskId] : null;
+    if (active && !active.kind) {
+      active.kind = kind;
+    }
+
+    const staleTaskIds = Object.entries(this.data.taskReminders)
+      .filter(([taskId, record]) => taskId !== activeTaskId && (!record.kind || record.kind === kind))
+      .map(([taskId]) => taskId);
+    staleTaskIds.forEach(taskId => delete this.data.taskReminders[taskId]);
+    return staleTaskIds.length;
+  }
+}
+
+/**
+ * 流水线的同步状态文件：优先使用配置的 stateFile；隐式的 default 流水线沿用 SYNC_STATE_FILE，
+ * 其他流水线默认与 SYNC_STATE_FILE 同目录，按流水线名称命名
+ * @param {Object} pipeline - 流水线配置
+ * @returns {string} 状态文件路径
+ */
+export function pipelineStateFile(pipeline) {
+  const defaultFile = process.env.SYNC_STATE_FILE || DEFAULT_STATE_FILE;
+  if (pipeline.stateFile) {
+    return pipeline.stateFile;
+  }
+  return pipeline.implicit ? defaultFile : path.join(path.dirname(defaultFile), `${pipeline.name}.json`);
+}
@@ -3,46 +3,6 @@ import dotenv from 'dotenv';
 // 加载环境变量
 dotenv.config();
 
-/**
- * 日志级别枚举
- */
-const LOG_LEVELS = {
-  error: 0,
-  warn: 1,
-  info: 2,
-  debug: 3
-};
-
-/**
- * 获取当前日志级别
- */
-function getLogLevel() {
-  const level = process.env.LOG_LEVEL || 'info';
-  return LOG_LEVELS[level] || LOG_LEVELS.info;
-}
-
-/**
- * 日志记录函数
- * @param {string} level - 日志级别
- * @param {string} message - 日志消息
- * @param {*} data - 附加数据
- */
-export function log(level, message, data = null) {
-  const currentLevel = getLogLevel();
-  const messageLevel = LOG_LEVELS[level] || 0;
-  
-  if (messageLevel <= currentLevel) {
-    const timestamp = new Date().toISOString();
-    const logMessage = `[${timestamp}] [${level.toUpperCase()}] ${message}`;
-    
-    if (data) {
-      console.log(logMessage, data);
-    } else {
-      console.log(logMessage);
-    }
-  }
-}
-
 /**
  * 延迟函数
  * @param {number} ms - 延迟毫秒数
@@ -90,3 +50,30 @@ export function startsWithPrefix(text, prefix) {
 export function removePrefix(text, prefix) {
   return text.trim().replace(new RegExp(`^${prefix}\\s*`), '').trim();
 }
+
+/**
+ * 以有限并发执行异步映射，结果顺序与输入一致
+ * @param {Array} items - 输入数组
+ * @param {number} concurrency - 最大并发数（正整数）
+ * @param {Function} mapper - 异步映射函数 (item, index) => Promise
+ * @returns {Promise<Array>} 映射结果
+ */
+export async function mapWithConcurrency(items, concurrency, mapper) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency ${concurrency}, expected a positive integer`);
+  }
+
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(concurrency, items.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
@@ -0,0 +1,279 @@
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('webhook-notifiers');
+
+/**
+ * 截断文本到指定字节数（按 UTF-8 计算，不截断多字节字符），超出时以省略号结尾
+ * @param {string} text - 文本
+ * @param {number} maxBytes - 最大字节数
+ * @returns {string}
+ */
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) {
+    return text;
+  }
+  const suffix = '\n…';
+  const cut = Buffer.from(text).subarray(0, maxBytes - Buffer.byteLength(suffix)).toString();
+  return `${cut.replace(/\uFFFD+$/, '')}${suffix}`;
+}
+
+/**
+ * Slack mrkdwn 的控制字符转义（&、<、> 必须转义，否则会被当成链接或提及）
+ * @param {string} text - 文本
+ * @returns {string}
+ */
+function escapeSlack(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Slack 需要转换的行内标记：转义字符、代码、链接（地址中可以有成对的括号）、加粗
+ */
+const SLACK_INLINE_PATTERN = /\\([!-/:-@[-`{-~])|`([^`]+)`|\[((?:\\.|[^\]\\])+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|\*\*(.+?)(?<!\\)\*\*/g;
+
+/**
+ * 将一行 Markdown 行内内容转换为 Slack mrkdwn
+ * @param {string} text - Markdown 行内文本
+ * @returns {string}
+ */
+function convertSlackInline(text) {
+  let output = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(SLACK_INLINE_PATTERN)) {
+    output += escapeSlack(text.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, escaped, code, linkText, linkUrl, bold] = match;
+    if (escaped !== undefined) {
+      output += escapeSlack(escaped);
+    } else if (code !== undefined) {
+      output += `\`${escapeSlack(code)}\``;
+    } else if (linkText !== undefined) {
+      const label = convertSlackInline(linkText);
+      const url = linkUrl.replace(/\\([!-/:-@[-`{-~])/g, '$1').replace(/\|/g, '%7C');
+      output += /^(https?:|mailto:)/i.test(url) ? `<${escapeSlack(url)}|${label}>` : label;
+    } else {
+      output += `*${convertSlackInline(bold)}*`;
+    }
+  }
+  return output + escapeSlack(text.slice(lastIndex));
+}
+
+/**
+ * 将Markdown转换为 Slack mrkdwn（标题和加粗 → *粗体*，链接 → <地址|文字>，反斜杠转义还原为原字符），
+ * 文本中的 &、<、> 按 Slack 要求转义
+ * @param {string} markdown - Markdown文本
+ * @returns {string}
+ */
+function convertToSlackMrkdwn(markdown) {
+  return markdown.split('\n').map(line => {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) {
+      return `*${convertSlackInline(heading[1])}*`;
+    }
+    const quote = line.match(/^(\s*>\s?)(.*)$/);
+    if (quote) {
+      return `>${convertSlackInline(quote[2])}`;
+    }
+    return convertSlackInline(line);
+  }).join('\n');
+}
+
+/**
+ * HTTP 通知渠道的默认请求超时（毫秒）
+ */
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * HTTP 通知渠道基类：子类通过 buildRequest 生成请求，checkResponse 判断是否发送成功
+ */
+class HttpNotifier {
+  /**
+   * @param {string} name - 渠道名称
+   * @param {boolean} isConfigured - 是否已配置必需的地址或凭据
+   * @param {Object} settings - notifications 配置分区（timeoutMs 为请求超时）
+   */
+  constructor(name, isConfigured, settings = {}) {
+    this.name = name;
+    this.isConfigured = isConfigured;
+    this.timeoutMs = settings.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    if (!Number.isInteger(this.timeoutMs) || this.timeoutMs <= 0) {
+      throw new Error(`Invalid notification timeout ${JSON.stringify(this.timeoutMs)} for ${name}, expected a positive integer (milliseconds)`);
+    }
+  }
+
+  /**
+   * 发送通知
+   * @param {Object} message - 通知消息 { type, subject, body, html, text, data }
+   * @returns {Promise<boolean>} 发送结果
+   */
+  async send(message) {
+    if (!this.isConfigured) {
+      log('warn', `${this.name} notifier not configured, skipping notification`);
+      return false;
+    }
+
+    try {
+      const { url, payload } = this.buildRequest(message);
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      const text = await response.text();
+      this.checkResponse(response.status, text);
+
+      log('info', `Notification sent via ${this.name}`, { type: message.type, subject: message.subject });
+      return true;
+    } catch (error) {
+      log('error', `Failed to send ${message.type} notification via ${this.name}`, error);
+      return false;
+    }
+  }
+
+  /**
+   * 检查响应，默认 2xx 即成功
+   * @param {number} status - HTTP 状态码
+   * @param {string} text - 响应正文
+   */
+  checkResponse(status, text) {
+    if (status < 200 || status >= 300) {
+      throw new Error(`HTTP ${status}: ${text.slice(0, 200)}`);
+    }
+  }
+}
+
+/**
+ * 群机器人基类（钉钉、企业微信）：HTTP 200 时还需检查返回的 errcode
+ */
+class RobotNotifier extends HttpNotifier {
+  checkResponse(status, text) {
+    super.checkResponse(status, text);
+    const body = JSON.parse(text);
+    if (body.errcode !== 0) {
+      throw new Error(`errcode ${body.errcode}: ${body.errmsg}`);
+    }
+  }
+}
+
+/**
+ * 通用 JSON Webhook：POST { type, subject, text, html, data, sentAt }
+ */
+export class WebhookNotifier extends HttpNotifier {
+  constructor(settings = {}) {
+    super('webhook', !!settings.webhookUrl, settings);
+    this.url = settings.webhookUrl;
+  }
+
+  buildRequest(message) {
+    return {
+      url: this.url,
+      payload: {
+        type: message.type,
+        subject: message.subject,
+        text: message.body,
+        html: message.html,
+        data: message.data || null,
+        sentAt: new Date().toISOString()
+      }
+    };
+  }
+}
+
+/**
+ * Slack Incoming Webhook
+ */
+export class SlackNotifier extends HttpNotifier {
+  constructor(settings = {}) {
+    super('slack', !!settings.slackWebhookUrl, settings);
+    this.url = settings.slackWebhookUrl;
+  }
+
+  buildRequest(message) {
+    return {
+      url: this.url,
+      payload: { text: truncateBytes(`*${escapeSlack(message.subject)}*\n\n${convertToSlackMrkdwn(message.body)}`, 39000) }
+    };
+  }
+}
+
+/**
+ * Telegram 机器人（Bot API sendMessage，纯文本）
+ */
+export class TelegramNotifier extends HttpNotifier {
+  constructor(settings = {}) {
+    super('telegram', !!(settings.telegramBotToken && settings.telegramChatId), settings);
+    this.botToken = settings.telegramBotToken;
+    this.chatId = settings.telegramChatId;
+    this.apiUrl = (settings.telegramApiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+  }
+
+  buildRequest(message) {
+    return {
+      url: `${this.apiUrl}/bot${this.botToken}/sendMessage`,
+      payload: {
+        chat_id: this.chatId,
+        text: truncateBytes(`${message.subject}\n\n${message.text}`, 4096),
+        disable_web_page_preview: true
+      }
+    };
+  }
+
+  checkResponse(status, text) {
+    super.checkResponse(status, text);
+    const body = JSON.parse(text);
+    if (!body.ok) {
+      throw new Error(`Telegram API error: ${body.description || text.slice(0, 200)}`);
+    }
+  }
+}
+
+/**
+ * 钉钉自定义机器人（markdown 消息；配置了加签密钥时附带 timestamp 和 sign）
+ */
+export class DingTalkNotifier extends RobotNotifier {
+  constructor(settings = {}) {
+    super('dingtalk', !!settings.dingtalkWebhookUrl, settings);
+    this.url = settings.dingtalkWebhookUrl;
+    this.secret = settings.dingtalkSecret;
+  }
+
+  buildRequest(message) {
+    let url = this.url;
+    if (this.secret) {
+      const timestamp = Date.now();
+      const sign = crypto.createHmac('sha256', this.secret).update(`${timestamp}\n${this.secret}`).digest('base64');
+      url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+    }
+
+    return {
+      url,
+      payload: {
+        msgtype: 'markdown',
+        markdown: { title: message.subject, text: truncateBytes(message.body, 20000) }
+      }
+    };
+  }
+}
+
+/**
+ * 企业微信群机器人（markdown 消息，内容上限 4096 字节）
+ */
+export class WeComNotifier extends RobotNotifier {
+  constructor(settings = {}) {
+    super('wecom', !!settings.wecomWebhookUrl, settings);
+    this.url = settings.wecomWebhookUrl;
+  }
+
+  buildRequest(message) {
+    return {
+      url: this.url,
+      payload: {
+        msgtype: 'markdown',
+        markdown: { content: truncateBytes(message.body, 4096) }
+      }
+    };
+  }
+}
@@ -1,31 +1,56 @@
-import { log } from './utils.js';
+import { createLogger } from './logger.js';
 import { CardStatusChecker } from './card-status-checker.js';
 import { ActionTaskCreator } from './action-task-creator.js';
-import { EmailNotifier } from './email-notifier.js';
+import { Notifier } from './notifier.js';
+import { ReminderPolicy } from './reminder-policy.js';
+
+const log = createLogger('workflow-manager');
 
 /**
  * 工作流管理器
  */
 export class WorkflowManager {
-  constructor(notionClient) {
+  /**
+   * @param {NotionClient} notionClient - Notion 客户端（通知渠道取自其 notifications 配置）
+   * @param {Object} options - 选项
+   * @param {boolean} options.dryRun - 预演模式：不创建任务、不发送通知
+   * @param {boolean} options.digest - 每日汇总模式：工作流不单独发送通知，由 collectDigest 收集后合并发送，默认取 notifications.digest
+   * @param {Notifier} options.notifier - 通知服务，默认按配置创建
+   * @param {SyncState} options.reminderState - 保存未完成任务提醒记录的同步状态，为空时每次运行都发出警告
+   */
+  constructor(notionClient, options = {}) {
     this.notionClient = notionClient;
+    this.dryRun = options.dryRun || false;
+    this.digest = options.digest ?? notionClient.config.notifications?.digest ?? false;
     this.cardStatusChecker = new CardStatusChecker(notionClient);
     this.actionTaskCreator = new ActionTaskCreator(notionClient);
-    this.emailNotifier = new EmailNotifier();
+    this.notifier = options.notifier || new Notifier(notionClient.config.notifications);
+    this.reminderPolicy = new ReminderPolicy(
+      { ...notionClient.config.reminders, snoozeProperty: notionClient.properties.task.snoozeUntil },
+      options.reminderState || null
+    );
+    // 工作流找到的待处理笔记和卡片，供每日汇总使用
+    this.found = {};
+    // 汇总中到了提醒时间的未完成任务，汇总发送成功后记录提醒
+    this.digestReminders = [];
   }
 
   /**
    * 执行Reference处理工作流
+   * @param {Object} options - 工作流选项
+   * @param {Array} options.excludeNoteIds - 不计入待处理的笔记ID（预演时已计划标记为"已执行"的笔记）
    * @returns {Promise<Object>} 工作流执行结果
    */
-  async executeReferenceProcessingWorkflow() {
+  async executeReferenceProcessingWorkflow({ excludeNoteIds = [] } = {}) {
     const startTime = Date.now();
     log('info', '🚀 Starting reference processing workflow...');
     
     try {
       // 步骤1: 检查Reference数据库中"自动化"字段为"未执行"的笔记
       log('info', '📋 Step 1: Checking for unexecuted notes in Reference database...');
-      const unexecutedNotes = await this.notionClient.findUnexecutedReferenceNotes();
+      const unexecutedNotes = (await this.notionClient.findUnexecutedReferenceNotes())
+        .filter(note => !excludeNoteIds.includes(note.id));
+      this.found.notes = unexecutedNotes;
       
       if (!unexecutedNotes || unexecutedNotes.length === 0) {
         log('info', '✅ No unexecuted notes found in Reference database. Workflow completed.');
@@ -35,7 +60,8 @@ export class WorkflowManager {
           actionTaskCreated: false,
           emailSent: false,
           duration: Date.now() - startTime,
-          message: 'No unexecuted notes found in Reference database.'
+          message: 'No unexecuted notes found in Reference database.',
+          ...this.plannedResult(null, null)
         };
       }
       
@@ -44,16 +70,31 @@ export class WorkflowManager {
       // 步骤1.5: 检查是否有未完成的Reference处理任务
       log('info', '🔍 Step 1.5: Checking for unfinished reference processing tasks...');
       const unfinishedTask = await this.actionTaskCreator.findUnfinishedReferenceProcessingTask();
+      if (!this.dryRun) {
+        this.reminderPolicy.prune('reference', unfinishedTask);
+      }
       
       if (unfinishedTask) {
         log('info', `⚠️ Found unfinished reference processing task: ${unfinishedTask.title} (${unfinishedTask.status})`);
+        const reminder = this.reminderPolicy.evaluate(unfinishedTask);
+        
+        if (this.dryRun) {
+          return {
+            success: true,
+            unexecutedNotes: unexecutedNotes.length,
+            actionTaskCreated: false,
+            emailSent: false,
+            duration: Date.now() - startTime,
+            unfinishedTask: unfinishedTask,
+            reminder,
+            ...this.plannedResult(null, reminder.send ? 'unfinishedReferenceTaskWarning' : null)
+          };
+        }
         
-        // 发送警告邮件而不是创建新任务
-        log('info', '📧 Step 2: Sending warning email for unfinished reference task...');
-        const emailResult = await this.emailNotifier.sendUnfinishedReferenceTaskWarning(
-          unexecutedNotes, 
-          unfinishedTask
-        );
+        // 发送警告邮件而不是创建新任务（按提醒策略节流和升级）
+        log('info', '📧 Step 2: Sending warning notification for unfinished reference task...');
+        const emailResult = await this.remindUnfinishedTask(unfinishedTask, reminder,
+          () => this.notifier.sendUnfinishedReferenceTaskWarning(unexecutedNotes, unfinishedTask, reminder));
         
         const result = {
           success: true,
@@ -62,6 +103,7 @@ export class WorkflowManager {
           emailSent: emailResult,
           duration: Date.now() - startTime,
           unfinishedTask: unfinishedTask,
+          reminder,
           message: `Reference workflow completed with warning. ${unexecutedNotes.length} notes need processing, but unfinished task exists: ${unfinishedTask.title}`
         };
         
@@ -69,6 +111,17 @@ export class WorkflowManager {
         return result;
       }
       
+      if (this.dryRun) {
+        return {
+          success: true,
+          unexecutedNotes: unexecutedNotes.length,
+          actionTaskCreated: false,
+          emailSent: false,
+          duration: Date.now() - startTime,
+          ...this.plannedResult('Reference处理需求', 'referenceProcessingReminder')
+        };
+      }
+      
       // 步骤2: 创建Reference处理任务（仅在没有未完成任务时）
       log('info', '📝 Step 2: Creating reference processing task in action database...');
       const taskResult = await this.actionTaskCreator.createReferenceProcessingTask(unexecutedNotes);
@@ -86,11 +139,8 @@ export class WorkflowManager {
       }
       
       // 步骤3: 发送邮件通知
-      log('info', '📧 Step 3: Sending email notification...');
-      const emailResult = await this.emailNotifier.sendReferenceProcessingReminder(
-        unexecutedNotes, 
-        taskResult.url
-      );
+      log('info', '📧 Step 3: Sending notification...');
+      const emailResult = await this.sendNotification(() => this.notifier.sendReferenceProcessingReminder(unexecutedNotes, taskResult.url));
       
       const result = {
         success: true,
@@ -125,9 +175,11 @@ export class WorkflowManager {
 
   /**
    * 执行卡片处理工作流
+   * @param {Object} options - 工作流选项
+   * @param {Array} options.plannedCards - 预演时计划创建、尚未写入的卡片
    * @returns {Promise<Object>} 工作流执行结果
    */
-  async executeCardProcessingWorkflow() {
+  async executeCardProcessingWorkflow({ plannedCards = [] } = {}) {
     const startTime = Date.now();
     
     try {
@@ -135,7 +187,17 @@ export class WorkflowManager {
 
       // 步骤1: 检查需要人工处理的卡片
       log('info', '📋 Step 1: Checking for cards that need manual processing...');
-      const pendingCards = await this.cardStatusChecker.findPendingCards();
+      const pendingCards = [
+        ...await this.cardStatusChecker.findPendingCards(),
+        ...plannedCards.map(card => ({
+          id: null,
+          title: card.title,
+          discussionId: card.discussionId,
+          sourceNoteId: card.sourceNoteId,
+          url: null
+        }))
+      ];
+      this.found.cards = pendingCards;
 
       if (pendingCards.length === 0) {
         log('info', '✨ No pending cards found. Workflow completed!');
@@ -145,7 +207,8 @@ export class WorkflowManager {
           actionTaskCreated: false,
           emailSent: false,
           duration: Date.now() - startTime,
-          message: 'No pending cards found'
+          message: 'No pending cards found',
+          ...this.plannedResult(null, null)
         };
       }
 
@@ -154,16 +217,31 @@ export class WorkflowManager {
       // 步骤1.5: 检查是否有未完成的卡片处理任务
       log('info', '🔍 Step 1.5: Checking for unfinished card processing tasks...');
       const unfinishedTask = await this.actionTaskCreator.findUnfinishedCardProcessingTask();
+      if (!this.dryRun) {
+        this.reminderPolicy.prune('card', unfinishedTask);
+      }
       
       if (unfinishedTask) {
         log('info', `⚠️ Found unfinished task: ${unfinishedTask.title} (${unfinishedTask.status})`);
+        const reminder = this.reminderPolicy.evaluate(unfinishedTask);
         
-        // 发送警告邮件而不是创建新任务
-        log('info', '📧 Step 2: Sending warning email for unfinished task...');
-        const emailResult = await this.emailNotifier.sendUnfinishedTaskWarning(
-          pendingCards, 
-          unfinishedTask
-        );
+        if (this.dryRun) {
+          return {
+            success: true,
+            pendingCards: pendingCards.length,
+            actionTaskCreated: false,
+            emailSent: false,
+            duration: Date.now() - startTime,
+            unfinishedTask: unfinishedTask,
+            reminder,
+            ...this.plannedResult(null, reminder.send ? 'unfinishedTaskWarning' : null)
+          };
+        }
+        
+        // 发送警告邮件而不是创建新任务（按提醒策略节流和升级）
+        log('info', '📧 Step 2: Sending warning notification for unfinished task...');
+        const emailResult = await this.remindUnfinishedTask(unfinishedTask, reminder,
+          () => this.notifier.sendUnfinishedTaskWarning(pendingCards, unfinishedTask, reminder));
         
         const result = {
           success: true,
@@ -172,6 +250,7 @@ export class WorkflowManager {
           emailSent: emailResult,
           duration: Date.now() - startTime,
           unfinishedTask: unfinishedTask,
+          reminder,
           message: `Workflow completed with warning. ${pendingCards.length} cards need processing, but unfinished task exists: ${unfinishedTask.title}`
         };
         
@@ -179,6 +258,17 @@ export class WorkflowManager {
         return result;
       }
 
+      if (this.dryRun) {
+        return {
+          success: true,
+          pendingCards: pendingCards.length,
+          actionTaskCreated: false,
+          emailSent: false,
+          duration: Date.now() - startTime,
+          ...this.plannedResult('卡片处理需求', 'cardProcessingReminder')
+        };
+      }
+
       // 步骤2: 创建行动库任务（仅在没有未完成任务时）
       log('info', '📝 Step 2: Creating action task in action database...');
       const taskResult = await this.actionTaskCreator.createCardProcessingTask(pendingCards);
@@ -198,16 +288,13 @@ export class WorkflowManager {
       log('info', `✅ Action task created successfully: ${taskResult.title}`);
 
       // 步骤3: 发送邮件通知
-      log('info', '📧 Step 3: Sending email notification...');
-      const emailResult = await this.emailNotifier.sendCardProcessingReminder(
-        pendingCards, 
-        taskResult.url
-      );
+      log('info', '📧 Step 3: Sending notification...');
+      const emailResult = await this.sendNotification(() => this.notifier.sendCardProcessingReminder(pendingCards, taskResult.url));
 
       if (emailResult) {
-        log('info', '✅ Email notification sent successfully');
-      } else {
-        log('warn', '⚠️ Email notification failed or not configured');
+        log('info', '✅ Notification sent successfully');
+      } else if (!this.digest) {
+        log('warn', '⚠️ Notification failed or no channel configured');
       }
 
       // 步骤4: 获取处理统计
@@ -245,15 +332,135 @@ export class WorkflowManager {
     }
   }
 
+  /**
+   * 按提醒策略发送未完成任务的警告：任务暂停提醒或未到提醒间隔时不发送；升级时先提高任务优先级
+   * 每日汇总模式下警告并入汇总，汇总发送成功后由 recordDigestReminders 记录提醒
+   * @param {Object} task - 未完成的任务
+   * @param {Object} reminder - ReminderPolicy.evaluate 的结果
+   * @param {Function} send - 发送警告的函数
+   * @returns {Promise<boolean>} 是否已发送
+   */
+  async remindUnfinishedTask(task, reminder, send) {
+    const priority = this.reminderPolicy.priorityToRaise(task, reminder);
+    if (priority && await this.actionTaskCreator.updateTaskPriority(task.id, priority)) {
+      this.reminderPolicy.recordPriorityRaised(task, priority);
+    }
+
+    if (!reminder.send && !this.digest) {
+      log('info', reminder.reason === 'snoozed'
+        ? `🔕 Warning skipped: task snoozed until ${reminder.snoozedUntil}`
+        : `🔕 Warning skipped: last reminder at ${reminder.lastRemindedAt}, next one due ${reminder.nextReminderAt}`);
+      return false;
+    }
+
+    const emailResult = await this.sendNotification(send);
+    if (emailResult) {
+      this.reminderPolicy.recordReminder(task, reminder);
+    }
+    return emailResult;
+  }
+
+  /**
+   * 发送工作流通知；每日汇总模式下不单独发送，内容由 collectDigest 收集
+   * @param {Function} send - 发送通知的函数
+   * @returns {Promise<boolean>} 是否已发送
+   */
+  async sendNotification(send) {
+    if (this.digest) {
+      log('info', '📨 Notification deferred to the daily digest');
+      return false;
+    }
+    return send();
+  }
+
+  /**
+   * 收集本流水线的每日汇总内容：本次运行的新卡片、待处理的 Reference 笔记、卡片积压和处理率、未完成任务以及同步错误
+   * 汇总由 NotionCommentSync 合并各流水线后统一发送，发送成功后再调用 recordDigestReminders
+   * @param {Object} run - 本次运行
+   * @param {string} run.pipeline - 流水线名称
+   * @param {Array} run.newCards - 本次创建的卡片 [{ title, url }]
+   * @param {Array} run.failures - 失败的讨论或笔记 [{ title, stage, error }]
+   * @param {string} run.error - 同步中止时的错误
+   * @param {Object} run.referenceWorkflowResult - Reference 处理工作流结果，未执行时为 null
+   * @param {Object} run.cardWorkflowResult - 卡片处理工作流结果，未执行时为 null
+   * @returns {Promise<Object>} 汇总中的一条流水线 { pipeline, newCards, reference, cards, statistics, failures, error }
+   */
+  async collectDigest({ pipeline = null, newCards = [], failures = [], error = null, referenceWorkflowResult = null, cardWorkflowResult = null } = {}) {
+    const found = this.found;
+    this.found = {};
+    // 汇总中的未完成任务警告同样按提醒间隔节流：只记录本次到了提醒时间的任务
+    this.digestReminders = [referenceWorkflowResult, cardWorkflowResult]
+      .filter(result => result?.unfinishedTask && result.reminder?.send);
+
+    return {
+      pipeline,
+      newCards,
+      reference: this.describeWorkflowOutcome(referenceWorkflowResult, { notes: found.notes || [] }),
+      cards: this.describeWorkflowOutcome(cardWorkflowResult, { cards: found.cards || [] }),
+      statistics: await this.cardStatusChecker.getProcessingStats(),
+      failures,
+      error
+    };
+  }
+
+  /**
+   * 每日汇总发送成功后，记录汇总中到了提醒时间的未完成任务
+   */
+  recordDigestReminders() {
+    this.digestReminders.forEach(result => this.reminderPolicy.recordReminder(result.unfinishedTask, result.reminder));
+    this.digestReminders = [];
+  }
+
+  /**
+   * 汇总中单个工作流的结果
+   * @param {Object|null} result - 工作流结果，未执行时为 null
+   * @param {Object} items - 工作流找到的待处理项（{ notes } 或 { cards }）
+   * @returns {Object} { skipped, actionTask, unfinishedTask, reminder, error, notes | cards }
+   */
+  describeWorkflowOutcome(result, items) {
+    if (!result) {
+      return { skipped: true, actionTask: null, unfinishedTask: null, reminder: null, error: null, ...items };
+    }
+    return {
+      skipped: false,
+      actionTask: result.actionTask || null,
+      unfinishedTask: result.unfinishedTask || null,
+      reminder: result.reminder || null,
+      error: result.success ? null : result.error,
+      ...items
+    };
+  }
+
+  /**
+   * 预演模式下的计划动作（每日汇总模式下工作流本身不发送邮件）
+   * @param {string|null} actionTask - 将创建的任务类型
+   * @param {string|null} email - 将发送的邮件类型
+   * @returns {Object} 预演时为 { planned }，否则为空对象
+   */
+  plannedResult(actionTask, email) {
+    if (!this.dryRun) {
+      return {};
+    }
+    const plannedEmail = this.digest && email !== 'dailyDigest' ? null : email;
+    
+    log('info', `[dry run] Workflow would create task: ${actionTask || 'none'}, send email: ${plannedEmail || 'none'}`);
+    return {
+      planned: {
+        actionTask,
+        email: plannedEmail
+      }
+    };
+  }
+
   /**
    * 检查工作流配置
    * @returns {Object} 配置状态
    */
   checkWorkflowConfiguration() {
     const config = {
-      emailService: this.emailNotifier.isConfigured,
+      notifications: this.notifier.isConfigured,
       actionDatabase: this.actionTaskCreator.checkConfiguration(),
-      targetDatabase: !!process.env.TARGET_DATABASE_ID,
+      targetDatabase: !!this.notionClient.targetDatabaseId,
       notionClient: !!this.notionClient
     };
 
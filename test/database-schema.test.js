@@ -0,0 +1,54 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 测试中只输出错误日志，不写日志文件
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = '';
+
+const { SchemaManager } = await import('../src/database-schema.js');
+
+/**
+ * 只有一个目标数据库的 SchemaManager：标题属性名为"名称"，配置中为"卡片笔记"
+ */
+function createSchemaManager() {
+  const updates = [];
+  const notionClient = {
+    client: { databases: { update: async params => { updates.push(params); } } }
+  };
+  const schemaManager = new SchemaManager(notionClient);
+  const actual = { 名称: { type: 'title', title: {} } };
+  schemaManager.check = async () => ({
+    valid: false,
+    databases: [{
+      database: 'target',
+      label: 'Target (cards)',
+      databaseId: 'db',
+      properties: [
+        schemaManager.compareProperty({ name: '卡片笔记', type: 'title', required: true }, actual),
+        schemaManager.compareProperty({ name: '源已删除', type: 'checkbox', required: false }, actual)
+      ]
+    }]
+  });
+  return { schemaManager, updates };
+}
+
+describe('SchemaManager', () => {
+  it('reports a differently named title property as a manual fix', async () => {
+    const { schemaManager, updates } = createSchemaManager();
+    const result = await schemaManager.apply();
+
+    const [title] = result.databases[0].properties;
+    assert.equal(title.status, 'missing');
+    assert.equal(title.fixable, false);
+    assert.equal(title.renameFrom, '名称');
+    assert.deepEqual(updates, [{ database_id: 'db', properties: { 源已删除: { checkbox: {} } } }]);
+  });
+
+  it('renames the title property only with renameTitle', async () => {
+    const { schemaManager, updates } = createSchemaManager();
+    const result = await schemaManager.apply({ renameTitle: true });
+
+    assert.deepEqual(updates, [{ database_id: 'db', properties: { 名称: { name: '卡片笔记' }, 源已删除: { checkbox: {} } } }]);
+    assert.deepEqual(result.changes.map(change => change.action), ['rename', 'create']);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 测试中只输出错误日志，不写日志文件
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = '';
+
+const { DiscussionIndex } = await import('../src/discussion-index.js');
+const { SyncState } = await import('../src/sync-state.js');
+
+/**
+ * 卡片数据库替身：cards 为数据库中的卡片，pages 为 pages.retrieve 能读到的页面状态
+ */
+function createNotionClient({ cards = [], pages = {} } = {}) {
+  return {
+    retrieved: [],
+    async getCards() {
+      return cards;
+    },
+    extractDiscussionId(card) {
+      return card.discussionId;
+    },
+    async isCardActive(pageId) {
+      this.retrieved.push(pageId);
+      return pages[pageId] === 'active';
+    }
+  };
+}
+
+/**
+ * 带有一份未过期缓存的同步状态
+ */
+function createSyncState(entries) {
+  const state = new SyncState('/nonexistent/state.json');
+  state.setDiscussionIndex({ refreshedAt: new Date().toISOString(), entries });
+  return state;
+}
+
+describe('DiscussionIndex', () => {
+  it('removes cached entries whose cards were archived or deleted', async () => {
+    const state = createSyncState({
+      'd-active': { pageId: 'p-active', createdTime: '2026-01-01T00:00:00.000Z' },
+      'd-archived': { pageId: 'p-archived', createdTime: '2026-01-01T00:00:00.000Z' },
+      'd-deleted': { pageId: 'p-deleted', createdTime: '2026-01-01T00:00:00.000Z' }
+    });
+    const client = createNotionClient({ pages: { 'p-active': 'active', 'p-archived': 'archived' } });
+    const index = await new DiscussionIndex(client, state).refresh();
+
+    assert.equal(await index.verify(['d-active', 'd-archived', 'd-deleted', 'd-new']), 2);
+    assert.equal(index.has('d-active'), true);
+    assert.equal(index.has('d-archived'), false);
+    assert.equal(index.has('d-deleted'), false);
+    assert.deepEqual(Object.keys(state.getDiscussionIndex().entries), ['d-active']);
+  });
+
+  it('does not re-check cards found by the refresh or created in this run', async () => {
+    const state = createSyncState({ 'd-cached': { pageId: 'p-cached', createdTime: '2026-01-01T00:00:00.000Z' } });
+    const client = createNotionClient({ cards: [{ id: 'p-edited', discussionId: 'd-edited', created_time: '2026-01-02T00:00:00.000Z' }] });
+    const index = await new DiscussionIndex(client, state).refresh();
+    index.add('d-created', 'p-created');
+
+    await index.verify(['d-edited', 'd-created']);
+    assert.deepEqual(client.retrieved, []);
+    assert.equal(index.has('d-edited'), true);
+    assert.equal(index.has('d-created'), true);
+  });
+
+  it('checks at most DISCUSSION_INDEX_VERIFY_LIMIT entries per run, least recently verified first', async () => {
+    process.env.DISCUSSION_INDEX_VERIFY_LIMIT = '2';
+    try {
+      const state = createSyncState({
+        'd-recent': { pageId: 'p-recent', createdTime: '2026-01-01T00:00:00.000Z', verifiedAt: '2026-01-05T00:00:00.000Z' },
+        'd-old': { pageId: 'p-old', createdTime: '2026-01-01T00:00:00.000Z', verifiedAt: '2026-01-02T00:00:00.000Z' },
+        'd-never': { pageId: 'p-never', createdTime: '2026-01-01T00:00:00.000Z' }
+      });
+      const client = createNotionClient({ pages: { 'p-recent': 'active', 'p-old': 'active', 'p-never': 'active' } });
+      const ids = ['d-recent', 'd-old', 'd-never'];
+
+      await (await new DiscussionIndex(client, state).refresh()).verify(ids);
+      assert.deepEqual(client.retrieved, ['p-never', 'p-old']);
+
+      // 下次运行先检查上次留下的条目
+      client.retrieved = [];
+      await (await new DiscussionIndex(client, state).refresh()).verify(ids);
+      assert.equal(client.retrieved[0], 'p-recent');
+    } finally {
+      delete process.env.DISCUSSION_INDEX_VERIFY_LIMIT;
+    }
+  });
+
+  it('rejects invalid refresh and verification settings', () => {
+    for (const name of ['DISCUSSION_INDEX_FULL_REFRESH_HOURS', 'DISCUSSION_INDEX_VERIFY_LIMIT']) {
+      for (const value of ['weekly', '0']) {
+        process.env[name] = value;
+        try {
+          assert.throws(() => new DiscussionIndex(createNotionClient(), createSyncState({})), new RegExp(`Invalid ${name} .*positive integer`));
+        } finally {
+          delete process.env[name];
+        }
+      }
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+const loggerUrl = new URL('../src/logger.js', import.meta.url).href;
+
+/**
+ * 在子进程中写几条日志（日志文件的设置每个进程只读取一次）
+ * @param {Object} env - 日志相关的环境变量
+ * @returns {string} 子进程的 stderr
+ */
+function writeLogs(env) {
+  const script = `const { createLogger } = await import(${JSON.stringify(loggerUrl)});
+const log = createLogger('test');
+for (let i = 0; i < 5; i++) log('error', 'line ' + i);`;
+  const child = spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+    env: { ...process.env, LOG_LEVEL: 'warn', LOG_FORMAT: 'json', ...env },
+    encoding: 'utf8'
+  });
+  assert.equal(child.status, 0, child.stderr);
+  return child.stderr;
+}
+
+describe('log file rotation settings', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'logger-'));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('falls back to the defaults when LOG_MAX_BYTES or LOG_MAX_FILES is invalid', async () => {
+    const logDir = path.join(dir, 'invalid');
+    const stderr = writeLogs({ LOG_DIR: logDir, LOG_MAX_BYTES: 'big', LOG_MAX_FILES: '0' });
+
+    assert.match(stderr, /Invalid LOG_MAX_BYTES "big", expected a positive integer, using 5242880/);
+    assert.match(stderr, /Invalid LOG_MAX_FILES "0", expected a positive integer, using 5/);
+    assert.deepEqual(await fs.readdir(logDir), ['sync.log']);
+    assert.equal((await fs.readFile(path.join(logDir, 'sync.log'), 'utf8')).trim().split('\n').length, 5);
+  });
+
+  it('keeps the current log when rotating', async () => {
+    const logDir = path.join(dir, 'rotating');
+    writeLogs({ LOG_DIR: logDir, LOG_MAX_BYTES: '10', LOG_MAX_FILES: '2' });
+
+    assert.deepEqual((await fs.readdir(logDir)).sort(), ['sync.log', 'sync.log.1', 'sync.log.2']);
+    assert.match(await fs.readFile(path.join(logDir, 'sync.log'), 'utf8'), /line 4/);
+  });
+});
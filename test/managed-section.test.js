@@ -0,0 +1,155 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 测试中只输出错误日志，不写日志文件
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = '';
+
+const { NotionClient, MANAGED_SECTION_END_TEXT } = await import('../src/notion-client.js');
+const { PipelineSync } = await import('../src/pipeline-sync.js');
+const { SyncState } = await import('../src/sync-state.js');
+
+function heading(id, text) {
+  return { id, type: 'heading_2', heading_2: { rich_text: [{ plain_text: text }] } };
+}
+
+function block(id, type = 'paragraph') {
+  return { id, type };
+}
+
+function endMarker(id) {
+  return { id, type: 'paragraph', paragraph: { rich_text: [{ plain_text: MANAGED_SECTION_END_TEXT }] } };
+}
+
+/**
+ * 只替换 Notion SDK 的 NotionClient：记录写入的顺序，不需要配置和令牌
+ */
+function createClient(blocks) {
+  const calls = [];
+  const notionClient = Object.create(NotionClient.prototype);
+  notionClient.client = {
+    blocks: {
+      children: {
+        list: async () => ({ results: blocks, has_more: false, next_cursor: null }),
+        append: async params => { calls.push(['append', params]); }
+      },
+      delete: async ({ block_id }) => { calls.push(['delete', block_id]); }
+    }
+  };
+  return { notionClient, calls };
+}
+
+describe('managed section', () => {
+  const rendered = [heading(null, 'Reference'), block(null, 'quote'), block(null)];
+
+  it('replaces only the blocks between the Reference heading and the end marker', async () => {
+    const { notionClient, calls } = createClient([
+      heading('h', 'Reference'), block('old-1'), block('old-2'), endMarker('end'),
+      block('user-note'), heading('s', 'Solution'), block('solution')
+    ]);
+
+    assert.equal(await notionClient.replaceManagedSection('page', rendered), true);
+    assert.deepEqual(calls, [
+      ['append', { block_id: 'page', children: rendered.slice(1), after: 'h' }],
+      ['delete', 'old-1'],
+      ['delete', 'old-2']
+    ]);
+  });
+
+  it('treats dividers added by the user as part of the section', async () => {
+    const { notionClient, calls } = createClient([
+      heading('h', 'Reference'), block('old-1'), block('user-divider', 'divider'), block('old-2'), endMarker('end'), block('user-note')
+    ]);
+
+    assert.equal(await notionClient.replaceManagedSection('page', rendered), true);
+    assert.deepEqual(calls.filter(([action]) => action === 'delete').map(([, id]) => id), ['old-1', 'user-divider', 'old-2']);
+  });
+
+  it('leaves cards whose only divider was added by the user unchanged', async () => {
+    const { notionClient, calls } = createClient([
+      heading('h', 'Reference'), block('old-1'), block('user-divider', 'divider'), block('user-note'), heading('s', 'Solution')
+    ]);
+
+    assert.equal(await notionClient.replaceManagedSection('page', rendered), false);
+    assert.deepEqual(calls, []);
+  });
+
+  it('does not delete anything when appending the new content fails', async () => {
+    const { notionClient, calls } = createClient([heading('h', 'Reference'), block('old-1'), endMarker('end')]);
+    notionClient.client.blocks.children.append = async () => { throw new Error('service unavailable'); };
+
+    await assert.rejects(notionClient.replaceManagedSection('page', rendered), /service unavailable/);
+    assert.deepEqual(calls, []);
+  });
+
+  it('leaves cards without an end marker unchanged', async () => {
+    const { notionClient, calls } = createClient([
+      heading('h', 'Reference'), block('old-1'), block('user-note'), heading('s', 'Solution')
+    ]);
+
+    assert.equal(await notionClient.replaceManagedSection('page', rendered), false);
+    assert.deepEqual(calls, []);
+  });
+
+  it('appends new replies before the end marker', async () => {
+    const { notionClient, calls } = createClient([
+      heading('h', 'Reference'), block('old-1'), endMarker('end'), block('user-note')
+    ]);
+
+    await notionClient.appendToManagedSection('page', [block(null)]);
+    assert.deepEqual(calls, [['append', { block_id: 'page', children: [block(null)], after: 'old-1' }]]);
+  });
+});
+
+describe('syncExistingCards', () => {
+  /**
+   * 只含 syncExistingCards 所需依赖的 PipelineSync：内容哈希为已同步评论文字的拼接
+   */
+  function createPipeline({ rerendered }) {
+    const pipeline = Object.create(PipelineSync.prototype);
+    const calls = [];
+    pipeline.runId = 'run-2';
+    pipeline.failures = [];
+    pipeline.syncState = new SyncState('/nonexistent/state.json');
+    pipeline.syncState.markCommentsSynced('d1', 'page-1', ['c1'], { contentHash: 'old' });
+    pipeline.discussionIndex = { get: () => ({ pageId: 'page-1', createdTime: '2026-01-01T00:00:00.000Z' }) };
+    pipeline.contentProcessor = {
+      hashPageContent: (discussion, comments = discussion.comments) => comments.map(comment => comment.text).join('|'),
+      generatePageContent: () => [heading(null, 'Reference')],
+      generateReplyContent: comments => comments.map(() => block(null))
+    };
+    pipeline.notionClient = {
+      replaceManagedSection: async () => { calls.push('replace'); return rerendered; },
+      appendToManagedSection: async () => { calls.push('append'); }
+    };
+    return { pipeline, calls };
+  }
+
+  // c1 被编辑过（哈希从 old 变为 edited），c2 为新回复
+  const discussion = {
+    discussionId: 'd1',
+    title: '讨论',
+    comments: [{ id: 'c1', text: 'edited', created_time: '2026-01-01T00:00:00.000Z' }, { id: 'c2', text: 'reply', created_time: '2026-01-02T00:00:00.000Z' }]
+  };
+
+  it('records the new content hash after re-rendering', async () => {
+    const { pipeline, calls } = createPipeline({ rerendered: true });
+    const result = await pipeline.syncExistingCards([discussion]);
+
+    assert.deepEqual(calls, ['replace']);
+    assert.equal(result.updatedCards, 1);
+    assert.deepEqual(result.staleCards, []);
+    assert.equal(pipeline.syncState.getContentHash('d1'), 'edited|reply');
+  });
+
+  it('keeps the old hash and reports cards that could not be re-rendered', async () => {
+    const { pipeline, calls } = createPipeline({ rerendered: false });
+    const result = await pipeline.syncExistingCards([discussion]);
+
+    assert.deepEqual(calls, ['replace', 'append']);
+    assert.equal(result.updatedCards, 0);
+    assert.deepEqual(result.staleCards, [{ discussionId: 'd1', title: '讨论', pageId: 'page-1' }]);
+    assert.equal(pipeline.syncState.getContentHash('d1'), 'old');
+    assert.deepEqual(pipeline.syncState.getSyncedCommentIds('d1'), ['c1', 'c2']);
+  });
+});
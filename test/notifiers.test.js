@@ -0,0 +1,238 @@
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+// 测试中只输出错误日志，不写日志文件
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = '';
+
+const { Notifier } = await import('../src/notifier.js');
+const { WebhookNotifier, SlackNotifier, TelegramNotifier, DingTalkNotifier, WeComNotifier } = await import('../src/webhook-notifiers.js');
+const { validateConfig, ConfigError } = await import('../src/config.js');
+
+/**
+ * 本地 HTTP 替身：记录收到的请求，按 respond 返回响应（respond 返回 null 时不响应，用于测试超时）
+ */
+class StandIn {
+  constructor() {
+    this.requests = [];
+    this.respond = () => ({ status: 200, body: 'ok' });
+    this.sockets = new Set();
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        this.requests.push({ method: req.method, url, headers: req.headers, body: body ? JSON.parse(body) : null });
+        const response = this.respond(req);
+        if (response) {
+          res.writeHead(response.status, { 'Content-Type': 'application/json' });
+          res.end(typeof response.body === 'string' ? response.body : JSON.stringify(response.body));
+        }
+      });
+    });
+    this.server.on('connection', socket => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  reset() {
+    this.requests = [];
+    this.respond = () => ({ status: 200, body: 'ok' });
+  }
+
+  get last() {
+    return this.requests[this.requests.length - 1];
+  }
+
+  async stop() {
+    this.sockets.forEach(socket => socket.destroy());
+    await new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+const message = {
+  type: 'cardProcessingReminder',
+  subject: '卡片处理提醒 <2>',
+  body: '## 待处理\n\n- **标题** & [链接](https://example.com/a_(b)) <script>\n> 引用 1 \\* 2',
+  html: '<p>html</p>',
+  text: 'plain text',
+  data: { cards: [{ id: 'card-1' }] },
+  escalated: false
+};
+
+describe('notification channels', () => {
+  const standIn = new StandIn();
+
+  before(() => standIn.start());
+  afterEach(() => standIn.reset());
+  after(() => standIn.stop());
+
+  describe('WebhookNotifier', () => {
+    it('posts the message as JSON', async () => {
+      const notifier = new WebhookNotifier({ webhookUrl: `${standIn.url}/hook` });
+      assert.equal(await notifier.send(message), true);
+
+      const { method, url, headers, body } = standIn.last;
+      assert.equal(method, 'POST');
+      assert.equal(url.pathname, '/hook');
+      assert.equal(headers['content-type'], 'application/json');
+      assert.equal(body.type, message.type);
+      assert.equal(body.subject, message.subject);
+      assert.equal(body.text, message.body);
+      assert.equal(body.html, message.html);
+      assert.deepEqual(body.data, message.data);
+      assert.ok(!Number.isNaN(Date.parse(body.sentAt)));
+    });
+
+    it('fails on a non-2xx response', async () => {
+      standIn.respond = () => ({ status: 500, body: 'internal error' });
+      const notifier = new WebhookNotifier({ webhookUrl: standIn.url });
+      assert.equal(await notifier.send(message), false);
+    });
+
+    it('skips sending when not configured', async () => {
+      assert.equal(await new WebhookNotifier({}).send(message), false);
+      assert.equal(standIn.requests.length, 0);
+    });
+  });
+
+  describe('SlackNotifier', () => {
+    it('converts Markdown to mrkdwn and escapes control characters', async () => {
+      const notifier = new SlackNotifier({ slackWebhookUrl: standIn.url });
+      assert.equal(await notifier.send(message), true);
+
+      assert.deepEqual(Object.keys(standIn.last.body), ['text']);
+      assert.equal(
+        standIn.last.body.text,
+        '*卡片处理提醒 &lt;2&gt;*\n\n*待处理*\n\n- *标题* &amp; <https://example.com/a_(b)|链接> &lt;script&gt;\n>引用 1 * 2'
+      );
+    });
+
+    it('drops links that are not http(s) or mailto', async () => {
+      const notifier = new SlackNotifier({ slackWebhookUrl: standIn.url });
+      await notifier.send({ ...message, subject: 's', body: '[点我](javascript:alert(1))' });
+      assert.equal(standIn.last.body.text, '*s*\n\n点我');
+    });
+  });
+
+  describe('TelegramNotifier', () => {
+    it('calls sendMessage with the plain text version', async () => {
+      standIn.respond = () => ({ status: 200, body: { ok: true, result: {} } });
+      const notifier = new TelegramNotifier({ telegramBotToken: '123:abc', telegramChatId: '-100', telegramApiUrl: `${standIn.url}/` });
+      assert.equal(await notifier.send(message), true);
+
+      const { url, body } = standIn.last;
+      assert.equal(url.pathname, '/bot123:abc/sendMessage');
+      assert.deepEqual(body, { chat_id: '-100', text: `${message.subject}\n\n${message.text}`, disable_web_page_preview: true });
+    });
+
+    it('fails when the response has ok: false', async () => {
+      standIn.respond = () => ({ status: 200, body: { ok: false, description: 'chat not found' } });
+      const notifier = new TelegramNotifier({ telegramBotToken: '123:abc', telegramChatId: '-100', telegramApiUrl: standIn.url });
+      assert.equal(await notifier.send(message), false);
+    });
+  });
+
+  describe('DingTalkNotifier', () => {
+    it('posts a markdown message signed with timestamp and sign', async () => {
+      standIn.respond = () => ({ status: 200, body: { errcode: 0, errmsg: 'ok' } });
+      const secret = 'SECtest';
+      const notifier = new DingTalkNotifier({ dingtalkWebhookUrl: `${standIn.url}/robot/send?access_token=token`, dingtalkSecret: secret });
+      const startedAt = Date.now();
+      assert.equal(await notifier.send(message), true);
+
+      const { url, body } = standIn.last;
+      assert.equal(url.searchParams.get('access_token'), 'token');
+      const timestamp = url.searchParams.get('timestamp');
+      assert.ok(Number(timestamp) >= startedAt && Number(timestamp) <= Date.now());
+      const expectedSign = crypto.createHmac('sha256', secret).update(`${timestamp}\n${secret}`).digest('base64');
+      assert.equal(url.searchParams.get('sign'), expectedSign);
+
+      assert.deepEqual(body, { msgtype: 'markdown', markdown: { title: message.subject, text: message.body } });
+    });
+
+    it('does not sign when no secret is configured', async () => {
+      standIn.respond = () => ({ status: 200, body: { errcode: 0, errmsg: 'ok' } });
+      const notifier = new DingTalkNotifier({ dingtalkWebhookUrl: `${standIn.url}/robot/send?access_token=token` });
+      assert.equal(await notifier.send(message), true);
+      assert.equal(standIn.last.url.searchParams.has('sign'), false);
+    });
+
+    it('fails when errcode is not 0', async () => {
+      standIn.respond = () => ({ status: 200, body: { errcode: 310000, errmsg: 'sign not match' } });
+      const notifier = new DingTalkNotifier({ dingtalkWebhookUrl: standIn.url, dingtalkSecret: 'SECtest' });
+      assert.equal(await notifier.send(message), false);
+    });
+  });
+
+  describe('WeComNotifier', () => {
+    it('posts a markdown message', async () => {
+      standIn.respond = () => ({ status: 200, body: { errcode: 0, errmsg: 'ok' } });
+      const notifier = new WeComNotifier({ wecomWebhookUrl: `${standIn.url}/cgi-bin/webhook/send?key=k` });
+      assert.equal(await notifier.send(message), true);
+
+      const { url, body } = standIn.last;
+      assert.equal(url.searchParams.get('key'), 'k');
+      assert.equal(body.msgtype, 'markdown');
+      assert.deepEqual(body.markdown, { content: message.body });
+    });
+
+    it('fails when errcode is not 0', async () => {
+      standIn.respond = () => ({ status: 200, body: { errcode: 93000, errmsg: 'invalid webhook url' } });
+      const notifier = new WeComNotifier({ wecomWebhookUrl: standIn.url });
+      assert.equal(await notifier.send(message), false);
+    });
+  });
+
+  describe('timeout', () => {
+    it('fails when the server does not respond in time', async () => {
+      standIn.respond = () => null;
+      const notifier = new WebhookNotifier({ webhookUrl: standIn.url, timeoutMs: 100 });
+      const startedAt = Date.now();
+      assert.equal(await notifier.send(message), false);
+      assert.ok(Date.now() - startedAt < 5000);
+    });
+
+    it('rejects an invalid timeout', () => {
+      assert.throws(() => new WebhookNotifier({ webhookUrl: standIn.url, timeoutMs: NaN }), /positive integer/);
+      assert.throws(() => new SlackNotifier({ slackWebhookUrl: standIn.url, timeoutMs: 0 }), /positive integer/);
+    });
+
+    it('rejects a non-numeric NOTIFY_TIMEOUT_MS in configuration', () => {
+      process.env.NOTIFY_TIMEOUT_MS = 'ten seconds';
+      try {
+        assert.throws(() => validateConfig({}), error => error instanceof ConfigError && /NOTIFY_TIMEOUT_MS must be a positive integer/.test(error.message));
+      } finally {
+        delete process.env.NOTIFY_TIMEOUT_MS;
+      }
+    });
+  });
+
+  describe('Notifier', () => {
+    const templates = { render: () => ({}) };
+
+    it('sends to every channel and succeeds if any channel succeeds', async () => {
+      standIn.respond = req => (req.url.startsWith('/slack') ? { status: 500, body: 'down' } : { status: 200, body: 'ok' });
+      const notifier = new Notifier({ channels: ['webhook', 'slack'], webhookUrl: `${standIn.url}/webhook`, slackWebhookUrl: `${standIn.url}/slack` }, { templates });
+      const content = { subject: message.subject, body: message.body, html: message.html, text: message.text };
+
+      assert.equal(await notifier.notify('cardProcessingReminder', async () => content, message.data), true);
+      assert.deepEqual(standIn.requests.map(request => request.url.pathname).sort(), ['/slack', '/webhook']);
+    });
+
+    it('sends nothing when rendering fails', async () => {
+      const notifier = new Notifier({ channels: ['webhook'], webhookUrl: standIn.url }, { templates });
+      const result = await notifier.notify('cardProcessingReminder', async () => { throw new Error('template error'); }, {});
+      assert.equal(result, false);
+      assert.equal(standIn.requests.length, 0);
+    });
+  });
+});
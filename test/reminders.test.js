@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 测试中只输出错误日志，不写日志文件
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = '';
+
+const { SyncState } = await import('../src/sync-state.js');
+const { ReminderPolicy } = await import('../src/reminder-policy.js');
+const { MessageTemplates } = await import('../src/message-templates.js');
+const { generateDailyDigestContent } = await import('../src/notification-messages.js');
+const { NotionCommentSync } = await import('../src/main.js');
+const { Notifier } = await import('../src/notifier.js');
+
+const referenceTask = { id: 'ref-2', title: 'Reference处理需求', createdTime: '2026-01-01T00:00:00.000Z' };
+const cardTask = { id: 'card-1', title: '卡片处理需求', createdTime: '2026-01-01T00:00:00.000Z' };
+
+describe('task reminder records', () => {
+  it('are pruned once their task is no longer unfinished', () => {
+    const state = new SyncState('/nonexistent/state.json');
+    const policy = new ReminderPolicy({ intervalDays: 1 }, state);
+
+    policy.prune('reference', { id: 'ref-1' });
+    policy.recordReminder({ id: 'ref-1', title: '旧任务' }, { escalated: false });
+    policy.prune('card', cardTask);
+    policy.recordReminder(cardTask, { escalated: false });
+
+    // ref-1 完成后出现了新的 Reference 任务；卡片任务仍未完成
+    policy.prune('reference', referenceTask);
+    assert.equal(state.getTaskReminder('ref-1'), null);
+    assert.equal(state.getTaskReminder('card-1').kind, 'card');
+
+    // 卡片任务完成
+    policy.prune('card', null);
+    assert.deepEqual(state.data.taskReminders, {});
+  });
+
+  it('keeps and tags the record of the current task when it predates task kinds', () => {
+    const state = new SyncState('/nonexistent/state.json');
+    state.data.taskReminders = {
+      'card-1': { lastRemindedAt: '2026-01-01T00:00:00.000Z', reminderCount: 1 },
+      'old-task': { lastRemindedAt: '2025-01-01T00:00:00.000Z', reminderCount: 3 }
+    };
+
+    new ReminderPolicy({}, state).prune('card', cardTask);
+    assert.deepEqual(Object.keys(state.data.taskReminders), ['card-1']);
+    assert.equal(state.getTaskReminder('card-1').kind, 'card');
+  });
+});
+
+describe('daily digest', () => {
+  const section = (reminder, pipeline = null) => ({
+    pipeline,
+    newCards: [],
+    reference: { skipped: true, notes: [] },
+    cards: { skipped: false, cards: [], unfinishedTask: { ...cardTask, status: '进行中', url: 'https://www.notion.so/card1' }, reminder },
+    statistics: { total: 1, processed: 0, pending: 1, processingRate: 0 },
+    failures: [],
+    error: null
+  });
+  const digest = reminder => ({ pipelines: [section(reminder)] });
+
+  it('marks an unfinished task as a warning only when a reminder is due', async () => {
+    const templates = new MessageTemplates();
+    const policy = new ReminderPolicy({ intervalDays: 1 }, new SyncState('/nonexistent/state.json'));
+    const now = Date.parse('2026-01-10T12:00:00.000Z');
+
+    const due = await generateDailyDigestContent(templates, digest(policy.evaluate(cardTask, now)));
+    assert.match(due.body, /⚠️ 未完成的任务/);
+
+    policy.recordReminder(cardTask, { escalated: false });
+    const throttled = policy.evaluate(cardTask, Date.now() + 60 * 60 * 1000);
+    assert.equal(throttled.send, false);
+    const { body } = await generateDailyDigestContent(templates, digest(throttled));
+    assert.doesNotMatch(body, /⚠️ 未完成的任务/);
+    assert.match(body, /未完成的任务：.*下次提醒 /);
+  });
+
+  it('combines the pipelines of one run into a single digest', async () => {
+    const sent = [];
+    const fakePipeline = (name, notifications) => ({
+      name,
+      notionClient: { config: { notifications } },
+      workflowManager: { notifier: { sendDailyDigest: async digest => { sent.push(digest); return true; } } },
+      completeDigest: async (outcome, { countEmail }) => ({ ...outcome, countEmail })
+    });
+    const entries = [
+      { pipeline: fakePipeline('a', { channels: ['slack'] }), result: { digest: section(null, 'a') } },
+      { pipeline: fakePipeline('b', { channels: ['slack'] }), result: { digest: section(null, 'b') } },
+      { pipeline: fakePipeline('c', { channels: ['wecom'] }), result: { digest: section(null, 'c') } },
+      { pipeline: fakePipeline('d', { channels: ['slack'] }), result: {} }
+    ];
+
+    await NotionCommentSync.prototype.sendDigests.call(null, entries);
+    assert.deepEqual(sent.map(digest => digest.pipelines.map(pipeline => pipeline.pipeline)), [['a', 'b'], ['c']]);
+    assert.deepEqual(entries.map(({ result }) => result.digestResult?.countEmail), [true, false, true, undefined]);
+
+    const { subject, body } = await generateDailyDigestContent(new MessageTemplates(), sent[0]);
+    assert.match(subject, /Notion同步日报（a、b）/);
+    assert.match(body, /## 📦 流水线：a[\s\S]*## 📦 流水线：b/);
+  });
+
+  it('is sent as escalated only when an escalated warning is due', async () => {
+    const messages = [];
+    const notifier = new Notifier({}, { channels: [{ isConfigured: true, send: async message => { messages.push(message); return true; } }] });
+    const escalated = { send: true, escalated: true, ageDays: 8 };
+
+    await notifier.sendDailyDigest({ pipelines: [section(null, 'a'), section(escalated, 'b')] });
+    await notifier.sendDailyDigest({ pipelines: [section({ ...escalated, send: false }, 'a')] });
+    assert.deepEqual(messages.map(message => message.escalated), [true, false]);
+    assert.match(messages[0].subject, /^🔴【已升级】/);
+    assert.doesNotMatch(messages[1].subject, /已升级/);
+  });
+});
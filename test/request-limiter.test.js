@@ -0,0 +1,39 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// 测试中只输出错误日志，不写日志文件
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = '';
+
+const { RequestLimiter } = await import('../src/request-limiter.js');
+
+describe('RequestLimiter settings', () => {
+  afterEach(() => {
+    delete process.env.NOTION_REQUESTS_PER_SECOND;
+    delete process.env.NOTION_MAX_RETRIES;
+  });
+
+  it('reads the rate and retry limit from the environment', () => {
+    process.env.NOTION_REQUESTS_PER_SECOND = '2.5';
+    process.env.NOTION_MAX_RETRIES = '0';
+    const limiter = new RequestLimiter();
+    assert.equal(limiter.requestsPerSecond, 2.5);
+    assert.equal(limiter.intervalMs, 400);
+    assert.equal(limiter.maxRetries, 0);
+  });
+
+  it('rejects a rate that is not a positive number', () => {
+    for (const value of ['fast', '0', '-1', ' ']) {
+      process.env.NOTION_REQUESTS_PER_SECOND = value;
+      assert.throws(() => new RequestLimiter(), /Invalid NOTION_REQUESTS_PER_SECOND .*positive number/);
+    }
+  });
+
+  it('rejects a retry limit that is not a non-negative integer', () => {
+    for (const value of ['many', '-1', '2.5']) {
+      process.env.NOTION_MAX_RETRIES = value;
+      assert.throws(() => new RequestLimiter(), /Invalid NOTION_MAX_RETRIES .*non-negative integer/);
+    }
+    assert.throws(() => new RequestLimiter({ maxRetries: NaN }), /NOTION_MAX_RETRIES/);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+// 测试中只输出错误日志，不写日志文件
+process.env.LOG_LEVEL = 'error';
+process.env.LOG_DIR = '';
+
+const { RunHistory } = await import('../src/run-history.js');
+
+function run(runId, written = 0) {
+  return { runId, success: true, counts: { processed: 1, written, errors: 0 } };
+}
+
+describe('RunHistory', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'run-history-'));
+  });
+  after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  it('keeps only the most recent runs', async () => {
+    const history = new RunHistory(path.join(dir, 'recent.jsonl'), 3);
+    for (const runId of ['r1', 'r2', 'r3', 'r4', 'r5']) {
+      await history.append(run(runId, 1));
+    }
+
+    assert.deepEqual((await history.readAll()).map(entry => entry.runId), ['r3', 'r4', 'r5']);
+    assert.deepEqual(await fs.readdir(dir), ['recent.jsonl']);
+  });
+
+  it('keeps the last run with writes even when it is older than the limit', async () => {
+    const history = new RunHistory(path.join(dir, 'writes.jsonl'), 2);
+    await history.append(run('r1', 1));
+    await history.append(run('r2', 3));
+    for (const runId of ['r3', 'r4', 'r5']) {
+      await history.append(run(runId));
+    }
+
+    assert.deepEqual((await history.readAll()).map(entry => entry.runId), ['r2', 'r5']);
+    assert.equal((await history.getLastRunWithWrites()).runId, 'r2');
+  });
+
+  it('rejects a limit that is not a positive integer', () => {
+    assert.throws(() => new RunHistory(path.join(dir, 'invalid.jsonl'), 'all'), /RUN_HISTORY_MAX_RUNS/);
+    assert.throws(() => new RunHistory(path.join(dir, 'invalid.jsonl'), 0), /RUN_HISTORY_MAX_RUNS/);
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mapWithConcurrency } from '../src/utils.js';
+
+describe('mapWithConcurrency', () => {
+  it('keeps the input order and limits the number of running mappers', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 0], 2, async (delay, index) => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2, 3]);
+    assert.equal(maxRunning, 2);
+  });
+
+  it('rejects a concurrency that is not a positive integer', async () => {
+    for (const concurrency of [NaN, 0, -1, 1.5]) {
+      await assert.rejects(mapWithConcurrency([1], concurrency, async item => item), /positive integer/);
+    }
+  });
+});